@@ -0,0 +1,144 @@
+/**
+ * Adaptive Difficulty
+ * Tunes beginner playback speed and tolerance from recent grades so the
+ * driver succeeds at roughly a target rate. Recent results and a log of
+ * every change are kept in localStorage.
+ */
+
+class AdaptiveDifficulty {
+    constructor(scoringSystem = new ScoringSystem(), storageKey = 'telemetryAdaptiveDifficulty') {
+        this.scoringSystem = scoringSystem;
+        this.storageKey = storageKey;
+        this.config = {
+            window: 5,              // most recent results considered
+            minResults: 3,          // results needed at the current settings before adjusting
+            speedGain: 0.15,        // × per unit of success-rate error
+            toleranceGain: 6,       // % per unit of success-rate error
+            speedStep: 0.05,        // speed changes are rounded to the slider step
+            speedRange: [0.3, 1.0],
+            toleranceRange: [5, 25],
+            maxLog: 50              // oldest log entries are dropped first
+        };
+    }
+
+    /**
+     * Read stored state: {results: [{grade, at}], log: [change]}
+     */
+    getState() {
+        let state;
+        try {
+            state = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read adaptive difficulty state:', error);
+            state = {};
+        }
+        return { results: state.results || [], log: state.log || [] };
+    }
+
+    /**
+     * Logged changes, newest first
+     */
+    getLog() {
+        return this.getState().log;
+    }
+
+    /**
+     * Forget recent results and the change log
+     */
+    clear() {
+        this.write({ results: [], log: [] });
+    }
+
+    /**
+     * Record a graded run or lap and adjust the settings if it's time to
+     * settings: {playbackSpeed, tolerance}
+     * options: {target (0-1 success rate), successGrade, trigger ('run' | 'lap'), pattern}
+     * Returns the logged change, or null if the settings stay as they are
+     */
+    recordResult(grade, settings, options) {
+        const state = this.getState();
+        state.results.push({ grade, at: new Date().toISOString() });
+        state.results = state.results.slice(-this.config.window);
+
+        const change = this.evaluate(state.results, settings, options);
+        if (change) {
+            // Start over so the next change is based on results at the new settings
+            state.results = [];
+            state.log.unshift(change);
+            state.log = state.log.slice(0, this.config.maxLog);
+        }
+
+        this.write(state);
+        return change;
+    }
+
+    /**
+     * Work out the settings change for a set of results (null if none is needed)
+     * Proportional to the gap between the success rate and the target: above the
+     * target speeds up and tightens tolerance, below it slows down and loosens
+     */
+    evaluate(results, settings, options) {
+        const { minResults, speedGain, toleranceGain, speedStep, speedRange, toleranceRange } = this.config;
+        if (results.length < minResults) return null;
+
+        const successes = results.filter(result => this.isSuccess(result.grade, options.successGrade)).length;
+        const successRate = successes / results.length;
+        const error = successRate - options.target;
+
+        const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+        const playbackSpeed = Number(clamp(
+            Math.round((settings.playbackSpeed + error * speedGain) / speedStep) * speedStep, speedRange).toFixed(2));
+        const tolerance = clamp(settings.tolerance - Math.round(error * toleranceGain), toleranceRange);
+
+        if (playbackSpeed === settings.playbackSpeed && tolerance === settings.tolerance) return null;
+
+        return {
+            at: new Date().toISOString(),
+            trigger: options.trigger,
+            pattern: options.pattern,
+            grades: results.map(result => result.grade),
+            successes,
+            successRate: Number(successRate.toFixed(2)),
+            target: options.target,
+            successGrade: options.successGrade,
+            from: { playbackSpeed: settings.playbackSpeed, tolerance: settings.tolerance },
+            to: { playbackSpeed, tolerance },
+            direction: error > 0 ? 'harder' : 'easier'
+        };
+    }
+
+    /**
+     * Whether a grade is at least the success grade
+     */
+    isSuccess(grade, successGrade) {
+        return this.scoringSystem.getGradeRank(grade) >= this.scoringSystem.getGradeRank(successGrade);
+    }
+
+    /**
+     * Describe a change, e.g. "Harder: speed 0.70× → 0.75×, tolerance ±15% → ±13% (3/3 runs B or better, target 70%)"
+     */
+    describeChange(change) {
+        const parts = [];
+        if (change.from.playbackSpeed !== change.to.playbackSpeed) {
+            parts.push(`speed ${change.from.playbackSpeed.toFixed(2)}× → ${change.to.playbackSpeed.toFixed(2)}×`);
+        }
+        if (change.from.tolerance !== change.to.tolerance) {
+            parts.push(`tolerance ±${change.from.tolerance}% → ±${change.to.tolerance}%`);
+        }
+
+        const runs = `${change.successes}/${change.grades.length} ${change.trigger}s ${change.successGrade} or better`;
+        return `${change.direction === 'harder' ? 'Harder' : 'Easier'}: ${parts.join(', ')} ` +
+            `(${runs}, target ${Math.round(change.target * 100)}%)`;
+    }
+
+    /**
+     * Persist state, surfacing quota errors to the caller
+     */
+    write(state) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(state));
+        } catch (error) {
+            throw new Error(`Could not save adaptive difficulty log: ${error.message}`);
+        }
+    }
+}
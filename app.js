@@ -7,23 +7,68 @@ class LiveTelemetryTrainer {
     constructor() {
         // Initialize systems
         this.telemetryData = new TelemetryData();
-        this.inputHandler = new InputHandler();
+        this.gamepadCalibration = new GamepadCalibration();
+        this.pedalShaping = new PedalShaping();
+        this.inputLatency = new InputLatency();
+        this.keyboardSettings = new KeyboardSettings();
+        this.inputHandler = new InputHandler(this.gamepadCalibration, this.pedalShaping, this.keyboardSettings);
         this.graphRenderer = new GraphRenderer('telemetryCanvas');
         this.scoringSystem = new ScoringSystem();
+        this.telemetryImporter = new TelemetryImporter();
+        this.difficultyRater = new DifficultyRater();
+        this.patternGenerator = new PatternGenerator(this.difficultyRater);
+        this.patternLibrary = new PatternLibrary();
+        this.programTracker = new ProgramTracker();
+        this.adaptiveDifficulty = new AdaptiveDifficulty(this.scoringSystem);
+        this.progressHistory = new ProgressHistory(this.scoringSystem);
+        this.sessionStore = new SessionStore();
+        this.sessionExporter = new SessionExporter();
+        this.shareLink = new ShareLink();
 
         // Training state
         this.trainingMode = 'beginner';
         this.isRunning = false;
         this.isPaused = false;
+        this.activePause = null;
+        this.countdownTimer = null;
         this.currentTime = 0;
         this.isReplayMode = false;
         this.replayData = null;
+        this.csvImport = null; // Parsed CSV awaiting column mapping
+        this.isRecording = false;
+        this.recording = null; // Free-run inputs captured in record mode
+        this.recordingMaxDuration = 300; // seconds
+        this.editorPatternKey = null; // Pattern shown in the JSON editor (null = unsaved draft)
+        this.patternEditorCanvas = null; // Visual editor, created when first opened
+        this.progressCharts = null; // Progress dashboard charts, created when first opened
+        this.lapCount = 1; // Laps per session (1 = single run, 0 = until stopped)
+        this.currentLap = 0; // Lap being driven (0-based)
+        this.lapStartTime = 0; // Session time the current lap started at
+        this.programMessage = null; // Program step outcome shown in the next session summary
+        this.pendingProgramStep = null; // Next program step, loaded once the summary is closed
+        this.adaptiveChanges = []; // Adaptive difficulty changes made during/after the current session
+        this.historyLimit = 50; // Session cards shown in the history list (newest first)
+        this.ghostRequest = 0; // Bumped on every ghost lookup so a slow, outdated one is ignored
+        this.lastSession = null; // Session saved by the latest run (shared from the summary)
+        this.challenge = null; // Shared challenge being driven: {pattern, challenge, ghost, ghostSamples}
+        this.calibrationFrameId = null; // Polling loop while the calibration wizard is open
+        this.devicesFrameId = null;     // Polling loop while the device list is open
+        this.deviceListKey = null;      // Devices and bindings the device list was last rendered for
+        this.pedalCurveChart = null;    // Pedal response preview, created when first opened
+        this.shapingFrameId = null;     // Polling loop while the pedal response editor is open
+        this.latencyFrameId = null;     // Polling loop while input latency is being measured
+        this.lastLatencyFrame = 0;
+        this.latencyCompensation = 0;   // ms the scored reference trails the display this session
+        this.keyboardFrameId = null;    // Live readout loop while keyboard setup is open
+        this.lastKeyboardFrame = 0;
+        this.keyCapture = null;         // {role, slot} waiting for a key press in keyboard setup
         
         // Session recording
         this.currentSession = {
             startTime: null,
             mode: null,
             settings: null,
+            pauses: [],
             samples: []
         };
         
@@ -47,6 +92,10 @@ class LiveTelemetryTrainer {
         this.elements = {
             startBtn: document.getElementById('startBtn'),
             resetBtn: document.getElementById('resetBtn'),
+            pauseBtn: document.getElementById('pauseBtn'),
+            recordBtn: document.getElementById('recordBtn'),
+            recordModal: document.getElementById('recordModal'),
+            countdownOverlay: document.getElementById('countdownOverlay'),
             beginnerMode: document.getElementById('beginnerMode'),
             advancedMode: document.getElementById('advancedMode'),
             modeInfo: document.getElementById('modeInfo'),
@@ -56,6 +105,7 @@ class LiveTelemetryTrainer {
             brakeValue: document.getElementById('brakeValue'),
             meanDeviation: document.getElementById('meanDeviation'),
             timingOffset: document.getElementById('timingOffset'),
+            timingBreakdown: document.getElementById('timingBreakdown'),
             smoothness: document.getElementById('smoothness'),
             accuracy: document.getElementById('accuracy'),
             summaryModal: document.getElementById('summaryModal'),
@@ -80,15 +130,141 @@ class LiveTelemetryTrainer {
             // Channel visibility toggles
             showThrottle: document.getElementById('showThrottle'),
             showBrake: document.getElementById('showBrake'),
+            // Ghost comparison
+            showGhost: document.getElementById('showGhost'),
+            ghostSession: document.getElementById('ghostSession'),
+            ghostDelta: document.getElementById('ghostDelta'),
+            // Reference variation
+            noiseSeedMode: document.getElementById('noiseSeedMode'),
+            noiseSeedValue: document.getElementById('noiseSeedValue'),
+            // Laps
+            lapCount: document.getElementById('lapCount'),
+            lapIndicator: document.getElementById('lapIndicator'),
+            // Training programs
+            programSelect: document.getElementById('programSelect'),
+            programDescription: document.getElementById('programDescription'),
+            programSteps: document.getElementById('programSteps'),
+            startProgram: document.getElementById('startProgram'),
+            leaveProgram: document.getElementById('leaveProgram'),
+            resetProgram: document.getElementById('resetProgram'),
+            importProgram: document.getElementById('importProgram'),
+            programStatus: document.getElementById('programStatus'),
+            // Adaptive difficulty
+            adaptiveMode: document.getElementById('adaptiveMode'),
+            adaptiveTarget: document.getElementById('adaptiveTarget'),
+            adaptiveTargetValue: document.getElementById('adaptiveTargetValue'),
+            adaptiveSuccessGrade: document.getElementById('adaptiveSuccessGrade'),
+            adaptiveLog: document.getElementById('adaptiveLog'),
             // Pattern display
             currentPattern: document.getElementById('currentPattern'),
             // Session history elements
             sessionHistory: document.getElementById('sessionHistory'),
             clearHistory: document.getElementById('clearHistory'),
+            historyPattern: document.getElementById('historyPattern'),
+            historyMode: document.getElementById('historyMode'),
+            historyPeriod: document.getElementById('historyPeriod'),
+            historyCount: document.getElementById('historyCount'),
+            storageUsage: document.getElementById('storageUsage'),
+            sessionExportFormat: document.getElementById('sessionExportFormat'),
             replayBanner: document.getElementById('replayBanner'),
+            // Progress dashboard
+            progressModal: document.getElementById('progressModal'),
+            progressPattern: document.getElementById('progressPattern'),
+            progressMode: document.getElementById('progressMode'),
+            progressWindow: document.getElementById('progressWindow'),
+            progressSummary: document.getElementById('progressSummary'),
             exitReplay: document.getElementById('exitReplay'),
+            // Pedals
+            pedalStatus: document.getElementById('pedalStatus'),
+            devicesModal: document.getElementById('devicesModal'),
+            pedalBindings: document.getElementById('pedalBindings'),
+            deviceList: document.getElementById('deviceList'),
+            latencyStatus: document.getElementById('latencyStatus'),
+            latencyModal: document.getElementById('latencyModal'),
+            latencyDevice: document.getElementById('latencyDevice'),
+            latencyCue: document.getElementById('latencyCue'),
+            latencyPrompt: document.getElementById('latencyPrompt'),
+            latencyResult: document.getElementById('latencyResult'),
+            latencySave: document.getElementById('latencySave'),
+            shapingModal: document.getElementById('shapingModal'),
+            shapingChannel: document.getElementById('shapingChannel'),
+            shapingReadout: document.getElementById('shapingReadout'),
+            shapingCurve: document.getElementById('shapingCurve'),
+            shapingLinearise: document.getElementById('shapingLinearise'),
+            shapingGammaItem: document.getElementById('shapingGammaItem'),
+            shapingLineariseItem: document.getElementById('shapingLineariseItem'),
+            shapingForceItem: document.getElementById('shapingForceItem'),
+            // Pedal response sliders and their value labels, by setting
+            shapingSliders: {
+                innerDeadzone: document.getElementById('shapingInnerDeadzone'),
+                outerDeadzone: document.getElementById('shapingOuterDeadzone'),
+                saturation: document.getElementById('shapingSaturation'),
+                smoothing: document.getElementById('shapingSmoothing'),
+                gamma: document.getElementById('shapingGamma'),
+                forceExponent: document.getElementById('shapingForceExponent')
+            },
+            shapingValues: {
+                innerDeadzone: document.getElementById('shapingInnerDeadzoneValue'),
+                outerDeadzone: document.getElementById('shapingOuterDeadzoneValue'),
+                saturation: document.getElementById('shapingSaturationValue'),
+                smoothing: document.getElementById('shapingSmoothingValue'),
+                gamma: document.getElementById('shapingGammaValue'),
+                forceExponent: document.getElementById('shapingForceExponentValue')
+            },
+            keyboardStatus: document.getElementById('keyboardStatus'),
+            keyboardModal: document.getElementById('keyboardModal'),
+            keyThrottle: document.getElementById('keyThrottle'),
+            keyBrake: document.getElementById('keyBrake'),
+            keyPresets: document.getElementById('keyPresets'),
+            addKeyPreset: document.getElementById('addKeyPreset'),
+            keyboardProfile: document.getElementById('keyboardProfile'),
+            keyboardReadout: document.getElementById('keyboardReadout'),
+            keyboardRampUpItem: document.getElementById('keyboardRampUpItem'),
+            keyboardRampDownItem: document.getElementById('keyboardRampDownItem'),
+            keyboardResponseItem: document.getElementById('keyboardResponseItem'),
+            keyboardHoldItem: document.getElementById('keyboardHoldItem'),
+            // Keyboard emulation sliders and their value labels, by setting
+            keyboardSliders: {
+                rampUpRate: document.getElementById('keyboardRampUpRate'),
+                rampDownRate: document.getElementById('keyboardRampDownRate'),
+                responseTime: document.getElementById('keyboardResponseTime'),
+                holdDuration: document.getElementById('keyboardHoldDuration')
+            },
+            keyboardValues: {
+                rampUpRate: document.getElementById('keyboardRampUpRateValue'),
+                rampDownRate: document.getElementById('keyboardRampDownRateValue'),
+                responseTime: document.getElementById('keyboardResponseTimeValue'),
+                holdDuration: document.getElementById('keyboardHoldDurationValue')
+            },
+            calibrationModal: document.getElementById('calibrationModal'),
+            calibrationDevice: document.getElementById('calibrationDevice'),
+            calibrationPrompt: document.getElementById('calibrationPrompt'),
+            calibrationMeterFill: document.getElementById('calibrationMeterFill'),
+            calibrationResults: document.getElementById('calibrationResults'),
+            calibrationSave: document.getElementById('calibrationSave'),
+            challengeBanner: document.getElementById('challengeBanner'),
+            challengeText: document.getElementById('challengeText'),
+            shareChallenge: document.getElementById('shareChallenge'),
+            shareGhost: document.getElementById('shareGhost'),
             // Pattern editor elements
             patternSelect: document.getElementById('patternSelect'),
+            customPatternGroup: document.getElementById('customPatternGroup'),
+            newPattern: document.getElementById('newPattern'),
+            duplicatePattern: document.getElementById('duplicatePattern'),
+            renamePattern: document.getElementById('renamePattern'),
+            deletePattern: document.getElementById('deletePattern'),
+            patternHistory: document.getElementById('patternHistory'),
+            patternVersions: document.getElementById('patternVersions'),
+            patternReadOnly: document.getElementById('patternReadOnly'),
+            openVisualEditor: document.getElementById('openVisualEditor'),
+            patternEditorPanel: document.getElementById('patternEditorPanel'),
+            patternEditorStatus: document.getElementById('patternEditorStatus'),
+            editorUndo: document.getElementById('editorUndo'),
+            editorRedo: document.getElementById('editorRedo'),
+            editorAddSegment: document.getElementById('editorAddSegment'),
+            editorDeleteSegment: document.getElementById('editorDeleteSegment'),
+            editorCurve: document.getElementById('editorCurve'),
+            editorCurvePoints: document.getElementById('editorCurvePoints'),
             patternDescription: document.getElementById('patternDescription'),
             patternDuration: document.getElementById('patternDuration'),
             patternJSON: document.getElementById('patternJSON'),
@@ -97,14 +273,25 @@ class LiveTelemetryTrainer {
             saveCustomPattern: document.getElementById('saveCustomPattern'),
             exportPattern: document.getElementById('exportPattern'),
             importPattern: document.getElementById('importPattern'),
+            importCSV: document.getElementById('importCSV'),
+            extractPattern: document.getElementById('extractPattern'),
+            extractErrorBudget: document.getElementById('extractErrorBudget'),
+            extractErrorBudgetValue: document.getElementById('extractErrorBudgetValue'),
+            csvImportModal: document.getElementById('csvImportModal'),
+            generatePattern: document.getElementById('generatePattern'),
+            generateModal: document.getElementById('generateModal'),
             validatePattern: document.getElementById('validatePattern')
         };
 
         this.initializeEventListeners();
         this.updateUI();
         this.updateCurrentSettingsDisplay();
-        this.loadSessionHistory();
+        this.initializeSessionStore()
+            .catch(error => this.reportSessionStoreError('load session history', error));
         this.initializePatternEditor();
+        this.initializePrograms();
+        this.updateAdaptiveLog();
+        this.initializeShareLink();
     }
 
     /**
@@ -118,6 +305,8 @@ class LiveTelemetryTrainer {
         // Session controls
         this.elements.startBtn.addEventListener('click', () => this.toggleTraining());
         this.elements.resetBtn.addEventListener('click', () => this.reset());
+        this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
+        this.elements.recordBtn.addEventListener('click', () => this.toggleRecording());
 
         // Modal
         this.elements.closeModal.addEventListener('click', () => this.closeModal());
@@ -159,6 +348,40 @@ class LiveTelemetryTrainer {
         this.elements.showThrottle.addEventListener('change', () => this.updateChannelVisibility());
         this.elements.showBrake.addEventListener('change', () => this.updateChannelVisibility());
 
+        // Ghost comparison
+        this.elements.showGhost.addEventListener('change', () => {
+            this.graphRenderer.setGhostVisibility(this.elements.showGhost.checked);
+            if (!this.isRunning) this.applyGhost();
+        });
+        this.elements.ghostSession.addEventListener('change', () => {
+            if (!this.isRunning) this.applyGhost();
+        });
+
+        // Reference variation seed
+        this.elements.noiseSeedMode.addEventListener('change', () => {
+            if (!this.isRunning) this.applyNoiseSeed();
+        });
+
+        // Laps per session
+        this.elements.lapCount.addEventListener('change', (e) => {
+            this.lapCount = parseInt(e.target.value);
+            this.updateLapIndicator();
+            this.renderGraph();
+        });
+
+        // Training programs
+        this.elements.programSelect.addEventListener('change', () => this.updateProgramInfo());
+        this.elements.startProgram.addEventListener('click', () => this.startProgram());
+        this.elements.leaveProgram.addEventListener('click', () => this.leaveProgram());
+        this.elements.resetProgram.addEventListener('click', () => this.resetProgramProgress());
+        this.elements.importProgram.addEventListener('click', () => this.importProgramJSON());
+
+        // Adaptive difficulty
+        this.elements.adaptiveTarget.addEventListener('input', (e) => {
+            this.elements.adaptiveTargetValue.textContent = e.target.value + '%';
+        });
+        document.getElementById('clearAdaptiveLog').addEventListener('click', () => this.clearAdaptiveLog());
+
         // Graph zoom controls
         document.getElementById('zoomIn').addEventListener('click', () => this.adjustGraphZoom(1));
         document.getElementById('zoomOut').addEventListener('click', () => this.adjustGraphZoom(-1));
@@ -171,19 +394,140 @@ class LiveTelemetryTrainer {
 
         // Session history
         this.elements.clearHistory.addEventListener('click', () => this.clearAllHistory());
+        document.getElementById('exportSessions').addEventListener('click', () => this.exportAllSessions());
+        document.getElementById('importSessions').addEventListener('click', () => this.importSessions());
+        [this.elements.historyPattern, this.elements.historyMode, this.elements.historyPeriod].forEach(select => {
+            select.addEventListener('change', () => {
+                this.loadSessionHistory().catch(error => this.reportSessionStoreError('load session history', error));
+            });
+        });
+        document.getElementById('openProgress').addEventListener('click', () => this.openProgressDashboard());
+
+        // Progress dashboard - any filter change redraws the charts
+        [this.elements.progressPattern, this.elements.progressMode, this.elements.progressWindow].forEach(select => {
+            select.addEventListener('change', () => this.renderProgressDashboard());
+        });
+        document.getElementById('closeProgress').addEventListener('click', () => this.closeProgressDashboard());
+        document.getElementById('clearProgress').addEventListener('click', () => this.clearProgress());
         this.elements.exitReplay.addEventListener('click', () => this.exitReplayMode());
 
+        // Pedals
+        this.inputHandler.onGamepadChange = () => {
+            this.updatePedalStatus();
+            this.updateLatencyStatus();
+        };
+        this.updatePedalStatus();
+        document.getElementById('showDevices').addEventListener('click', () => this.openDevices());
+        document.getElementById('devicesClose').addEventListener('click', () => this.closeDevices());
+        document.getElementById('calibratePedals').addEventListener('click', () => this.openCalibration());
+        document.getElementById('clearBindings').addEventListener('click', () => this.clearBindings());
+        document.getElementById('showShaping').addEventListener('click', () => this.openShaping());
+        document.getElementById('shapingClose').addEventListener('click', () => this.closeShaping());
+        document.getElementById('shapingReset').addEventListener('click', () => this.resetShaping());
+        this.elements.shapingChannel.addEventListener('change', () => this.renderShapingControls());
+        Object.keys(this.elements.shapingSliders).forEach(key => {
+            this.elements.shapingSliders[key].addEventListener('input', (e) => this.updateShaping({ [key]: parseFloat(e.target.value) }));
+        });
+        this.elements.shapingCurve.addEventListener('change', (e) => this.updateShaping({ curve: e.target.value }));
+        this.elements.shapingLinearise.addEventListener('change', (e) => this.updateShaping({ linearise: e.target.checked }));
+
+        // Keyboard
+        this.updateKeyboardStatus();
+        document.getElementById('keyboardSetup').addEventListener('click', () => this.openKeyboard());
+        document.getElementById('keyboardClose').addEventListener('click', () => this.closeKeyboard());
+        document.getElementById('keyboardReset').addEventListener('click', () => this.resetKeyboard());
+        this.elements.keyThrottle.addEventListener('click', () => this.captureKey('throttle'));
+        this.elements.keyBrake.addEventListener('click', () => this.captureKey('brake'));
+        this.elements.addKeyPreset.addEventListener('click', () => this.captureKey('preset', this.keyboardSettings.get().presets.length));
+        Object.keys(this.elements.keyboardSliders).forEach(key => {
+            this.elements.keyboardSliders[key].addEventListener('input', (e) => this.updateKeyboard({ [key]: parseFloat(e.target.value) }));
+        });
+        this.elements.keyboardProfile.addEventListener('change', (e) => this.updateKeyboard({ profile: e.target.value }));
+
+        // Input latency
+        this.updateLatencyStatus();
+        document.getElementById('measureLatency').addEventListener('click', () => this.openLatency());
+        document.getElementById('clearLatency').addEventListener('click', () => this.clearLatency());
+        this.elements.latencySave.addEventListener('click', () => this.saveLatency());
+        document.getElementById('latencyRestart').addEventListener('click', () => this.restartLatency());
+        document.getElementById('latencyCancel').addEventListener('click', () => this.closeLatency());
+        this.elements.calibrationSave.addEventListener('click', () => this.saveCalibration());
+        document.getElementById('calibrationRestart').addEventListener('click', () => this.restartCalibration());
+        document.getElementById('calibrationCancel').addEventListener('click', () => this.closeCalibration());
+
+        // Share links
+        document.getElementById('startChallenge').addEventListener('click', () => this.startChallenge());
+        document.getElementById('dismissChallenge').addEventListener('click', () => this.dismissChallenge());
+        document.getElementById('shareSession').addEventListener('click', () => this.shareSession());
+        document.getElementById('sharePattern').addEventListener('click', () => this.sharePattern());
+
         // Pattern editor
         this.elements.patternSelect.addEventListener('change', () => this.updatePatternInfo());
         this.elements.loadPattern.addEventListener('click', () => this.loadSelectedPattern());
         this.elements.saveCustomPattern.addEventListener('click', () => this.saveCustomPattern());
+        this.elements.newPattern.addEventListener('click', () => this.newPattern());
+        this.elements.duplicatePattern.addEventListener('click', () => this.duplicatePattern());
+        this.elements.renamePattern.addEventListener('click', () => this.renamePattern());
+        this.elements.deletePattern.addEventListener('click', () => this.deletePattern());
+        document.getElementById('restorePatternVersion').addEventListener('click', () => this.restorePatternVersion());
+
+        // Visual pattern editor - kept in sync with the JSON textarea both ways
+        this.elements.openVisualEditor.addEventListener('click', () => this.openVisualEditor());
+        document.getElementById('closePatternEditor').addEventListener('click', () => this.closeVisualEditor());
+        this.elements.editorUndo.addEventListener('click', () => this.patternEditorCanvas.undo());
+        this.elements.editorRedo.addEventListener('click', () => this.patternEditorCanvas.redo());
+        this.elements.editorAddSegment.addEventListener('click', () => this.patternEditorCanvas.appendSegment());
+        this.elements.editorDeleteSegment.addEventListener('click', () => this.patternEditorCanvas.deleteSelectedSegment());
+        this.elements.patternJSON.addEventListener('input', () => this.syncVisualEditorFromJSON());
+        this.elements.editorCurve.innerHTML = '<option value="">Curve: default (ease-in-out)</option>' +
+            SEGMENT_CURVES.map(curve => `<option value="${curve}">Curve: ${curve}</option>`).join('');
+        this.elements.editorCurve.addEventListener('change', () => this.applySelectedSegmentCurve());
+        this.elements.editorCurvePoints.addEventListener('change', () => this.applySelectedSegmentCurve());
         this.elements.exportPattern.addEventListener('click', () => this.exportPatternJSON());
         this.elements.importPattern.addEventListener('click', () => this.importPatternJSON());
+        this.elements.importCSV.addEventListener('click', () => this.importTelemetryCSV());
+        this.elements.extractPattern.addEventListener('click', () => this.extractPatternFromReference());
+        this.elements.extractErrorBudget.addEventListener('input', (e) => {
+            this.elements.extractErrorBudgetValue.textContent = '±' + e.target.value + '%';
+        });
+
+        // CSV import modal - any change refreshes the preview
+        this.elements.csvImportModal.querySelectorAll('select, input').forEach(field => {
+            field.addEventListener('input', () => this.updateCSVImportPreview());
+        });
+        document.getElementById('csvImportConfirm').addEventListener('click', () => this.confirmCSVImport());
+        document.getElementById('csvImportCancel').addEventListener('click', () => this.closeCSVImport());
         this.elements.validatePattern.addEventListener('click', () => this.validatePatternJSON());
 
+        // Record pattern dialog - trim/smoothing changes refresh the preview
+        this.elements.recordModal.querySelectorAll('input').forEach(field => {
+            field.addEventListener('input', () => this.updateRecordPreview());
+        });
+        document.getElementById('recordSave').addEventListener('click', () => this.saveRecordedPattern());
+        document.getElementById('recordDiscard').addEventListener('click', () => this.closeRecordModal());
+
+        // Generate pattern dialog - parameter changes regenerate the preview
+        this.elements.generatePattern.addEventListener('click', () => this.openGenerateModal());
+        this.elements.generateModal.querySelectorAll('input').forEach(field => {
+            field.addEventListener('input', () => this.updateGeneratePreview());
+        });
+        document.getElementById('generateReroll').addEventListener('click', () => {
+            document.getElementById('generateSeed').value = Math.floor(Math.random() * 1000000);
+            this.updateGeneratePreview();
+        });
+        document.getElementById('generateOpen').addEventListener('click', () => this.openGeneratedPattern());
+        document.getElementById('generateCancel').addEventListener('click', () => this.closeGenerateModal());
+
         // Window resize
         window.addEventListener('resize', () => {
             this.graphRenderer.handleResize();
+            // Canvas is cleared on resize; redraw the frozen frame while paused
+            if (this.isPaused) this.renderGraph();
+            if (this.isVisualEditorOpen()) this.patternEditorCanvas.handleResize();
+            if (this.isProgressDashboardOpen()) {
+                Object.values(this.progressCharts).forEach(chart => chart.handleResize());
+                this.renderProgressDashboard();
+            }
         });
 
         // Handle canvas resize on load and after layout settles
@@ -223,6 +567,18 @@ class LiveTelemetryTrainer {
         if (mode === 'beginner') {
             this.playbackSpeed = this.beginnerSettings.playbackSpeed;
             this.tolerance = this.beginnerSettings.tolerance;
+        } else {
+            this.playbackSpeed = 1.0;
+            this.tolerance = 8;
+        }
+        this.updateModeInfo();
+    }
+
+    /**
+     * Describe the current mode's settings under the mode buttons
+     */
+    updateModeInfo() {
+        if (this.trainingMode === 'beginner') {
             this.elements.modeInfo.innerHTML = `
                 <p><strong>Beginner Mode (Custom)</strong></p>
                 <p>• Speed: ${this.beginnerSettings.playbackSpeed}×</p>
@@ -230,8 +586,6 @@ class LiveTelemetryTrainer {
                 <p>• Brake Lock: ${this.beginnerSettings.brakeThreshold}%</p>
             `;
         } else {
-            this.playbackSpeed = 1.0;
-            this.tolerance = 8;
             this.elements.modeInfo.innerHTML = `
                 <p><strong>Advanced Mode</strong></p>
                 <p>• Overlap allowed</p>
@@ -245,7 +599,9 @@ class LiveTelemetryTrainer {
      * Toggle training session
      */
     toggleTraining() {
-        if (!this.isRunning) {
+        if (this.isRecording) {
+            this.stopRecording();
+        } else if (!this.isRunning) {
             this.start();
         } else {
             this.stop();
@@ -256,26 +612,56 @@ class LiveTelemetryTrainer {
      * Start training session
      */
     start() {
+        if (this.isRecording) return;
+
         this.isRunning = true;
+        this.isPaused = false;
+        this.activePause = null;
         this.lastFrameTime = performance.now();
         this.elements.startBtn.textContent = 'Stop';
         this.elements.startBtn.classList.add('active');
+        this.elements.pauseBtn.disabled = false;
         
         // Disable mode switching
         this.elements.beginnerMode.disabled = true;
         this.elements.advancedMode.disabled = true;
+        this.elements.lapCount.disabled = true;
+        this.adaptiveChanges = [];
+        this.lastSession = null;
 
         // Initialize session recording (only if not in replay mode)
         if (!this.isReplayMode) {
+            // Fresh variation of the reference for every run in random mode
+            if (this.elements.noiseSeedMode.value === 'random') {
+                this.applyNoiseSeed();
+            }
+
+            // Score against the reference the driver was reacting to (see InputLatency)
+            const inputDevice = this.inputHandler.getInputDevice();
+            this.latencyCompensation = this.inputLatency.getLatency(inputDevice);
+
             this.currentSession = {
                 startTime: new Date().toISOString(),
                 mode: this.trainingMode,
                 pattern: this.telemetryData.getPatternName(),
+                patternKey: this.telemetryData.getPatternKey(),
+                noiseSeed: this.telemetryData.getSeed(),
+                lapCount: this.lapCount,
                 settings: { ...this.beginnerSettings },
+                inputDevice,
+                latencyCompensation: this.latencyCompensation,
+                pauses: [],
                 samples: []
             };
         }
 
+        // Attribute samples to the pattern's labelled segments
+        this.scoringSystem.setSegments(this.telemetryData.getCurrentPattern().segments);
+        this.scoringSystem.setDifficulty(this.getReferenceDifficulty());
+
+        // Load ghost session for this run
+        this.applyGhost();
+
         // Auto-hide non-essential controls when training starts
         this.hideNonEssentialControls();
         
@@ -287,13 +673,23 @@ class LiveTelemetryTrainer {
      * Stop training session
      */
     stop() {
+        const wasRunning = this.isRunning;
+
+        // Close out any pause or resume countdown in progress
+        this.cancelCountdown();
+        if (this.isPaused) {
+            this.endPause();
+        }
+
         this.isRunning = false;
         this.elements.startBtn.textContent = 'Start Training';
         this.elements.startBtn.classList.remove('active');
+        this.elements.pauseBtn.disabled = true;
 
         // Enable mode switching
         this.elements.beginnerMode.disabled = false;
         this.elements.advancedMode.disabled = false;
+        this.elements.lapCount.disabled = false;
 
         // Show controls again
         this.showNonEssentialControls();
@@ -304,6 +700,9 @@ class LiveTelemetryTrainer {
             this.animationFrameId = null;
         }
 
+        // Nothing more to do when stopping an already stopped session (e.g. from reset)
+        if (!wasRunning) return;
+
         // Save session if not in replay mode and session was meaningful
         if (!this.isReplayMode && this.currentTime > 1 && this.currentSession.samples.length > 0) {
             this.saveSession();
@@ -315,23 +714,133 @@ class LiveTelemetryTrainer {
         }
     }
 
+    /**
+     * Toggle pause / resume
+     */
+    togglePause() {
+        if (!this.isRunning) return;
+
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Pause session - freezes simulation time, input integration and scoring
+     * The graph keeps showing the last frame
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+
+        this.isPaused = true;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        this.activePause = {
+            time: this.currentTime,
+            pausedAt: new Date().toISOString()
+        };
+
+        this.elements.pauseBtn.textContent = '▶ Resume';
+        this.elements.pauseBtn.classList.add('paused');
+        this.elements.countdownOverlay.textContent = 'Paused';
+        this.elements.countdownOverlay.classList.add('paused-label');
+        this.elements.countdownOverlay.style.display = 'flex';
+    }
+
+    /**
+     * Resume session after a short on-screen countdown
+     * Frame timing restarts after the countdown so there is no deltaTime jump
+     */
+    resume() {
+        if (!this.isPaused || this.countdownTimer) return;
+
+        this.runCountdown(() => {
+            this.endPause();
+
+            this.lastFrameTime = performance.now();
+            this.animate();
+        });
+    }
+
+    /**
+     * Show a 3-2-1 countdown over the graph, then call onComplete
+     */
+    runCountdown(onComplete) {
+        let remaining = 3;
+        this.elements.countdownOverlay.classList.remove('paused-label');
+        this.elements.countdownOverlay.textContent = remaining;
+        this.elements.countdownOverlay.style.display = 'flex';
+
+        this.countdownTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                this.elements.countdownOverlay.textContent = remaining;
+                return;
+            }
+
+            this.cancelCountdown();
+            this.elements.countdownOverlay.style.display = 'none';
+            onComplete();
+        }, 1000);
+    }
+
+    /**
+     * Record the finished pause interval and leave the paused state
+     */
+    endPause() {
+        if (this.activePause && !this.isReplayMode) {
+            const resumedAt = new Date();
+            this.currentSession.pauses.push({
+                ...this.activePause,
+                resumedAt: resumedAt.toISOString(),
+                durationMs: resumedAt - new Date(this.activePause.pausedAt)
+            });
+        }
+
+        this.isPaused = false;
+        this.activePause = null;
+        this.elements.pauseBtn.textContent = '⏸ Pause';
+        this.elements.pauseBtn.classList.remove('paused');
+        this.elements.countdownOverlay.style.display = 'none';
+    }
+
+    /**
+     * Stop a running resume countdown
+     */
+    cancelCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    }
+
     /**
      * Reset everything
      */
     reset() {
         this.stop();
         this.currentTime = 0;
+        this.currentLap = 0;
+        this.lapStartTime = 0;
+        this.updateLapIndicator();
         this.scoringSystem.reset();
         this.graphRenderer.clearHistory();
         this.inputHandler.reset();
         this.updateUI();
+        this.updateNoiseSeedDisplay();
+        this.updateChallengeBanner();
     }
 
     /**
      * Main animation loop (60 FPS target)
      */
     animate() {
-        if (!this.isRunning) return;
+        if (!this.isRunning || this.isPaused) return;
 
         const currentFrameTime = performance.now();
         const deltaTime = currentFrameTime - this.lastFrameTime;
@@ -340,13 +849,31 @@ class LiveTelemetryTrainer {
         // Update simulation time based on playback speed
         this.currentTime += (deltaTime / 1000) * this.playbackSpeed;
 
-        // Check if session is complete
+        // Check if the lap is complete - lap sessions roll straight into the next
+        // lap, everything else ends here
         const duration = this.telemetryData.getDuration();
-        if (this.currentTime >= duration) {
+        if (this.currentTime - this.lapStartTime >= duration) {
+            if (!this.isLapSession()) {
+                this.stop();
+                return;
+            }
+
+            this.completeLap();
+            const lapTarget = this.getLapTarget();
+            if (lapTarget > 0 && this.currentLap >= lapTarget) {
+                this.stop();
+                return;
+            }
+        }
+
+        // Lap replays end where the recording did
+        if (this.isReplayMode && this.isLapSession() && this.currentTime >= this.replayData.duration) {
             this.stop();
             return;
         }
 
+        const lapTime = this.currentTime - this.lapStartTime;
+
         let playerInput, referenceInput, deviation;
 
         if (this.isReplayMode && this.replayData) {
@@ -363,25 +890,27 @@ class LiveTelemetryTrainer {
                     this.currentTime,
                     playerInput,
                     referenceInput,
-                    this.tolerance
+                    this.tolerance,
+                    ((this.replayData.latencyCompensation || 0) / 1000) * this.playbackSpeed
                 );
             } else {
                 playerInput = { throttle: 0, brake: 0 };
-                referenceInput = this.telemetryData.getReferenceAt(this.currentTime);
+                referenceInput = this.telemetryData.getReferenceAt(lapTime);
                 deviation = 0;
             }
         } else {
             // Normal mode - capture live input
             this.inputHandler.update(deltaTime, this.trainingMode, this.beginnerSettings);
             playerInput = this.inputHandler.getInputs();
-            referenceInput = this.telemetryData.getReferenceAt(this.currentTime);
+            referenceInput = this.telemetryData.getReferenceAt(lapTime);
 
-            // Update scoring
+            // Update scoring - against the reference the measured input latency earlier
             deviation = this.scoringSystem.addSample(
                 this.currentTime,
                 playerInput,
                 referenceInput,
-                this.tolerance
+                this.tolerance,
+                (this.latencyCompensation / 1000) * this.playbackSpeed
             );
 
             // Record session data
@@ -403,11 +932,7 @@ class LiveTelemetryTrainer {
         );
 
         // Render graph
-        this.graphRenderer.render(
-            this.currentTime,
-            this.telemetryData.getAllData(),
-            this.trainingMode
-        );
+        this.renderGraph();
 
         // Update UI
         this.updateUI();
@@ -416,6 +941,18 @@ class LiveTelemetryTrainer {
         this.animationFrameId = requestAnimationFrame(() => this.animate());
     }
 
+    /**
+     * Render graph at the current simulation time
+     */
+    renderGraph() {
+        this.graphRenderer.render(
+            this.currentTime,
+            this.telemetryData.getAllData(),
+            this.trainingMode,
+            this.isLapSession() ? { duration: this.telemetryData.getDuration(), endTime: this.getSessionEndTime() } : null
+        );
+    }
+
     /**
      * Toggle side navigation
      */
@@ -428,52 +965,54 @@ class LiveTelemetryTrainer {
      */
     closeSideNav() {
         this.elements.sideNav.classList.remove('open');
+        this.closeVisualEditor();
     }
 
     /**
      * Load preset configuration
      */
     loadPreset(preset) {
+        const settings = this.getPresetSettings(preset);
+        if (!settings) return;
+
         // Update active button
         document.querySelectorAll('.preset-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.preset === preset);
         });
 
-        // Set slider values based on preset
-        let speed, tolerance, threshold, overlap;
-        
+        this.setSettingSliders(settings);
+    }
+
+    /**
+     * Beginner settings for a preset (null for unknown presets)
+     */
+    getPresetSettings(preset) {
         switch(preset) {
             case 'easy':
-                speed = 0.3;
-                tolerance = 20;
-                threshold = 5;
-                overlap = false;
-                break;
+                return { playbackSpeed: 0.3, tolerance: 20, brakeThreshold: 5, allowOverlap: false };
             case 'medium':
-                speed = 0.7;
-                tolerance = 15;
-                threshold = 10;
-                overlap = false;
-                break;
+                return { playbackSpeed: 0.7, tolerance: 15, brakeThreshold: 10, allowOverlap: false };
             case 'hard':
-                speed = 0.85;
-                tolerance = 12;
-                threshold = 15;
-                overlap = false;
-                break;
+                return { playbackSpeed: 0.85, tolerance: 12, brakeThreshold: 15, allowOverlap: false };
+            default:
+                return null;
         }
+    }
 
-        // Update sliders
-        this.elements.playbackSpeed.value = speed;
-        this.elements.speedValue.textContent = speed.toFixed(2) + '×';
+    /**
+     * Show settings on the custom settings sliders (not applied until Apply Settings)
+     */
+    setSettingSliders(settings) {
+        this.elements.playbackSpeed.value = settings.playbackSpeed;
+        this.elements.speedValue.textContent = settings.playbackSpeed.toFixed(2) + '×';
         
-        this.elements.tolerancePercent.value = tolerance;
-        this.elements.toleranceValue.textContent = '±' + tolerance + '%';
+        this.elements.tolerancePercent.value = settings.tolerance;
+        this.elements.toleranceValue.textContent = '±' + settings.tolerance + '%';
         
-        this.elements.brakeThreshold.value = threshold;
-        this.elements.thresholdValue.textContent = threshold + '%';
+        this.elements.brakeThreshold.value = settings.brakeThreshold;
+        this.elements.thresholdValue.textContent = settings.brakeThreshold + '%';
         
-        this.elements.allowOverlap.checked = overlap;
+        this.elements.allowOverlap.checked = settings.allowOverlap;
     }
 
     /**
@@ -485,6 +1024,19 @@ class LiveTelemetryTrainer {
             return;
         }
 
+        this.applyBeginnerSettings();
+
+        // Close side nav
+        this.closeSideNav();
+
+        // Show confirmation
+        alert('Settings applied successfully!');
+    }
+
+    /**
+     * Read the custom settings sliders into the beginner settings
+     */
+    applyBeginnerSettings() {
         // Update beginner settings
         this.beginnerSettings = {
             playbackSpeed: parseFloat(this.elements.playbackSpeed.value),
@@ -502,12 +1054,6 @@ class LiveTelemetryTrainer {
 
         // Update current settings display
         this.updateCurrentSettingsDisplay();
-
-        // Close side nav
-        this.closeSideNav();
-
-        // Show confirmation
-        alert('Settings applied successfully!');
     }
 
     /**
@@ -559,6 +1105,11 @@ class LiveTelemetryTrainer {
         const showThrottle = this.elements.showThrottle.checked;
         const showBrake = this.elements.showBrake.checked;
         this.graphRenderer.setChannelVisibility(showThrottle, showBrake);
+
+        if (this.patternEditorCanvas) {
+            this.patternEditorCanvas.setChannelVisibility(showThrottle, showBrake);
+            this.patternEditorCanvas.render();
+        }
     }
 
     /**
@@ -570,6 +1121,25 @@ class LiveTelemetryTrainer {
             return;
         }
 
+        // Keys are presses while input latency is being measured
+        if (this.latencyFrameId !== null) {
+            return;
+        }
+
+        // Keyboard setup: a key press binds a key, otherwise keys are being tried out
+        if (this.keyboardFrameId !== null) {
+            if (this.keyCapture) {
+                e.preventDefault();
+                this.bindCapturedKey(e);
+            }
+            return;
+        }
+
+        // Visual editor shortcuts while it is open
+        if (this.isVisualEditorOpen() && this.handleVisualEditorShortcut(e)) {
+            return;
+        }
+
         switch(e.code) {
             case 'Space':
             case 'Enter':
@@ -578,12 +1148,18 @@ class LiveTelemetryTrainer {
                 break;
             case 'Escape':
                 e.preventDefault();
-                if (this.isRunning) {
+                if (this.isRecording) {
+                    this.stopRecording();
+                } else if (this.isRunning) {
                     this.stop();
                 } else {
                     this.reset();
                 }
                 break;
+            case 'KeyP':
+                e.preventDefault();
+                this.togglePause();
+                break;
             case 'KeyR':
                 if (e.ctrlKey || e.metaKey) {
                     e.preventDefault();
@@ -685,7 +1261,10 @@ class LiveTelemetryTrainer {
         if (this.isRunning) {
             const scores = this.scoringSystem.getCurrentScores();
             this.elements.meanDeviation.textContent = scores.meanDeviation + '%';
-            this.elements.timingOffset.textContent = scores.timingOffset + 'ms';
+            this.elements.timingOffset.textContent = this.formatTimingOffset(scores.timingOffset);
+            this.elements.timingBreakdown.textContent =
+                `Brake ${this.formatTimingOffset(scores.brakeTimingOffset)} · ` +
+                `Throttle ${this.formatTimingOffset(scores.throttleTimingOffset)}`;
             this.elements.smoothness.textContent = scores.smoothness + '%';
             this.elements.accuracy.textContent = scores.accuracy;
 
@@ -698,9 +1277,27 @@ class LiveTelemetryTrainer {
             } else {
                 this.elements.accuracy.classList.add('bad');
             }
+
+            // Ghost delta (negative = ahead of ghost)
+            const ghostDelta = this.elements.showGhost.checked ? this.scoringSystem.getGhostDelta() : null;
+            this.elements.ghostDelta.className = 'score-value ghost-delta';
+            if (ghostDelta === null) {
+                this.elements.ghostDelta.textContent = '--';
+            } else {
+                this.elements.ghostDelta.textContent = (ghostDelta > 0 ? '+' : '') + ghostDelta.toFixed(1) + '%';
+                this.elements.ghostDelta.classList.add(ghostDelta <= 0 ? 'ahead' : 'behind');
+            }
         }
     }
 
+    /**
+     * Format a signed timing offset (null = not measurable)
+     */
+    formatTimingOffset(offsetMs) {
+        if (offsetMs === null || offsetMs === undefined) return '--ms';
+        return (offsetMs > 0 ? '+' : '') + offsetMs + 'ms';
+    }
+
     /**
      * Update circular gauge display
      */
@@ -729,9 +1326,13 @@ class LiveTelemetryTrainer {
 
         document.getElementById('summaryPattern').textContent = this.telemetryData.getPatternName();
         document.getElementById('summaryDeviation').textContent = summary.meanDeviation + '%';
-        document.getElementById('summaryOffset').textContent = summary.timingOffset + 'ms';
+        document.getElementById('summaryOffset').textContent = this.formatTimingOffset(summary.timingOffset);
+        document.getElementById('summaryBrakeOffset').textContent = this.formatTimingOffset(summary.brakeTimingOffset);
+        document.getElementById('summaryThrottleOffset').textContent = this.formatTimingOffset(summary.throttleTimingOffset);
         document.getElementById('summarySmoothness').textContent = summary.smoothness + '%';
         document.getElementById('summaryGrade').textContent = summary.grade;
+        document.getElementById('summaryDifficulty').textContent = summary.difficulty === null ? '' :
+            `Difficulty ${summary.difficulty.toFixed(1)}/10 · graded at ±${summary.adjustedTolerance}% (±${this.tolerance}% set)`;
 
         // Color code grade
         const gradeElement = document.getElementById('summaryGrade');
@@ -744,18 +1345,106 @@ class LiveTelemetryTrainer {
             gradeElement.style.color = '#ff3344';
         }
 
+        this.renderLapBreakdown(summary.laps, summary.lapStats);
+        this.renderSegmentBreakdown(summary.segments);
+
+        // Outcome for the training program step (empty outside programs)
+        document.getElementById('summaryProgram').textContent = this.programMessage || '';
+        this.programMessage = null;
+        document.getElementById('summaryAdaptive').innerHTML = this.adaptiveChanges
+            .map(change => `⚙ ${this.adaptiveDifficulty.describeChange(change)}`)
+            .join('<br>');
+
+        // Result against a shared challenge; a saved run can be shared as a new one
+        document.getElementById('summaryChallenge').textContent = this.getChallengeResult(summary);
+        this.elements.shareChallenge.style.display = this.lastSession ? 'flex' : 'none';
+
         this.elements.summaryModal.style.display = 'flex';
     }
 
+    /**
+     * Render the lap table in the summary modal with best/worst lap and consistency
+     */
+    renderLapBreakdown(laps, lapStats) {
+        const container = document.getElementById('lapBreakdown');
+        if (!laps || laps.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('lapTableBody').innerHTML = laps.map(lap => {
+            const gradeClass = lap.grade.startsWith('A') ? 'good' : (lap.grade === 'B' || lap.grade === 'C') ? 'ok' : 'bad';
+            const rowClass = laps.length > 1 && lap.lap === lapStats.best ? 'best' :
+                (laps.length > 1 && lap.lap === lapStats.worst ? 'worst' : '');
+            return `
+                <tr class="${rowClass}">
+                    <td>Lap ${lap.lap}</td>
+                    <td>${lap.meanDeviation}%</td>
+                    <td>B ${this.formatTimingOffset(lap.brakeTimingOffset)}<br>T ${this.formatTimingOffset(lap.throttleTimingOffset)}</td>
+                    <td>${lap.smoothness}%</td>
+                    <td class="session-grade ${gradeClass}">${lap.grade}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('lapStats').textContent = laps.length > 1 ?
+            `Best: Lap ${lapStats.best} · Worst: Lap ${lapStats.worst} · Consistency: ±${lapStats.consistency.toFixed(2)}% (std dev of lap deviation)` :
+            'Complete more laps to measure consistency';
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Render per-segment table in the summary modal, worst three highlighted
+     */
+    renderSegmentBreakdown(segments) {
+        const container = document.getElementById('segmentBreakdown');
+        if (!segments || segments.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const formatRange = (range) => `${range[0].toFixed(1)}–${range[1].toFixed(1)}s`;
+
+        document.getElementById('segmentTableBody').innerHTML = segments.map(segment => {
+            const gradeClass = segment.grade.startsWith('A') ? 'good' : (segment.grade === 'B' || segment.grade === 'C') ? 'ok' : 'bad';
+            return `
+                <tr class="${segment.worst ? 'worst' : ''}">
+                    <td class="segment-label"></td>
+                    <td>${formatRange(segment.timeRange)}</td>
+                    <td>${segment.meanDeviation}%</td>
+                    <td>B ${this.formatTimingOffset(segment.brakeTimingOffset)}<br>T ${this.formatTimingOffset(segment.throttleTimingOffset)}</td>
+                    <td>${segment.smoothness}%</td>
+                    <td class="session-grade ${gradeClass}">${segment.grade}</td>
+                </tr>
+            `;
+        }).join('');
+
+        // Labels come from the pattern (possibly a shared link), so they go in as text
+        document.querySelectorAll('#segmentTableBody .segment-label').forEach((cell, i) => {
+            cell.textContent = segments[i].label;
+        });
+
+        const worst = segments
+            .filter(segment => segment.worst)
+            .sort((a, b) => parseFloat(b.meanDeviation) - parseFloat(a.meanDeviation));
+        document.getElementById('segmentFocus').textContent = 'Focus on: ' + worst
+            .map(segment => `${segment.label} (${formatRange(segment.timeRange)}, ${segment.meanDeviation}%)`)
+            .join(' · ');
+
+        container.style.display = 'block';
+    }
+
     /**
      * Close summary modal
      */
     closeModal() {
         this.elements.summaryModal.style.display = 'none';
+        this.applyPendingProgramStep();
     }
 
     /**
-     * Save completed session to localStorage
+     * Save completed session to the session store
      */
     saveSession() {
         const summary = this.scoringSystem.getSessionSummary(this.tolerance);
@@ -765,49 +1454,120 @@ class LiveTelemetryTrainer {
             timestamp: this.currentSession.startTime,
             mode: this.currentSession.mode,
             pattern: this.currentSession.pattern,
+            patternKey: this.currentSession.patternKey,
+            noiseSeed: this.currentSession.noiseSeed,
+            lapCount: this.currentSession.lapCount,
             settings: this.currentSession.settings,
+            inputDevice: this.currentSession.inputDevice,
+            latencyCompensation: this.currentSession.latencyCompensation,
             duration: this.currentTime,
+            pauses: this.currentSession.pauses || [],
+            adaptiveChanges: [...this.adaptiveChanges],
             summary: summary,
             samples: this.currentSession.samples
         };
+        this.lastSession = sessionData;
 
-        // Get existing sessions
-        let sessions = JSON.parse(localStorage.getItem('telemetryTrainingSessions') || '[]');
-        
-        // Add new session
-        sessions.unshift(sessionData); // Add to beginning
-        
-        // Keep only last 20 sessions
-        if (sessions.length > 20) {
-            sessions = sessions.slice(0, 20);
+        // Store in the background - the summary doesn't wait for it
+        this.sessionStore.save(sessionData)
+            .then(() => this.loadSessionHistory())
+            .catch(error => {
+                console.error('Failed to save session:', error);
+                alert(error.quota ?
+                    'Session could not be saved: storage is full. Delete old sessions from Session History to make room.' :
+                    `Session could not be saved: ${error.message}`);
+            });
+
+        // Long-term progress is kept separately as a compact summary
+        try {
+            this.progressHistory.add(sessionData);
+        } catch (error) {
+            console.error(error);
         }
-        
-        // Save to localStorage
-        localStorage.setItem('telemetryTrainingSessions', JSON.stringify(sessions));
-        
-        // Reload history display
-        this.loadSessionHistory();
+
+        // Count toward the training program being followed
+        this.recordProgramResult(sessionData);
+
+        // Tune speed/tolerance for the next run
+        this.adaptDifficulty('run', summary.grade);
+    }
+
+    /**
+     * Open the session store (moving old localStorage sessions into it), then show history
+     */
+    async initializeSessionStore() {
+        await this.sessionStore.open();
+        if (this.sessionStore.unmigrated > 0) {
+            alert(`${this.sessionStore.unmigrated} saved session${this.sessionStore.unmigrated === 1 ? ' was' : 's were'} ` +
+                'damaged and could not be moved to the new session storage. They are kept aside in localStorage ' +
+                `under "${this.sessionStore.options.unmigratedKey}".`);
+        }
+        await this.loadSessionHistory();
+        await this.initializeProgressHistory();
+    }
+
+    /**
+     * Tell the driver a session storage operation failed (storage full, upgrade
+     * blocked by another tab, private browsing...)
+     */
+    reportSessionStoreError(action, error) {
+        console.error(`Failed to ${action}:`, error);
+        alert(error.quota ?
+            `Could not ${action}: storage is full. Delete old sessions from Session History to make room.` :
+            `Could not ${action}: ${error.message}`);
+    }
+
+    /**
+     * Session history filter from the pattern, mode and date pickers
+     */
+    getHistoryFilter() {
+        const days = parseInt(this.elements.historyPeriod.value);
+        let from = null;
+        if (days) {
+            from = new Date();
+            from.setHours(0, 0, 0, 0);
+            from.setDate(from.getDate() - (days - 1));
+        }
+
+        return {
+            pattern: this.elements.historyPattern.value || null,
+            mode: this.elements.historyMode.value || null,
+            from
+        };
     }
 
     /**
-     * Load and display session history
+     * Load and display session history (newest sessions matching the filters)
      */
-    loadSessionHistory() {
-        const sessions = JSON.parse(localStorage.getItem('telemetryTrainingSessions') || '[]');
+    async loadSessionHistory() {
+        const filter = this.getHistoryFilter();
+        const [sessions, recent, patterns] = await Promise.all([
+            this.sessionStore.list(filter),
+            this.sessionStore.list({ limit: this.historyLimit }),
+            this.sessionStore.getPatterns()
+        ]);
         const container = this.elements.sessionHistory;
         
+        this.updateGhostPicker(recent);
+        this.updateHistoryPatternOptions(patterns);
+        this.updateStorageUsage();
+
+        this.elements.historyCount.textContent = sessions.length > this.historyLimit ?
+            `Showing newest ${this.historyLimit} of ${sessions.length} sessions` : '';
+
         if (sessions.length === 0) {
-            container.innerHTML = '<p class="no-sessions">No recorded sessions yet</p>';
+            const filtered = filter.pattern || filter.mode || filter.from;
+            container.innerHTML = `<p class="no-sessions">${filtered ? 'No sessions match these filters' : 'No recorded sessions yet'}</p>`;
             return;
         }
         
-        container.innerHTML = sessions.map(session => {
+        const listed = sessions.slice(0, this.historyLimit);
+        container.innerHTML = listed.map(session => {
             const date = new Date(session.timestamp);
             const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
             const grade = session.summary.grade;
             const gradeClass = grade.startsWith('A') ? 'good' : (grade === 'B' || grade === 'C') ? 'ok' : 'bad';
-            const patternName = session.pattern || 'Race Track'; // Default for old sessions
-            
+
             return `
                 <div class="session-item" data-session-id="${session.id}">
                     <div class="session-header">
@@ -815,33 +1575,85 @@ class LiveTelemetryTrainer {
                         <span class="session-grade ${gradeClass}">${grade}</span>
                     </div>
                     <div class="session-details">
-                        <p><strong>Pattern:</strong> ${patternName}</p>
+                        <p><strong>Pattern:</strong> <span class="session-pattern"></span></p>
                         <p><strong>Mode:</strong> ${session.mode === 'beginner' ? 'Beginner' : 'Advanced'}</p>
-                        <p><strong>Deviation:</strong> ${session.summary.meanDeviation}%</p>
-                        <p><strong>Smoothness:</strong> ${session.summary.smoothness}%</p>
+                        ${session.summary.difficulty != null ? `<p><strong>Difficulty:</strong> ${session.summary.difficulty.toFixed(1)}/10</p>` : ''}
+                        ${session.summary.lapStats ? `<p><strong>Laps:</strong> ${session.summary.laps.length} · consistency ±${session.summary.lapStats.consistency.toFixed(2)}%</p>` : ''}
+                        <p><strong>Deviation:</strong> <span class="session-deviation"></span>%</p>
+                        <p><strong>Smoothness:</strong> <span class="session-smoothness"></span>%</p>
                         <p><strong>Duration:</strong> ${session.duration.toFixed(1)}s</p>
+                        ${session.pauses && session.pauses.length > 0 ? `<p><strong>Pauses:</strong> ${session.pauses.map(p => p.time.toFixed(1) + 's').join(', ')}</p>` : ''}
+                        ${session.importedAt ? `<p><strong>Imported:</strong> ${new Date(session.importedAt).toLocaleDateString()}</p>` : ''}
                     </div>
                     <div class="session-actions">
                         <button class="replay-btn" onclick="app.replaySession(${session.id})">Replay</button>
+                        <button class="replay-btn" onclick="app.extractPatternFromSession(${session.id})">To Pattern</button>
+                        <button class="replay-btn" onclick="app.exportSession(${session.id})">Export</button>
                         <button class="delete-btn" onclick="app.deleteSession(${session.id})">Delete</button>
                     </div>
                 </div>
             `;
         }).join('');
+
+        // Imported sessions can carry any text, so it goes in as text
+        container.querySelectorAll('.session-item').forEach((item, i) => {
+            const session = listed[i];
+            item.querySelector('.session-pattern').textContent = session.pattern || 'Race Track'; // Default for old sessions
+            item.querySelector('.session-deviation').textContent = session.summary.meanDeviation;
+            item.querySelector('.session-smoothness').textContent = session.summary.smoothness;
+        });
+    }
+
+    /**
+     * Rebuild the history pattern filter, keeping the current choice
+     */
+    updateHistoryPatternOptions(patterns) {
+        const select = this.elements.historyPattern;
+        const previous = select.value;
+        select.innerHTML = '';
+        select.add(new Option('All patterns', ''));
+        patterns.forEach(name => select.add(new Option(name, name)));
+        select.value = patterns.includes(previous) ? previous : '';
+    }
+
+    /**
+     * Show how much browser storage the saved sessions take
+     */
+    async updateStorageUsage() {
+        const element = this.elements.storageUsage;
+        if (this.sessionStore.backend === 'localStorage') {
+            element.textContent = `Saved in localStorage - only the newest ${this.sessionStore.options.fallbackLimit} sessions are kept`;
+            return;
+        }
+
+        const estimate = await this.sessionStore.getUsage();
+        if (!estimate || !estimate.quota) {
+            element.textContent = '';
+            return;
+        }
+
+        const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        const percent = Math.round((estimate.usage / estimate.quota) * 100);
+        element.textContent = `Storage used: ${toMB(estimate.usage)} MB of ${toMB(estimate.quota)} MB (${percent}%)`;
     }
 
     /**
      * Replay a saved session
      */
-    replaySession(sessionId) {
+    async replaySession(sessionId) {
         if (this.isRunning) {
             alert('Please stop current session before replaying.');
             return;
         }
 
-        const sessions = JSON.parse(localStorage.getItem('telemetryTrainingSessions') || '[]');
-        const session = sessions.find(s => s.id === sessionId);
-        
+        let session;
+        try {
+            session = await this.sessionStore.get(sessionId);
+        } catch (error) {
+            this.reportSessionStoreError('load the session', error);
+            return;
+        }
+
         if (!session) {
             alert('Session not found.');
             return;
@@ -891,28 +1703,1860 @@ class LiveTelemetryTrainer {
     /**
      * Delete a session
      */
-    deleteSession(sessionId) {
+    async deleteSession(sessionId) {
         if (!confirm('Delete this session?')) {
             return;
         }
 
-        let sessions = JSON.parse(localStorage.getItem('telemetryTrainingSessions') || '[]');
-        sessions = sessions.filter(s => s.id !== sessionId);
-        localStorage.setItem('telemetryTrainingSessions', JSON.stringify(sessions));
-        
-        this.loadSessionHistory();
+        try {
+            await this.sessionStore.delete(sessionId);
+        } catch (error) {
+            this.reportSessionStoreError('delete the session', error);
+            return;
+        }
+        this.progressHistory.remove(sessionId);
+
+        this.loadSessionHistory().catch(error => this.reportSessionStoreError('load session history', error));
+    }
+
+    /**
+     * Clear all session history
+     */
+    async clearAllHistory() {
+        if (!confirm('Clear all session history? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await this.sessionStore.clear();
+        } catch (error) {
+            this.reportSessionStoreError('clear session history', error);
+            return;
+        }
+
+        this.loadSessionHistory().catch(error => this.reportSessionStoreError('load session history', error));
+    }
+
+    /**
+     * Export one saved session in the chosen format
+     */
+    async exportSession(sessionId) {
+        let session;
+        try {
+            session = await this.sessionStore.get(sessionId);
+        } catch (error) {
+            this.reportSessionStoreError('load the session', error);
+            return;
+        }
+        if (!session) {
+            alert('Session not found.');
+            return;
+        }
+        this.writeSessionExport([session]);
+    }
+
+    /**
+     * Export every saved session (newest first) in the chosen format
+     */
+    async exportAllSessions() {
+        let sessions;
+        try {
+            const listed = await this.sessionStore.list();
+            sessions = await Promise.all(listed.map(session => this.sessionStore.get(session.id)));
+        } catch (error) {
+            this.reportSessionStoreError('load sessions to export', error);
+            return;
+        }
+        if (sessions.length === 0) {
+            alert('No sessions to export.');
+            return;
+        }
+        this.writeSessionExport(sessions);
+    }
+
+    /**
+     * Download sessions as JSON (full sessions) or CSV (samples)
+     */
+    writeSessionExport(sessions) {
+        const exporter = this.sessionExporter;
+        const csv = this.elements.sessionExportFormat.value === 'csv';
+
+        try {
+            this.downloadFile(
+                csv ? exporter.toCSV(sessions) : exporter.toJSON(sessions),
+                exporter.getFileName(sessions, csv ? 'csv' : 'json'),
+                csv ? 'text/csv' : 'application/json'
+            );
+        } catch (error) {
+            alert(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import sessions from a JSON export (e.g. from a teammate)
+     * Sessions already in history (same id) are skipped
+     */
+    importSessions() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = async (event) => {
+                let added = 0;
+                let skipped = 0;
+
+                try {
+                    const sessions = this.sessionExporter.parse(event.target.result);
+                    const seen = new Set();
+
+                    for (const session of sessions) {
+                        if (seen.has(session.id) || await this.sessionStore.has(session.id)) {
+                            skipped++;
+                            continue;
+                        }
+                        seen.add(session.id);
+                        await this.sessionStore.save({ ...session, importedAt: new Date().toISOString() });
+                        added++;
+                    }
+
+                    alert(`Imported ${added} session${added === 1 ? '' : 's'}` +
+                        (skipped > 0 ? ` (${skipped} already in history)` : '') + '.');
+                } catch (error) {
+                    alert(error.quota ?
+                        `Import stopped after ${added} session${added === 1 ? '' : 's'}: storage is full.` :
+                        `Session import failed: ${error.message}`);
+                }
+
+                this.loadSessionHistory().catch(error => this.reportSessionStoreError('load session history', error));
+            };
+
+            reader.readAsText(file);
+        };
+
+        input.click();
+    }
+
+    /**
+     * Save text as a downloaded file
+     */
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // ==================== LAP METHODS ====================
+
+    /**
+     * Laps to drive in the current session (replays use the recorded setting)
+     * 1 = single run, 0 = until stopped
+     */
+    getLapTarget() {
+        if (this.isReplayMode && this.replayData) {
+            return this.replayData.lapCount !== undefined ? this.replayData.lapCount : 1;
+        }
+        return this.lapCount;
+    }
+
+    /**
+     * Whether the pattern repeats (lap session) rather than ending after one run
+     */
+    isLapSession() {
+        return this.getLapTarget() !== 1;
+    }
+
+    /**
+     * Session time the last lap ends at (Infinity while driving until stopped)
+     */
+    getSessionEndTime() {
+        const lapTarget = this.getLapTarget();
+        if (lapTarget > 0) return lapTarget * this.telemetryData.getDuration();
+        return this.isReplayMode && this.replayData ? this.replayData.duration : Infinity;
+    }
+
+    /**
+     * Close out the lap that just ended and start the next one
+     */
+    completeLap() {
+        const lapEnd = this.lapStartTime + this.telemetryData.getDuration();
+        const lap = this.scoringSystem.completeLap(this.tolerance, lapEnd);
+
+        this.lapStartTime = lapEnd;
+        this.currentLap++;
+        if (!this.isReplayMode) {
+            this.updateGhostFromLap(lap);
+            this.adaptDifficulty('lap', lap.grade);
+        }
+        this.updateLapIndicator();
+    }
+
+    /**
+     * Race the best lap so far: a lap that beats the ghost becomes the new ghost
+     */
+    updateGhostFromLap(lap) {
+        if (!this.elements.showGhost.checked) return;
+
+        const ghostMean = this.scoringSystem.getGhostMeanDeviation();
+        if (ghostMean !== null && parseFloat(lap.meanDeviation) >= ghostMean) return;
+
+        const samples = this.getLapSamples(this.currentSession.samples, lap);
+        this.graphRenderer.setGhostSamples(samples);
+        this.scoringSystem.setGhost(samples);
+    }
+
+    /**
+     * Samples of one lap with times made relative to the lap start
+     */
+    getLapSamples(samples, lap) {
+        return samples
+            .filter(sample => sample.time >= lap.startTime && sample.time < lap.startTime + lap.duration)
+            .map(sample => ({ ...sample, time: sample.time - lap.startTime }));
+    }
+
+    /**
+     * Show "Lap n / N" under the current pattern during lap sessions
+     */
+    updateLapIndicator() {
+        const lapTarget = this.getLapTarget();
+        this.elements.lapIndicator.style.display = this.isLapSession() ? 'block' : 'none';
+        this.elements.lapIndicator.textContent = `Lap ${this.currentLap + 1} / ${lapTarget > 0 ? lapTarget : '∞'}`;
+    }
+
+    // ==================== TRAINING PROGRAM METHODS ====================
+
+    /**
+     * Fill the program picker and pick up the program being followed, if any
+     */
+    initializePrograms() {
+        this.updateProgramOptions();
+
+        const active = this.getActiveProgram();
+        if (active) {
+            this.elements.programSelect.value = active.key;
+            if (!active.progress.completedAt) {
+                try {
+                    this.applyProgramStep(active.program.steps[active.progress.stepIndex]);
+                } catch (error) {
+                    console.error('Failed to resume training program:', error);
+                }
+            }
+        }
+
+        this.updateProgramInfo();
+        this.updateProgramStatus();
+    }
+
+    /**
+     * List built-in and imported programs in the program picker
+     */
+    updateProgramOptions() {
+        const select = this.elements.programSelect;
+        const previous = select.value;
+        const programs = this.programTracker.getPrograms();
+        const option = (key) => `<option value="${key}">${programs[key].name}</option>`;
+
+        const customKeys = Object.keys(programs).filter(key => this.programTracker.isCustom(key));
+        select.innerHTML = `<optgroup label="Built-in Programs">${Object.keys(TRAINING_PROGRAMS).map(option).join('')}</optgroup>` +
+            (customKeys.length > 0 ? `<optgroup label="Imported Programs">${customKeys.map(option).join('')}</optgroup>` : '');
+
+        if (programs[previous]) select.value = previous;
+    }
+
+    /**
+     * The program being followed: {key, program, progress} (null if none)
+     */
+    getActiveProgram() {
+        const key = this.programTracker.getActive();
+        if (!key) return null;
+        return { key, program: this.programTracker.getProgram(key), progress: this.programTracker.getProgress(key) };
+    }
+
+    /**
+     * Show the selected program's steps with their progress
+     */
+    updateProgramInfo() {
+        const key = this.elements.programSelect.value;
+        const program = this.programTracker.getProgram(key);
+        if (!program) return;
+
+        const progress = this.programTracker.getProgress(key);
+        const isActive = this.programTracker.getActive() === key;
+        const stepIndex = progress ? progress.stepIndex : 0;
+
+        this.elements.programDescription.textContent = program.description || '';
+        this.elements.programSteps.innerHTML = program.steps.map((step, i) => {
+            const status = progress && i < stepIndex ? 'done' : (progress && i === stepIndex ? 'current' : '');
+            return `
+                <li class="${status}">
+                    <strong>${this.getProgramStepLabel(step, i)}</strong> · ${this.describeProgramStep(step)}
+                    <span class="program-pass">${this.programTracker.describePass(step.pass)}</span>
+                </li>
+            `;
+        }).join('');
+
+        this.elements.startProgram.textContent = !progress ? 'Start Program' :
+            (progress.completedAt ? 'Restart Program' : (isActive ? 'Reload Step' : 'Resume Program'));
+        this.elements.leaveProgram.disabled = !isActive;
+        this.elements.resetProgram.disabled = !progress;
+    }
+
+    /**
+     * Show the program step under the current pattern while following a program
+     */
+    updateProgramStatus() {
+        const active = this.getActiveProgram();
+        const status = this.elements.programStatus;
+        if (!active) {
+            status.style.display = 'none';
+            return;
+        }
+
+        const { program, progress } = active;
+        if (progress.completedAt) {
+            status.textContent = `🏁 ${program.name} complete`;
+        } else {
+            const step = program.steps[progress.stepIndex];
+            const results = this.programTracker.getStepResults(progress, progress.stepIndex);
+            const count = this.programTracker.countTowardPass(step, results);
+            status.textContent = `📋 ${program.name} · ${this.getProgramStepLabel(step, progress.stepIndex)} ` +
+                `(${progress.stepIndex + 1}/${program.steps.length}) · ${count}/${step.pass.count || 1} ` +
+                `toward ${this.programTracker.describePass(step.pass)}`;
+        }
+        status.style.display = 'block';
+    }
+
+    /**
+     * Step heading - its own label, or "Step n"
+     */
+    getProgramStepLabel(step, index) {
+        return step.label || `Step ${index + 1}`;
+    }
+
+    /**
+     * One-line description of a step's pattern, mode and settings
+     */
+    describeProgramStep(step) {
+        const parts = [this.getProgramStepPatternName(step) || `Missing pattern '${step.pattern}'`];
+
+        if (step.mode === 'beginner') {
+            const settings = this.getProgramStepSettings(step);
+            parts.push(`Beginner ${settings.playbackSpeed.toFixed(2)}× ±${settings.tolerance}%`);
+        } else {
+            parts.push('Advanced');
+        }
+        if (step.laps > 1) parts.push(`${step.laps} laps`);
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Name of the pattern a step drives (null if its pattern key no longer exists)
+     */
+    getProgramStepPatternName(step) {
+        if (typeof step.pattern !== 'string') return step.pattern.name;
+        const pattern = this.getPatternByKey(step.pattern);
+        return pattern ? pattern.name : null;
+    }
+
+    /**
+     * Beginner settings for a step: its preset (medium if none) with any individual overrides
+     */
+    getProgramStepSettings(step) {
+        const settings = step.settings || {};
+        const result = this.getPresetSettings(settings.preset || 'medium');
+
+        ['playbackSpeed', 'tolerance', 'brakeThreshold', 'allowOverlap'].forEach(setting => {
+            if (settings[setting] !== undefined) result[setting] = settings[setting];
+        });
+        return result;
+    }
+
+    /**
+     * Start (or resume) the selected program at its current step
+     */
+    startProgram() {
+        if (this.isRunning) {
+            alert('Please stop training before starting a program.');
+            return;
+        }
+
+        const key = this.elements.programSelect.value;
+        const program = this.programTracker.getProgram(key);
+        const existing = this.programTracker.getProgress(key);
+
+        if (existing && existing.completedAt) {
+            if (!confirm(`Restart "${program.name}" from the first step?`)) return;
+            this.programTracker.resetProgress(key);
+        }
+
+        try {
+            const progress = this.programTracker.start(key);
+            this.applyProgramStep(program.steps[progress.stepIndex]);
+        } catch (error) {
+            alert(`Could not start program: ${error.message}`);
+            return;
+        }
+
+        this.updateProgramInfo();
+        this.updateProgramStatus();
+        this.closeSideNav();
+    }
+
+    /**
+     * Set up a step: mode, beginner settings, laps and pattern
+     */
+    applyProgramStep(step) {
+        if (typeof step.pattern === 'string' && !this.getPatternByKey(step.pattern)) {
+            throw new Error(`Pattern '${step.pattern}' not found - import it before following this program`);
+        }
+
+        this.setMode(step.mode);
+        if (step.mode === 'beginner') {
+            const settings = this.getProgramStepSettings(step);
+            if (step.settings && step.settings.preset) this.loadPreset(step.settings.preset);
+            this.setSettingSliders(settings);
+            this.applyBeginnerSettings();
+        }
+
+        this.setLapCount(step.laps || 1);
+
+        if (typeof step.pattern === 'string') {
+            this.elements.patternSelect.value = step.pattern;
+            this.updatePatternInfo();
+            this.loadSelectedPattern();
+        } else {
+            this.telemetryData.loadPatternJSON(step.pattern);
+            this.reset();
+            this.elements.currentPattern.textContent = step.pattern.name;
+            this.renderGraph();
+        }
+    }
+
+    /**
+     * Select a lap count, adding it to the picker if it isn't one of the listed options
+     */
+    setLapCount(laps) {
+        const select = this.elements.lapCount;
+        if (![...select.options].some(option => option.value === String(laps))) {
+            select.add(new Option(`${laps} laps`, String(laps)));
+        }
+        select.value = String(laps);
+        this.lapCount = laps;
+        this.updateLapIndicator();
+    }
+
+    /**
+     * Whether a saved session was driven with the step's pattern, mode, laps and settings
+     */
+    isProgramSession(session, step) {
+        if (session.pattern !== this.getProgramStepPatternName(step) || session.mode !== step.mode) return false;
+        if (session.lapCount !== (step.laps || 1)) return false;
+        if (step.mode === 'advanced') return true;
+
+        const settings = this.getProgramStepSettings(step);
+        return session.settings.playbackSpeed === settings.playbackSpeed && session.settings.tolerance === settings.tolerance;
+    }
+
+    /**
+     * Count a finished session toward the current program step
+     * A passed step loads the next one when the summary is closed
+     */
+    recordProgramResult(session) {
+        const active = this.getActiveProgram();
+        if (!active || active.progress.completedAt) return;
+
+        const { key, program, progress } = active;
+        const step = program.steps[progress.stepIndex];
+        const label = this.getProgramStepLabel(step, progress.stepIndex);
+
+        // Stopped early, or driven with something other than the step's setup
+        if (!this.isProgramSession(session, step) || this.currentTime < this.getSessionEndTime()) {
+            this.programMessage = `📋 Not counted toward ${label} - finish the full run with the step's pattern, mode and settings`;
+            return;
+        }
+
+        let result;
+        try {
+            result = this.programTracker.recordResult(key, {
+                grade: session.summary.grade,
+                meanDeviation: session.summary.meanDeviation,
+                sessionId: session.id
+            });
+        } catch (error) {
+            this.programMessage = `📋 Could not save program progress: ${error.message}`;
+            return;
+        }
+
+        if (result.completed) {
+            this.programMessage = `🏁 ${label} passed - "${program.name}" complete!`;
+        } else if (result.passed) {
+            const next = program.steps[result.progress.stepIndex];
+            this.programMessage = `✅ ${label} passed! Next: ${this.getProgramStepLabel(next, result.progress.stepIndex)} - ` +
+                `${this.describeProgramStep(next)} (loads when you close this summary)`;
+            this.pendingProgramStep = next;
+        } else {
+            const count = this.programTracker.countTowardPass(step, this.programTracker.getStepResults(result.progress, result.stepIndex));
+            this.programMessage = `📋 ${label}: ${session.summary.grade} ${result.met ? 'counts' : "doesn't count"} - ` +
+                `${count}/${step.pass.count || 1} toward ${this.programTracker.describePass(step.pass)}`;
+        }
+
+        this.updateProgramInfo();
+        this.updateProgramStatus();
+    }
+
+    /**
+     * Load the step a just-passed session advanced to
+     */
+    applyPendingProgramStep() {
+        const step = this.pendingProgramStep;
+        this.pendingProgramStep = null;
+        if (!step || this.isRunning) return;
+
+        try {
+            this.applyProgramStep(step);
+        } catch (error) {
+            alert(`Could not load the next program step: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop following the active program (progress is kept for later)
+     */
+    leaveProgram() {
+        this.programTracker.leave();
+        this.pendingProgramStep = null;
+        this.updateProgramInfo();
+        this.updateProgramStatus();
+    }
+
+    /**
+     * Forget progress through the selected program
+     */
+    resetProgramProgress() {
+        const key = this.elements.programSelect.value;
+        const program = this.programTracker.getProgram(key);
+        if (!program || !confirm(`Reset all progress through "${program.name}"?`)) return;
+
+        this.programTracker.resetProgress(key);
+        this.pendingProgramStep = null;
+        this.updateProgramInfo();
+        this.updateProgramStatus();
+    }
+
+    /**
+     * Import a program from a JSON file (e.g. a plan from a coach)
+     */
+    importProgramJSON() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const key = this.programTracker.saveProgram(JSON.parse(event.target.result));
+                    this.updateProgramOptions();
+                    this.elements.programSelect.value = key;
+                    this.updateProgramInfo();
+                } catch (error) {
+                    alert(`Program import failed: ${error.message}`);
+                }
+            };
+
+            reader.readAsText(file);
+        };
+
+        input.click();
+    }
+
+    // ==================== ADAPTIVE DIFFICULTY METHODS ====================
+
+    /**
+     * Feed a graded run or lap to adaptive difficulty and apply any change it makes
+     * "Between laps" adapts on laps in lap sessions and on runs otherwise
+     */
+    adaptDifficulty(trigger, grade) {
+        const mode = this.elements.adaptiveMode.value;
+        if (mode === 'off' || this.trainingMode !== 'beginner' || this.isReplayMode) return;
+        if (trigger !== (mode === 'lap' && this.isLapSession() ? 'lap' : 'run')) return;
+
+        // Training programs set the settings for each step
+        const program = this.getActiveProgram();
+        if (program && !program.progress.completedAt) return;
+
+        let change;
+        try {
+            change = this.adaptiveDifficulty.recordResult(grade, {
+                playbackSpeed: this.beginnerSettings.playbackSpeed,
+                tolerance: this.beginnerSettings.tolerance
+            }, {
+                target: parseInt(this.elements.adaptiveTarget.value) / 100,
+                successGrade: this.elements.adaptiveSuccessGrade.value,
+                trigger,
+                pattern: this.telemetryData.getPatternName()
+            });
+        } catch (error) {
+            console.error('Adaptive difficulty failed:', error);
+            return;
+        }
+
+        if (change) this.applyAdaptiveChange(change);
+    }
+
+    /**
+     * Apply an adaptive change to the beginner settings (also mid-session between laps)
+     */
+    applyAdaptiveChange(change) {
+        this.beginnerSettings.playbackSpeed = change.to.playbackSpeed;
+        this.beginnerSettings.tolerance = change.to.tolerance;
+        this.playbackSpeed = change.to.playbackSpeed;
+        this.tolerance = change.to.tolerance;
+
+        this.setSettingSliders(this.beginnerSettings);
+        this.updateModeInfo();
+        this.updateCurrentSettingsDisplay();
+
+        this.adaptiveChanges.push(change);
+        this.updateAdaptiveLog();
+    }
+
+    /**
+     * List the most recent adaptive changes in the admin panel
+     */
+    updateAdaptiveLog() {
+        const log = this.adaptiveDifficulty.getLog().slice(0, 10);
+        if (log.length === 0) {
+            this.elements.adaptiveLog.innerHTML = '<li class="empty">No changes yet</li>';
+            return;
+        }
+
+        this.elements.adaptiveLog.innerHTML = log.map(change => {
+            const date = new Date(change.at);
+            return `
+                <li class="${change.direction}">
+                    <span class="adaptive-time">${date.toLocaleDateString()} ${date.toLocaleTimeString()} · ${change.pattern}</span>
+                    ${this.adaptiveDifficulty.describeChange(change)}
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Clear adaptive difficulty results and log
+     */
+    clearAdaptiveLog() {
+        if (!confirm('Clear the adaptive difficulty log and recent results?')) return;
+
+        this.adaptiveDifficulty.clear();
+        this.updateAdaptiveLog();
+    }
+
+    // ==================== PROGRESS DASHBOARD METHODS ====================
+
+    /**
+     * Start progress history from the sessions saved before it existed (first run only)
+     */
+    async initializeProgressHistory() {
+        if (this.progressHistory.exists()) return;
+
+        try {
+            const sessions = await this.sessionStore.list();
+            this.progressHistory.backfill(sessions.filter(session => !session.importedAt));
+        } catch (error) {
+            console.error(error);
+        }
+    }
+
+    /**
+     * Open the progress dashboard, filtered to the current pattern and mode
+     */
+    openProgressDashboard() {
+        const patterns = this.progressHistory.getPatterns();
+        const currentPattern = this.telemetryData.getPatternName();
+        const select = this.elements.progressPattern;
+        select.innerHTML = '';
+        select.add(new Option('All patterns', ''));
+        patterns.forEach(name => select.add(new Option(name, name)));
+        select.value = patterns.includes(currentPattern) ? currentPattern : '';
+        this.elements.progressMode.value = this.progressHistory.getEntries({
+            pattern: this.elements.progressPattern.value, mode: this.trainingMode
+        }).length > 0 ? this.trainingMode : '';
+
+        this.elements.progressModal.style.display = 'flex';
+
+        // Charts size themselves from their containers, so create them once visible
+        if (!this.progressCharts) {
+            this.progressCharts = {
+                meanDeviation: new ProgressChart('progressDeviation'),
+                smoothness: new ProgressChart('progressSmoothness'),
+                timingOffset: new ProgressChart('progressTiming'),
+                grade: new ProgressChart('progressGrade')
+            };
+        } else {
+            Object.values(this.progressCharts).forEach(chart => chart.handleResize());
+        }
+
+        this.renderProgressDashboard();
+    }
+
+    /**
+     * Whether the progress dashboard is showing
+     */
+    isProgressDashboardOpen() {
+        return this.progressCharts !== null && this.elements.progressModal.style.display === 'flex';
+    }
+
+    /**
+     * Draw every chart and the first-vs-latest summary for the selected filters
+     */
+    renderProgressDashboard() {
+        if (!this.isProgressDashboardOpen()) return;
+
+        const entries = this.progressHistory.getEntries({
+            pattern: this.elements.progressPattern.value || null,
+            mode: this.elements.progressMode.value || null
+        });
+        const rollingWindow = parseInt(this.elements.progressWindow.value);
+        const changes = [];
+
+        Object.keys(this.progressCharts).forEach(metric => {
+            const series = this.progressHistory.getSeries(entries, metric, rollingWindow);
+            this.progressCharts[metric].renderSeries(series, {
+                metric,
+                personalBest: this.progressHistory.getPersonalBest(series, metric),
+                formatValue: (value) => this.formatProgressValue(metric, value)
+            });
+
+            const change = this.progressHistory.getChange(series, metric, rollingWindow);
+            if (change) {
+                const format = (value) => metric === 'timingOffset' ? `±${Math.round(value)}ms` : this.formatProgressValue(metric, value);
+                changes.push(`${this.progressHistory.metrics[metric].label}: ${format(change.first)} → ` +
+                    `<span class="${change.improved ? 'improved' : 'worse'}">${format(change.latest)}</span>`);
+            }
+        });
+
+        if (entries.length === 0) {
+            this.elements.progressSummary.textContent = 'No sessions for this pattern and mode yet';
+            return;
+        }
+
+        const compared = Math.min(rollingWindow, Math.floor(entries.length / 2));
+
+        const firstDate = new Date(entries[0].timestamp).toLocaleDateString();
+        const lastDate = new Date(entries[entries.length - 1].timestamp).toLocaleDateString();
+        this.elements.progressSummary.innerHTML =
+            `<strong>${entries.length} session${entries.length === 1 ? '' : 's'}</strong> · ${firstDate} – ${lastDate}` +
+            (changes.length > 0 ? `<br>First ${compared} vs latest ${compared}: ${changes.join(' · ')}` : '');
+    }
+
+    /**
+     * Axis/summary label for a metric value
+     */
+    formatProgressValue(metric, value) {
+        if (metric === 'grade') {
+            return GRADES[GRADES.length - 1 - Math.max(0, Math.min(GRADES.length - 1, Math.round(value)))];
+        }
+        if (metric === 'timingOffset') return `${value > 0 ? '+' : ''}${Math.round(value)}ms`;
+        return `${value.toFixed(1)}%`;
+    }
+
+    /**
+     * Forget all long-term progress (saved sessions are kept)
+     */
+    clearProgress() {
+        if (!confirm('Clear all progress history? Saved sessions are kept. This cannot be undone.')) return;
+
+        this.progressHistory.clear();
+        this.closeProgressDashboard();
+    }
+
+    /**
+     * Close the progress dashboard
+     */
+    closeProgressDashboard() {
+        this.elements.progressModal.style.display = 'none';
+    }
+
+    // ==================== GHOST COMPARISON METHODS ====================
+
+    /**
+     * Rebuild the ghost session picker from saved sessions
+     */
+    updateGhostPicker(sessions) {
+        const select = this.elements.ghostSession;
+        const previous = select.value;
+
+        select.innerHTML = '';
+        select.add(new Option('Personal best (current pattern & mode)', 'auto'));
+        sessions.forEach(session => {
+            const date = new Date(session.timestamp);
+            const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+            const mode = session.mode === 'beginner' ? 'Beginner' : 'Advanced';
+            select.add(new Option(`${dateStr} · ${session.pattern || 'Race Track'} · ${mode} · ${session.summary.grade}`, String(session.id)));
+        });
+
+        // Keep previous choice if that session still exists
+        const stillExists = Array.from(select.options).some(option => option.value === previous);
+        select.value = stillExists ? previous : 'auto';
+    }
+
+    /**
+     * Find the best-graded saved session for a pattern and mode
+     * Works on listed sessions (no samples); ties on grade are broken by lower mean deviation
+     * Sessions are matched on the pattern's trace (patternKey), not its name, so a pattern
+     * that reuses a name never races another trace; sessions saved before patternKey was
+     * recorded only race when picked explicitly, and so do imported ones (not the driver's own)
+     */
+    findPersonalBest(sessions, patternKey, mode) {
+        let best = null;
+
+        sessions.forEach(session => {
+            if (session.patternKey !== patternKey || session.mode !== mode) return;
+            if (!session.sampleCount || session.importedAt) return;
+
+            if (!best) {
+                best = session;
+                return;
+            }
+
+            const rank = this.scoringSystem.getGradeRank(session.summary.grade);
+            const bestRank = this.scoringSystem.getGradeRank(best.summary.grade);
+            if (rank > bestRank ||
+                (rank === bestRank && parseFloat(session.summary.meanDeviation) < parseFloat(best.summary.meanDeviation))) {
+                best = session;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Resolve the ghost session from the picker and hand it to graph and scoring
+     * Samples are read from the session store, so the ghost appears once they've loaded
+     */
+    async applyGhost() {
+        const request = ++this.ghostRequest;
+        let ghost = null;
+
+        // A shared challenge brings its own ghost run
+        if (this.isChallengeActive() && this.challenge.ghostSamples) {
+            const samples = this.elements.showGhost.checked ? this.challenge.ghostSamples : null;
+            this.graphRenderer.setGhostSamples(samples);
+            this.scoringSystem.setGhost(samples);
+            return;
+        }
+
+        if (this.elements.showGhost.checked) {
+            const choice = this.elements.ghostSession.value;
+            let ghostId = parseInt(choice);
+
+            try {
+                if (choice === 'auto') {
+                    const patternName = this.telemetryData.getPatternName();
+                    const sessions = await this.sessionStore.list({ pattern: patternName, mode: this.trainingMode });
+                    const best = this.findPersonalBest(sessions, this.telemetryData.getPatternKey(), this.trainingMode);
+                    ghostId = best ? best.id : null;
+                }
+
+                // Don't race against the session being replayed
+                if (ghostId && !(this.isReplayMode && this.replayData && ghostId === this.replayData.id)) {
+                    ghost = await this.sessionStore.get(ghostId);
+                }
+            } catch (error) {
+                console.error('Failed to load ghost session:', error);
+            }
+        }
+
+        // A newer lookup started while this one was loading
+        if (request !== this.ghostRequest) return;
+
+        const samples = ghost ? this.getGhostRunSamples(ghost) : null;
+        this.graphRenderer.setGhostSamples(samples);
+        this.scoringSystem.setGhost(samples);
+    }
+
+    /**
+     * Samples a session races with as a ghost - lap sessions race with their best lap
+     */
+    getGhostRunSamples(session) {
+        if (!session.summary.lapStats) return session.samples;
+
+        const bestLap = session.summary.laps.find(lap => lap.lap === session.summary.lapStats.best);
+        return this.getLapSamples(session.samples, bestLap);
+    }
+
+    /**
+     * Apply the variation seed mode: the pattern's own seed, or a new random one
+     */
+    applyNoiseSeed() {
+        const random = this.elements.noiseSeedMode.value === 'random';
+        this.telemetryData.setSeed(random ? Math.floor(Math.random() * 1000000) : null);
+        this.updateNoiseSeedDisplay();
+        this.renderGraph();
+    }
+
+    /**
+     * Show the seed behind the current reference
+     */
+    updateNoiseSeedDisplay() {
+        const seed = this.telemetryData.getSeed();
+        this.elements.noiseSeedValue.textContent = seed === null ? 'n/a (imported trace)' : seed;
+    }
+
+    // ==================== PEDAL METHODS ====================
+
+    /**
+     * Show where each pedal is bound and whether its device is connected
+     */
+    updatePedalStatus() {
+        const handler = this.inputHandler;
+        const gamepads = handler.getGamepads();
+        const mapping = handler.gamepadMapping;
+        if (!mapping.throttle && !mapping.brake) {
+            this.elements.pedalStatus.textContent = 'No pedals detected - press a pedal to wake them up';
+            return;
+        }
+
+        this.elements.pedalStatus.textContent = [
+            `Throttle: ${this.describePedal(mapping.throttle, gamepads)}`,
+            `Brake: ${this.describePedal(mapping.brake, gamepads)}`
+        ].join('\n');
+    }
+
+    /**
+     * Describe a pedal's binding, e.g. "inverted axis 2 on <device> (calibrated)"
+     */
+    describePedal(mapping, gamepads) {
+        if (!mapping) return 'not bound';
+
+        const source = this.inputHandler.usingDefaults ? 'guessed' :
+            (mapping.calibrated === false ? 'bound by hand' : 'calibrated');
+        const connected = this.inputHandler.findGamepad(mapping.gamepadId, gamepads) !== null;
+        return `${this.gamepadCalibration.describeMapping(mapping)} on ${mapping.gamepadId} (${source})` +
+            (connected ? '' : ' - disconnected, waiting for it to come back');
+    }
+
+    /**
+     * Open the live device list for binding pedals by hand
+     */
+    openDevices() {
+        if (this.isRunning || this.isRecording) {
+            alert('Stop the current session before changing pedal bindings.');
+            return;
+        }
+
+        this.deviceListKey = null;
+        this.elements.devicesModal.style.display = 'flex';
+        if (this.devicesFrameId === null) {
+            this.devicesFrameId = requestAnimationFrame(() => this.pollDevices());
+        }
+    }
+
+    /**
+     * Device list loop - rebuilds the list when devices or bindings change, else just the readings
+     */
+    pollDevices() {
+        const gamepads = this.inputHandler.getGamepads();
+        const mapping = this.inputHandler.gamepadMapping;
+        const key = JSON.stringify([
+            gamepads.map(gamepad => [gamepad.index, gamepad.id, gamepad.axes.length]),
+            ['throttle', 'brake'].map(channel => mapping[channel] &&
+                [mapping[channel].gamepadId, mapping[channel].type, mapping[channel].index])
+        ]);
+
+        if (key !== this.deviceListKey) {
+            this.deviceListKey = key;
+            this.renderDeviceList(gamepads);
+        }
+        this.updateDeviceReadings(gamepads);
+
+        this.devicesFrameId = requestAnimationFrame(() => this.pollDevices());
+    }
+
+    /**
+     * Render the bindings and every connected device's axes with bind buttons
+     */
+    renderDeviceList(gamepads) {
+        const mapping = this.inputHandler.gamepadMapping;
+        this.elements.pedalBindings.innerHTML =
+            `<li>Throttle: ${this.describePedal(mapping.throttle, gamepads)}</li>` +
+            `<li>Brake: ${this.describePedal(mapping.brake, gamepads)}</li>`;
+
+        if (gamepads.length === 0) {
+            this.elements.deviceList.innerHTML = '<p class="no-sessions">No devices detected - press a pedal or button to wake them up</p>';
+            return;
+        }
+
+        const boundTo = (gamepad, axis) => ['throttle', 'brake'].find(channel => {
+            const m = mapping[channel];
+            return m && m.gamepadId === gamepad.id && m.type === 'axis' && m.index === axis;
+        });
+
+        this.elements.deviceList.innerHTML = gamepads.map(gamepad => `
+            <div class="device-item">
+                <div class="device-name">${gamepad.id}</div>
+                ${gamepad.axes.length === 0 ? '<p class="form-info">No axes - use Calibrate Pedals for pedals that report as buttons</p>' : ''}
+                ${gamepad.axes.map((value, i) => {
+                    const bound = boundTo(gamepad, i);
+                    return `
+                        <div class="device-axis${bound ? ` bound-${bound}` : ''}" data-gamepad="${gamepad.index}" data-axis="${i}">
+                            <span class="device-axis-label">Axis ${i}</span>
+                            <div class="calibration-meter"><div class="calibration-meter-fill"></div></div>
+                            <span class="device-axis-value"></span>
+                            <button class="replay-btn" onclick="app.bindPedal('throttle', ${gamepad.index}, ${i})">Throttle</button>
+                            <button class="delete-btn" onclick="app.bindPedal('brake', ${gamepad.index}, ${i})">Brake</button>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show each listed axis's raw reading (-1 to 1)
+     */
+    updateDeviceReadings(gamepads) {
+        this.elements.deviceList.querySelectorAll('.device-axis').forEach(row => {
+            const gamepad = gamepads.find(g => g.index === parseInt(row.dataset.gamepad));
+            const value = gamepad ? gamepad.axes[parseInt(row.dataset.axis)] : undefined;
+            if (value === undefined) return;
+
+            row.querySelector('.calibration-meter-fill').style.width = `${Math.round((Math.max(-1, Math.min(1, value)) + 1) * 50)}%`;
+            row.querySelector('.device-axis-value').textContent = value.toFixed(2);
+        });
+    }
+
+    /**
+     * Bind a pedal to a device's axis, guessing its range from the current (released) reading
+     */
+    bindPedal(channel, gamepadIndex, axis) {
+        const gamepad = this.inputHandler.getGamepads().find(g => g.index === gamepadIndex);
+        if (!gamepad) return;
+
+        try {
+            this.gamepadCalibration.saveBindings({
+                [channel]: this.gamepadCalibration.createBinding(gamepad, 'axis', axis)
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.inputHandler.refreshMappings();
+    }
+
+    /**
+     * Close the device list
+     */
+    closeDevices() {
+        if (this.devicesFrameId !== null) {
+            cancelAnimationFrame(this.devicesFrameId);
+            this.devicesFrameId = null;
+        }
+        this.elements.devicesModal.style.display = 'none';
+    }
+
+    /**
+     * Open the pedal response editor with its live preview
+     */
+    openShaping() {
+        if (this.isRunning || this.isRecording) {
+            alert('Stop the current session before changing the pedal response.');
+            return;
+        }
+
+        this.elements.shapingModal.style.display = 'flex';
+
+        // The chart sizes itself from its container, so create it once visible
+        if (!this.pedalCurveChart) {
+            this.pedalCurveChart = new PedalCurveChart('shapingCanvas', this.pedalShaping, {
+                onPointsChange: (points) => this.updateShaping({ points })
+            });
+        } else {
+            this.pedalCurveChart.handleResize();
+        }
+
+        this.renderShapingControls();
+        if (this.shapingFrameId === null) {
+            this.shapingFrameId = requestAnimationFrame(() => this.pollShaping());
+        }
+    }
+
+    /**
+     * Show the selected pedal's settings in the controls and preview
+     */
+    renderShapingControls() {
+        const channel = this.elements.shapingChannel.value;
+        const settings = this.pedalShaping.get(channel);
+        const format = {
+            innerDeadzone: (value) => `${value}%`,
+            outerDeadzone: (value) => `${value}%`,
+            saturation: (value) => `${value}%`,
+            smoothing: (value) => value >= 1 ? 'Off' : value.toFixed(2),
+            gamma: (value) => value.toFixed(2),
+            forceExponent: (value) => value.toFixed(1)
+        };
+
+        Object.keys(this.elements.shapingSliders).forEach(key => {
+            this.elements.shapingSliders[key].value = settings[key];
+            this.elements.shapingValues[key].textContent = format[key](settings[key]);
+        });
+        this.elements.shapingCurve.value = settings.curve;
+        this.elements.shapingLinearise.checked = settings.linearise;
+
+        // Force linearisation is for load cell brakes
+        this.elements.shapingGammaItem.style.display = settings.curve === 'gamma' ? '' : 'none';
+        this.elements.shapingLineariseItem.style.display = channel === 'brake' ? '' : 'none';
+        this.elements.shapingForceItem.style.display = channel === 'brake' && settings.linearise ? '' : 'none';
+
+        this.pedalCurveChart.setSettings(settings, channel === 'brake' ? '#ff3344' : '#00ff88');
+    }
+
+    /**
+     * Save a change to the selected pedal's response
+     */
+    updateShaping(changes) {
+        try {
+            this.pedalShaping.update(this.elements.shapingChannel.value, changes);
+        } catch (error) {
+            alert(error.message);
+        }
+        this.renderShapingControls();
+    }
+
+    /**
+     * Put the selected pedal back to the default response
+     */
+    resetShaping() {
+        try {
+            this.pedalShaping.reset(this.elements.shapingChannel.value);
+        } catch (error) {
+            alert(error.message);
+        }
+        this.renderShapingControls();
+    }
+
+    /**
+     * Preview loop - marks where the selected pedal is on its response curve
+     */
+    pollShaping() {
+        const channel = this.elements.shapingChannel.value;
+        const shaped = this.inputHandler.readGamepad();
+
+        if (shaped) {
+            const raw = this.inputHandler.rawGamepadInput[channel];
+            this.pedalCurveChart.setLive({ input: raw, output: shaped[channel] });
+            this.elements.shapingReadout.textContent = `Pedal ${Math.round(raw)}% → ${Math.round(shaped[channel])}%`;
+        } else {
+            this.pedalCurveChart.setLive(null);
+            this.elements.shapingReadout.textContent = 'No pedals connected - press a pedal to see it on the curve';
+        }
+
+        this.shapingFrameId = requestAnimationFrame(() => this.pollShaping());
+    }
+
+    /**
+     * Close the pedal response editor (settings are saved as they change)
+     */
+    closeShaping() {
+        if (this.shapingFrameId !== null) {
+            cancelAnimationFrame(this.shapingFrameId);
+            this.shapingFrameId = null;
+        }
+        this.elements.shapingModal.style.display = 'none';
+    }
+
+    /**
+     * Open the calibration wizard for the connected pedals
+     */
+    openCalibration() {
+        if (this.isRunning || this.isRecording) {
+            alert('Stop the current session before calibrating.');
+            return;
+        }
+
+        const gamepads = this.inputHandler.getGamepads();
+        if (gamepads.length === 0) {
+            alert('No pedals detected - connect them and press a pedal so the browser picks them up.');
+            return;
+        }
+
+        this.elements.calibrationDevice.textContent = gamepads.map(gamepad => gamepad.id).join(' · ');
+        this.elements.calibrationModal.style.display = 'flex';
+        this.restartCalibration();
+    }
+
+    /**
+     * Start the wizard from the first pedal (current readings are taken as released)
+     */
+    restartCalibration() {
+        const gamepads = this.inputHandler.getGamepads();
+        if (gamepads.length === 0) {
+            this.closeCalibration();
+            return;
+        }
+
+        this.gamepadCalibration.begin(gamepads);
+        this.elements.calibrationSave.disabled = true;
+        this.elements.calibrationResults.innerHTML = '';
+        this.renderCalibrationStatus({ channel: 'throttle', input: null, travel: 0, results: {}, done: false });
+
+        if (this.calibrationFrameId === null) {
+            this.calibrationFrameId = requestAnimationFrame(() => this.pollCalibration());
+        }
+    }
+
+    /**
+     * Wizard loop - feeds every connected gamepad to the calibration until both pedals are found
+     */
+    pollCalibration() {
+        this.calibrationFrameId = null;
+
+        const gamepads = this.inputHandler.getGamepads();
+        if (gamepads.length === 0) {
+            this.elements.calibrationPrompt.textContent = 'Pedals disconnected - reconnect them and click Start Over';
+            return;
+        }
+
+        const status = this.gamepadCalibration.update(gamepads);
+        this.renderCalibrationStatus(status);
+        if (status.done) {
+            this.elements.calibrationSave.disabled = false;
+            return;
+        }
+
+        this.calibrationFrameId = requestAnimationFrame(() => this.pollCalibration());
+    }
+
+    /**
+     * Show the wizard's prompt, live pedal travel and the pedals found so far
+     */
+    renderCalibrationStatus(status) {
+        const names = { throttle: 'THROTTLE', brake: 'BRAKE' };
+        const prompt = status.done ? 'Both pedals found - click Save' :
+            (status.input ? `${names[status.channel]} detected - now release it fully` :
+                `Press the ${names[status.channel]} pedal all the way down, then release it`);
+        this.elements.calibrationPrompt.textContent = prompt;
+
+        const fill = this.elements.calibrationMeterFill;
+        fill.style.width = `${Math.round(status.travel * 100)}%`;
+        fill.style.background = status.channel === 'brake' ? '#ff3344' : '#00ff88';
+
+        // Name the device too when the pedals could be on more than one
+        const showDevice = this.inputHandler.getGamepads().length > 1;
+        this.elements.calibrationResults.innerHTML = Object.keys(status.results).map(channel => {
+            const mapping = status.results[channel];
+            return `<li>${channel === 'throttle' ? 'Throttle' : 'Brake'}: ${this.gamepadCalibration.describeMapping(mapping)}` +
+                `${showDevice ? ` on ${mapping.gamepadId}` : ''}, released ${mapping.released} → pressed ${mapping.pressed}</li>`;
+        }).join('');
+    }
+
+    /**
+     * Save the calibration (each pedal bound to the device it was found on) and start using it
+     */
+    saveCalibration() {
+        try {
+            this.gamepadCalibration.finish();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.inputHandler.refreshMappings();
+        this.closeCalibration();
+    }
+
+    /**
+     * Close the wizard without saving
+     */
+    closeCalibration() {
+        if (this.calibrationFrameId !== null) {
+            cancelAnimationFrame(this.calibrationFrameId);
+            this.calibrationFrameId = null;
+        }
+        this.gamepadCalibration.cancel();
+        this.elements.calibrationModal.style.display = 'none';
+    }
+
+    /**
+     * Forget every pedal binding and go back to the default axes
+     */
+    clearBindings() {
+        if (this.inputHandler.usingDefaults) return;
+        if (!confirm('Clear all pedal bindings? The pedals go back to the default axes until you bind or calibrate them again.')) return;
+
+        try {
+            this.gamepadCalibration.clearProfiles();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.inputHandler.refreshMappings();
+    }
+
+    // ==================== KEYBOARD METHODS ====================
+
+    /**
+     * Show the keyboard bindings in the admin panel and the gauge key hints
+     */
+    updateKeyboardStatus() {
+        const settings = this.keyboardSettings.get();
+        const profiles = { linear: 'linear ramp', exponential: 'exponential', hold: 'pressure by hold time' };
+        const presets = settings.presets.map(preset => `${preset.label} = ${preset.level}%`).join(', ');
+
+        this.elements.keyboardStatus.textContent =
+            `Throttle ${settings.throttle.label} · Brake ${settings.brake.label} (${profiles[settings.profile]})\n` +
+            (presets ? `Partial pressure: ${presets}` : 'No partial pressure keys');
+
+        document.querySelectorAll('.throttle-key-hint').forEach(hint => { hint.textContent = settings.throttle.label; });
+        document.querySelectorAll('.brake-key-hint').forEach(hint => { hint.textContent = settings.brake.label; });
+    }
+
+    /**
+     * Open keyboard setup - keys can be tried out while it's open
+     */
+    openKeyboard() {
+        if (this.isRunning || this.isRecording) {
+            alert('Stop the current session before changing the keyboard setup.');
+            return;
+        }
+
+        this.elements.keyboardModal.style.display = 'flex';
+        this.keyCapture = null;
+        this.renderKeyboardControls();
+
+        this.inputHandler.reset();
+        this.lastKeyboardFrame = performance.now();
+        if (this.keyboardFrameId === null) {
+            this.keyboardFrameId = requestAnimationFrame(() => this.pollKeyboard());
+        }
+    }
+
+    /**
+     * Show the current bindings and emulation settings in keyboard setup
+     */
+    renderKeyboardControls() {
+        const settings = this.keyboardSettings.get();
+        const capture = this.keyCapture;
+        const waiting = 'Press a key...';
+        const format = {
+            rampUpRate: (value) => `${value}%/s`,
+            rampDownRate: (value) => `${value}%/s`,
+            responseTime: (value) => `${value} ms`,
+            holdDuration: (value) => `${value.toFixed(1)} s`
+        };
+
+        this.elements.keyThrottle.textContent = capture && capture.role === 'throttle' ? waiting : settings.throttle.label;
+        this.elements.keyBrake.textContent = capture && capture.role === 'brake' ? waiting : settings.brake.label;
+        this.elements.keyThrottle.classList.toggle('capturing', Boolean(capture && capture.role === 'throttle'));
+        this.elements.keyBrake.classList.toggle('capturing', Boolean(capture && capture.role === 'brake'));
+
+        // Partial pressure keys, plus a row waiting for a new key while one is being added
+        const rows = settings.presets.slice();
+        if (capture && capture.role === 'preset' && capture.slot >= rows.length) {
+            rows.push({ label: '', level: capture.level });
+        }
+        this.elements.keyPresets.innerHTML = rows.map((preset, i) => `
+            <div class="key-preset">
+                <button class="secondary-btn key-bind" onclick="app.captureKey('preset', ${i})"></button>
+                <input type="range" min="5" max="95" step="5" value="${preset.level}" oninput="app.setKeyPresetLevel(${i}, this.value)">
+                <span class="setting-value">${preset.level}%</span>
+                <button class="delete-btn" onclick="app.removeKeyPreset(${i})">Remove</button>
+            </div>
+        `).join('');
+        this.elements.keyPresets.querySelectorAll('.key-bind').forEach((button, i) => {
+            const capturing = Boolean(capture && capture.role === 'preset' && capture.slot === i);
+            button.textContent = capturing ? waiting : rows[i].label;
+            button.classList.toggle('capturing', capturing);
+        });
+        this.elements.addKeyPreset.style.display = rows.length < this.keyboardSettings.maxPresets ? '' : 'none';
+
+        Object.keys(this.elements.keyboardSliders).forEach(key => {
+            this.elements.keyboardSliders[key].value = settings[key];
+            this.elements.keyboardValues[key].textContent = format[key](settings[key]);
+        });
+        this.elements.keyboardProfile.value = settings.profile;
+
+        // Only the settings the selected response uses
+        this.elements.keyboardRampUpItem.style.display = settings.profile === 'linear' ? '' : 'none';
+        this.elements.keyboardRampDownItem.style.display = settings.profile === 'exponential' ? 'none' : '';
+        this.elements.keyboardResponseItem.style.display = settings.profile === 'exponential' ? '' : 'none';
+        this.elements.keyboardHoldItem.style.display = settings.profile === 'hold' ? '' : 'none';
+    }
+
+    /**
+     * Wait for the key to bind to a role ('throttle', 'brake' or 'preset' with its slot)
+     */
+    captureKey(role, slot = 0) {
+        const preset = this.keyboardSettings.get().presets[slot];
+        this.keyCapture = { role, slot, level: preset ? preset.level : 50 };
+        this.renderKeyboardControls();
+    }
+
+    /**
+     * Bind the key just pressed to the role waiting for one (Esc cancels)
+     */
+    bindCapturedKey(e) {
+        const capture = this.keyCapture;
+        this.keyCapture = null;
+        if (document.activeElement) document.activeElement.blur(); // Space/Enter shouldn't click the button
+
+        if (e.code !== 'Escape') {
+            try {
+                this.keyboardSettings.bindKey(capture.role, this.keyboardSettings.describeKey(e), capture.slot, capture.level);
+            } catch (error) {
+                alert(error.message);
+            }
+        }
+
+        this.inputHandler.reset();
+        this.renderKeyboardControls();
+        this.updateKeyboardStatus();
+    }
+
+    /**
+     * Change how far a partial pressure key presses the pedal
+     */
+    setKeyPresetLevel(slot, level) {
+        level = parseInt(level);
+        if (slot < this.keyboardSettings.get().presets.length) {
+            try {
+                this.keyboardSettings.setPresetLevel(slot, level);
+            } catch (error) {
+                alert(error.message);
+            }
+        } else if (this.keyCapture) {
+            this.keyCapture.level = level; // Row still waiting for its key
+        }
+
+        const value = this.elements.keyPresets.querySelectorAll('.key-preset .setting-value')[slot];
+        if (value) value.textContent = `${level}%`;
+        this.updateKeyboardStatus();
+    }
+
+    /**
+     * Remove a partial pressure key
+     */
+    removeKeyPreset(slot) {
+        this.keyCapture = null;
+        try {
+            this.keyboardSettings.removePreset(slot);
+        } catch (error) {
+            alert(error.message);
+        }
+        this.renderKeyboardControls();
+        this.updateKeyboardStatus();
+    }
+
+    /**
+     * Save a change to the emulation settings
+     */
+    updateKeyboard(changes) {
+        try {
+            this.keyboardSettings.update(changes);
+        } catch (error) {
+            alert(error.message);
+        }
+        this.renderKeyboardControls();
+        this.updateKeyboardStatus();
+    }
+
+    /**
+     * Put the keyboard back to W/S with the linear ramp
+     */
+    resetKeyboard() {
+        this.keyCapture = null;
+        try {
+            this.keyboardSettings.reset();
+        } catch (error) {
+            alert(error.message);
+        }
+        this.inputHandler.reset();
+        this.renderKeyboardControls();
+        this.updateKeyboardStatus();
+    }
+
+    /**
+     * Live readout loop - runs the keys through the same emulation as training
+     */
+    pollKeyboard() {
+        const now = performance.now();
+        this.inputHandler.update(now - this.lastKeyboardFrame, 'advanced');
+        this.lastKeyboardFrame = now;
+
+        if (this.inputHandler.readGamepad()) {
+            this.elements.keyboardReadout.textContent = 'Pedals connected - the keyboard is used when no pedal device is connected';
+        } else {
+            const inputs = this.inputHandler.getInputs();
+            this.elements.keyboardReadout.textContent =
+                `Throttle ${Math.round(inputs.throttle)}% · Brake ${Math.round(inputs.brake)}%`;
+        }
+
+        this.keyboardFrameId = requestAnimationFrame(() => this.pollKeyboard());
+    }
+
+    /**
+     * Close keyboard setup (settings are saved as they change)
+     */
+    closeKeyboard() {
+        if (this.keyboardFrameId !== null) {
+            cancelAnimationFrame(this.keyboardFrameId);
+            this.keyboardFrameId = null;
+        }
+        this.keyCapture = null;
+        this.inputHandler.reset();
+        this.elements.keyboardModal.style.display = 'none';
+    }
+
+    // ==================== INPUT LATENCY METHODS ====================
+
+    /**
+     * Display name for an input device id
+     */
+    getDeviceName(deviceId) {
+        return deviceId === 'keyboard' ? 'Keyboard' : deviceId;
+    }
+
+    /**
+     * Show the latency allowed for the device currently in use
+     */
+    updateLatencyStatus() {
+        const device = this.inputHandler.getInputDevice();
+        const profile = this.inputLatency.getProfile(device);
+        this.elements.latencyStatus.textContent = profile ?
+            `${this.getDeviceName(device)}: ${profile.latency} ms (measured ${new Date(profile.measuredAt).toLocaleDateString()}) - allowed for in scoring` :
+            `${this.getDeviceName(device)}: not measured - scored with no latency allowance`;
+    }
+
+    /**
+     * Open the latency measurement for the device currently in use
+     */
+    openLatency() {
+        if (this.isRunning || this.isRecording) {
+            alert('Stop the current session before measuring input latency.');
+            return;
+        }
+
+        this.elements.latencyModal.style.display = 'flex';
+        this.restartLatency();
+    }
+
+    /**
+     * Start the flashes from the beginning
+     */
+    restartLatency() {
+        const device = this.inputHandler.getInputDevice();
+        this.elements.latencyDevice.textContent = `Measuring: ${this.getDeviceName(device)}`;
+        this.elements.latencySave.disabled = true;
+        this.elements.latencyResult.textContent = '';
+
+        this.inputHandler.reset();
+        this.lastLatencyFrame = performance.now();
+        this.inputLatency.begin(device, this.lastLatencyFrame);
+
+        if (this.latencyFrameId === null) {
+            this.latencyFrameId = requestAnimationFrame(() => this.pollLatency());
+        }
+    }
+
+    /**
+     * Measurement loop - reads input through the same path as training and flashes the cue
+     */
+    pollLatency() {
+        this.latencyFrameId = null;
+
+        const now = performance.now();
+        this.inputHandler.update(now - this.lastLatencyFrame, 'advanced');
+        this.lastLatencyFrame = now;
+
+        // Keyboard presses are timed at the key event - the key response ramp is how the
+        // keyboard is set to play, not latency, and a slow one can take longer than a beat
+        const presses = this.inputHandler.takeKeyPresses();
+        let status;
+        if (this.inputLatency.measurement.deviceId === 'keyboard') {
+            presses.forEach(time => this.inputLatency.recordPress(time));
+            status = this.inputLatency.update(now);
+        } else {
+            const inputs = this.inputHandler.getInputs();
+            status = this.inputLatency.update(now, Math.max(inputs.throttle, inputs.brake));
+        }
+        const config = this.inputLatency.config;
+
+        this.elements.latencyCue.classList.toggle('flash', status.flashing);
+        this.elements.latencyPrompt.textContent = status.leadIn ?
+            `Get the rhythm... ${status.beat} / ${config.leadInBeats}` :
+            `Press on the flash - ${status.taps} of ${config.measuredBeats} counted`;
+
+        if (!status.done) {
+            this.latencyFrameId = requestAnimationFrame(() => this.pollLatency());
+            return;
+        }
+
+        this.elements.latencyCue.classList.remove('flash');
+        try {
+            const result = this.inputLatency.getResult();
+            this.elements.latencyPrompt.textContent = 'Done - click Save to allow for it in scoring';
+            this.elements.latencyResult.textContent =
+                `Latency: ${result.latency} ms (median of ${result.taps} presses, spread ${result.spread} ms)`;
+            this.elements.latencySave.disabled = false;
+        } catch (error) {
+            this.elements.latencyPrompt.textContent = error.message;
+        }
     }
 
     /**
-     * Clear all session history
+     * Save the measured latency for this device
      */
-    clearAllHistory() {
-        if (!confirm('Clear all session history? This cannot be undone.')) {
+    saveLatency() {
+        try {
+            this.inputLatency.finish();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.updateLatencyStatus();
+        this.closeLatency();
+    }
+
+    /**
+     * Close the measurement without saving
+     */
+    closeLatency() {
+        if (this.latencyFrameId !== null) {
+            cancelAnimationFrame(this.latencyFrameId);
+            this.latencyFrameId = null;
+        }
+        this.inputLatency.cancel();
+        this.inputHandler.reset();
+        this.elements.latencyCue.classList.remove('flash');
+        this.elements.latencyModal.style.display = 'none';
+    }
+
+    /**
+     * Forget the current device's latency (score with no allowance)
+     */
+    clearLatency() {
+        const device = this.inputHandler.getInputDevice();
+        if (!this.inputLatency.getProfile(device)) return;
+        if (!confirm(`Clear the measured latency for ${this.getDeviceName(device)}?`)) return;
+
+        try {
+            this.inputLatency.deleteProfile(device);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.updateLatencyStatus();
+    }
+
+    // ==================== SHARE LINK METHODS ====================
+
+    /**
+     * Open the share link the page was loaded with, and any opened later in this tab
+     */
+    initializeShareLink() {
+        this.openShareLink(window.location.hash);
+        window.addEventListener('hashchange', () => this.openShareLink(window.location.hash));
+    }
+
+    /**
+     * Load the pattern (and challenge) from a "#share=" hash
+     */
+    async openShareLink(hash) {
+        if (!this.shareLink.isShareHash(hash)) return;
+
+        // Drop the fragment so a reload doesn't load the challenge again over later changes
+        try {
+            history.replaceState(null, '', window.location.href.split('#')[0]);
+        } catch (error) {
+            console.warn('Could not clear share link from the address bar:', error);
+        }
+
+        if (this.isRunning) {
+            alert('Stop the current session before opening a shared challenge.');
+            return;
+        }
+
+        try {
+            this.loadChallenge(await this.shareLink.decode(hash));
+        } catch (error) {
+            alert(`Could not open share link: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a shared pattern with the sender's mode, settings, laps and reference variation
+     */
+    loadChallenge(payload) {
+        if (this.isReplayMode) this.exitReplayMode();
+
+        const challenge = payload.challenge;
+        if (challenge) {
+            this.setMode(challenge.mode);
+            if (challenge.mode === 'beginner') {
+                this.setSettingSliders({ allowOverlap: false, ...challenge.settings });
+                this.applyBeginnerSettings();
+            }
+            this.setLapCount(challenge.lapCount);
+        }
+
+        this.telemetryData.loadPatternJSON(payload.pattern);
+        if (challenge && challenge.noiseSeed !== undefined) {
+            this.elements.noiseSeedMode.value = 'pattern';
+            this.telemetryData.setSeed(challenge.noiseSeed);
+        }
+
+        this.challenge = {
+            ...payload,
+            ghostSamples: payload.ghost ? this.shareLink.expandGhost(payload.ghost) : null
+        };
+        this.reset();
+        this.elements.currentPattern.textContent = payload.pattern.name;
+        this.renderGraph();
+        this.applyGhost();
+    }
+
+    /**
+     * Whether the shared challenge's pattern is the one loaded
+     */
+    isChallengeActive() {
+        return this.challenge !== null && this.telemetryData.getCurrentPattern() === this.challenge.pattern;
+    }
+
+    /**
+     * Show the challenge banner while its pattern is loaded
+     */
+    updateChallengeBanner() {
+        const active = this.isChallengeActive();
+        this.elements.challengeBanner.style.display = active ? 'flex' : 'none';
+        if (!active) return;
+
+        const { pattern, challenge } = this.challenge;
+        this.elements.challengeText.textContent = challenge ?
+            `🏁 ${pattern.name} - beat ${this.describeChallenge(challenge)}` :
+            `🔗 Shared pattern: ${pattern.name}`;
+    }
+
+    /**
+     * Describe a challenge target, e.g. "B (9.84% deviation) · Beginner 0.70× ±15% · 3 laps"
+     */
+    describeChallenge(challenge) {
+        const setup = challenge.mode === 'beginner' ?
+            `Beginner ${challenge.settings.playbackSpeed.toFixed(2)}× ±${challenge.settings.tolerance}%` : 'Advanced';
+        const laps = challenge.lapCount === 1 ? '' :
+            ` · ${challenge.lapCount > 0 ? challenge.lapCount + ' laps' : 'laps until stopped'}`;
+        return `${challenge.grade} (${challenge.meanDeviation.toFixed(2)}% deviation) · ${setup}${laps}`;
+    }
+
+    /**
+     * Start the loaded challenge
+     */
+    startChallenge() {
+        if (this.isRunning) return;
+        this.start();
+    }
+
+    /**
+     * Stop treating the loaded pattern as a challenge
+     */
+    dismissChallenge() {
+        this.challenge = null;
+        this.updateChallengeBanner();
+        if (!this.isRunning) this.applyGhost();
+    }
+
+    /**
+     * Summary line comparing a finished run with the challenge ('' outside challenges)
+     * Grades are compared first, then mean deviation
+     */
+    getChallengeResult(summary) {
+        if (this.isReplayMode || !this.isChallengeActive() || !this.challenge.challenge) return '';
+
+        const target = this.challenge.challenge;
+        const sameSetup = this.trainingMode === target.mode && this.lapCount === target.lapCount &&
+            (target.mode === 'advanced' || (this.playbackSpeed === target.settings.playbackSpeed &&
+                this.tolerance === target.settings.tolerance));
+        if (!sameSetup) {
+            return `🏁 Not counted - drive the challenge with its settings (${this.describeChallenge(target)})`;
+        }
+
+        const rank = this.scoringSystem.getGradeRank(summary.grade);
+        const targetRank = this.scoringSystem.getGradeRank(target.grade);
+        const beaten = rank > targetRank ||
+            (rank === targetRank && parseFloat(summary.meanDeviation) < parseFloat(target.meanDeviation));
+        const scores = `${summary.grade} (${summary.meanDeviation}%) vs ${target.grade} (${target.meanDeviation.toFixed(2)}%)`;
+        return beaten ? `🏁 Challenge beaten! ${scores}` : `🏁 Challenge not beaten yet: ${scores}`;
+    }
+
+    /**
+     * Share the run just finished as a challenge: pattern, score and (optionally) a ghost
+     */
+    shareSession() {
+        const session = this.lastSession;
+        if (!session) return;
+
+        this.copyShareLink({
+            pattern: this.telemetryData.getCurrentPattern(),
+            challenge: {
+                grade: session.summary.grade,
+                meanDeviation: parseFloat(session.summary.meanDeviation),
+                smoothness: parseFloat(session.summary.smoothness),
+                mode: session.mode,
+                settings: session.mode === 'beginner' ? session.settings : null,
+                lapCount: session.lapCount,
+                noiseSeed: session.noiseSeed,
+                at: session.timestamp
+            },
+            ghost: this.elements.shareGhost.checked ?
+                this.shareLink.downsampleGhost(this.getGhostRunSamples(session)) : null
+        });
+    }
+
+    /**
+     * Share the loaded pattern on its own
+     */
+    sharePattern() {
+        this.copyShareLink({ pattern: this.telemetryData.getCurrentPattern(), challenge: null, ghost: null });
+    }
+
+    /**
+     * Build a share link and put it on the clipboard (or show it to copy by hand)
+     */
+    async copyShareLink(payload) {
+        if (payload.pattern.source === 'trace') {
+            alert('Imported traces can\'t be shared as a link - use Extract Keyframes to turn it into a pattern first.');
+            return;
+        }
+
+        let url;
+        try {
+            url = await this.shareLink.createURL(payload, window.location.href);
+        } catch (error) {
+            alert(`Could not create share link: ${error.message}`);
             return;
         }
 
-        localStorage.removeItem('telemetryTrainingSessions');
-        this.loadSessionHistory();
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Share link copied to the clipboard.');
+        } catch (error) {
+            // Clipboard access can be blocked (e.g. on file:// pages)
+            prompt('Copy this share link:', url);
+        }
     }
 
     // ==================== PATTERN EDITOR METHODS ====================
@@ -921,7 +3565,84 @@ class LiveTelemetryTrainer {
      * Initialize pattern editor UI
      */
     initializePatternEditor() {
+        this.updateBuiltInPatternOptions();
+        this.updateCustomPatternOptions();
         this.updatePatternInfo();
+        this.updateNoiseSeedDisplay();
+    }
+
+    /**
+     * Look up a pattern by dropdown key - built-in or saved
+     */
+    getPatternByKey(key) {
+        return TELEMETRY_PATTERNS[key] || this.patternLibrary.get(key);
+    }
+
+    /**
+     * List saved patterns in the pattern dropdown
+     */
+    updateCustomPatternOptions() {
+        const patterns = this.patternLibrary.getAll();
+        const group = this.elements.customPatternGroup;
+        group.innerHTML = '';
+
+        Object.keys(patterns).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `★ ${this.getPatternOptionLabel(patterns[key])}`;
+            option.className = 'custom-option';
+            group.appendChild(option);
+        });
+
+        group.style.display = group.children.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Add difficulty ratings to the built-in pattern options
+     */
+    updateBuiltInPatternOptions() {
+        this.elements.patternSelect.querySelectorAll('option').forEach(option => {
+            const pattern = TELEMETRY_PATTERNS[option.value];
+            if (pattern) option.textContent = this.getPatternOptionLabel(pattern);
+        });
+    }
+
+    /**
+     * Dropdown label for a pattern: its name and difficulty rating
+     */
+    getPatternOptionLabel(pattern) {
+        const difficulty = this.getPatternDifficulty(pattern);
+        return difficulty === null ? pattern.name : `${pattern.name} (${difficulty.toFixed(1)})`;
+    }
+
+    /**
+     * Difficulty rating (1-10) of a keyframe pattern, or null if it can't be rated
+     */
+    getPatternDifficulty(pattern) {
+        try {
+            return this.difficultyRater.ratePattern(pattern).rating;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Difficulty rating of the loaded reference (keyframe pattern or imported trace)
+     */
+    getReferenceDifficulty() {
+        const pattern = this.telemetryData.getCurrentPattern();
+        if (pattern.source === 'trace') {
+            return this.difficultyRater.rate(this.telemetryData.getAllData()).rating;
+        }
+        return this.getPatternDifficulty(pattern);
+    }
+
+    /**
+     * Show a pattern description followed by its difficulty rating
+     */
+    showPatternDescription(description, difficulty) {
+        this.elements.patternDescription.textContent = difficulty === null ?
+            description : `${description} · Difficulty ${difficulty.toFixed(1)}/10`;
     }
 
     /**
@@ -929,19 +3650,311 @@ class LiveTelemetryTrainer {
      */
     updatePatternInfo() {
         const selectedKey = this.elements.patternSelect.value;
-        const pattern = TELEMETRY_PATTERNS[selectedKey];
+        const pattern = this.getPatternByKey(selectedKey);
 
         if (pattern) {
-            this.elements.patternDescription.textContent = pattern.description;
+            this.showPatternDescription(pattern.description, this.getPatternDifficulty(pattern));
             this.elements.patternDuration.textContent = `Duration: ${pattern.duration}s`;
             this.elements.patternJSON.value = JSON.stringify(pattern, null, 2);
             this.hideValidationMessage();
+            this.setEditorPattern(selectedKey);
             
             // Update current pattern display
             this.elements.currentPattern.textContent = pattern.name;
         }
     }
 
+    /**
+     * Track which pattern the JSON editor holds and update library controls
+     * Built-ins are read-only; saved patterns can be renamed, deleted and restored
+     */
+    setEditorPattern(key) {
+        this.editorPatternKey = key;
+        const isBuiltIn = Boolean(key && TELEMETRY_PATTERNS[key]);
+        const isSaved = Boolean(key && this.patternLibrary.has(key));
+
+        this.elements.patternJSON.readOnly = isBuiltIn;
+        this.elements.patternJSON.classList.toggle('readonly', isBuiltIn);
+        this.elements.patternReadOnly.style.display = isBuiltIn ? 'block' : 'none';
+        this.elements.duplicatePattern.textContent = isBuiltIn ? 'Duplicate to Edit' : 'Duplicate';
+        this.elements.renamePattern.disabled = !isSaved;
+        this.elements.deletePattern.disabled = !isSaved;
+
+        this.updateVersionHistory();
+        this.syncVisualEditorFromJSON(true);
+    }
+
+    /**
+     * List previous versions of the saved pattern in the editor
+     */
+    updateVersionHistory() {
+        const key = this.editorPatternKey;
+        const versions = key && this.patternLibrary.has(key) ? this.patternLibrary.getVersions(key) : [];
+
+        this.elements.patternHistory.style.display = versions.length > 0 ? 'block' : 'none';
+        this.elements.patternVersions.innerHTML = '';
+        versions.forEach((version, index) => {
+            const savedAt = version.savedAt ? new Date(version.savedAt).toLocaleString() : 'unknown date';
+            this.elements.patternVersions.add(new Option(`v${versions.length - index} · ${version.pattern.name} · ${savedAt}`, String(index)));
+        });
+    }
+
+    /**
+     * Select a pattern in the dropdown and show it in the editor
+     */
+    selectPattern(key) {
+        this.updateCustomPatternOptions();
+        this.elements.patternSelect.value = key;
+        this.updatePatternInfo();
+    }
+
+    /**
+     * Start a new pattern from a minimal template (unsaved draft)
+     */
+    newPattern() {
+        const template = {
+            name: 'New Pattern',
+            duration: 10,
+            description: 'Describe what this pattern trains',
+            segments: [
+                { label: 'Acceleration', timeRange: [0, 4], throttle: [0, 100], brake: [0, 0] },
+                { label: 'Brake Zone', timeRange: [4, 7], throttle: [0, 0], brake: [80, 20] },
+                { label: 'Exit', timeRange: [7, 10], throttle: [20, 100], brake: [0, 0] }
+            ]
+        };
+
+        this.openPatternInEditor(template, 'New pattern');
+    }
+
+    /**
+     * Copy the pattern in the editor into the library and open the copy
+     */
+    duplicatePattern() {
+        try {
+            const source = JSON.parse(this.elements.patternJSON.value);
+            const key = this.patternLibrary.duplicate(source);
+            this.selectPattern(key);
+            this.showValidationMessage(`Duplicated as "${this.patternLibrary.get(key).name}" - you can now edit it`, 'success');
+        } catch (error) {
+            this.showValidationMessage(`Duplicate failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Rename the saved pattern in the editor
+     */
+    renamePattern() {
+        const key = this.editorPatternKey;
+        const pattern = key ? this.patternLibrary.get(key) : null;
+        if (!pattern) return;
+
+        const name = prompt('Rename pattern:', pattern.name);
+        if (name === null) return;
+
+        try {
+            this.patternLibrary.rename(key, name);
+            this.selectPattern(key);
+            this.showValidationMessage(`Renamed to "${name.trim()}"`, 'success');
+        } catch (error) {
+            this.showValidationMessage(`Rename failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete the saved pattern in the editor (and its history)
+     */
+    deletePattern() {
+        const key = this.editorPatternKey;
+        const pattern = key ? this.patternLibrary.get(key) : null;
+        if (!pattern) return;
+
+        if (!confirm(`Delete "${pattern.name}" and all of its versions? This cannot be undone.`)) return;
+
+        try {
+            this.patternLibrary.delete(key);
+            this.selectPattern('default');
+            this.showValidationMessage(`Deleted "${pattern.name}"`, 'success');
+        } catch (error) {
+            this.showValidationMessage(`Delete failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Restore the selected previous version of the saved pattern
+     */
+    restorePatternVersion() {
+        const key = this.editorPatternKey;
+        const index = parseInt(this.elements.patternVersions.value);
+        if (!key || isNaN(index)) return;
+
+        try {
+            this.patternLibrary.restoreVersion(key, index);
+            this.selectPattern(key);
+            this.showValidationMessage('Version restored - click "Load Pattern" to train with it', 'success');
+        } catch (error) {
+            this.showValidationMessage(`Restore failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================== VISUAL PATTERN EDITOR METHODS ====================
+
+    /**
+     * Open the drag-and-drop editor for the pattern in the JSON editor
+     */
+    openVisualEditor() {
+        this.elements.patternEditorPanel.classList.add('open');
+
+        if (!this.patternEditorCanvas) {
+            this.patternEditorCanvas = new PatternEditorCanvas('patternEditorCanvas', {
+                interpolate: (start, end, progress, curve) => TelemetryData.interpolate(start, end, progress, curve),
+                onChange: (pattern) => this.handleVisualEdit(pattern)
+            });
+        } else {
+            this.patternEditorCanvas.handleResize();
+        }
+
+        this.patternEditorCanvas.setChannelVisibility(this.elements.showThrottle.checked, this.elements.showBrake.checked);
+        this.syncVisualEditorFromJSON(true);
+    }
+
+    /**
+     * Close the visual editor (edits are already in the JSON textarea)
+     */
+    closeVisualEditor() {
+        if (this.patternEditorCanvas) this.patternEditorCanvas.cancelLabelEdit();
+        this.elements.patternEditorPanel.classList.remove('open');
+    }
+
+    /**
+     * Whether the visual editor panel is showing
+     */
+    isVisualEditorOpen() {
+        return this.elements.patternEditorPanel.classList.contains('open');
+    }
+
+    /**
+     * Load the JSON textarea into the visual editor
+     * resetHistory: true when a different pattern was opened, false for typed edits (undoable)
+     */
+    syncVisualEditorFromJSON(resetHistory = false) {
+        if (!this.patternEditorCanvas || !this.isVisualEditorOpen()) return;
+
+        this.patternEditorCanvas.setReadOnly(this.elements.patternJSON.readOnly);
+
+        try {
+            const pattern = JSON.parse(this.elements.patternJSON.value);
+            this.patternEditorCanvas.setPattern(pattern, resetHistory);
+            this.updateVisualEditorStatus(pattern);
+        } catch (error) {
+            this.elements.patternEditorStatus.textContent = `✗ JSON parsing error: ${error.message}`;
+            this.elements.patternEditorStatus.className = 'validation-message error';
+        }
+    }
+
+    /**
+     * Write a visual edit back to the JSON textarea
+     */
+    handleVisualEdit(pattern) {
+        this.elements.patternJSON.value = JSON.stringify(pattern, null, 2);
+        if (pattern.duration) {
+            this.elements.patternDuration.textContent = `Duration: ${pattern.duration}s`;
+        }
+        this.updateVisualEditorStatus(pattern);
+    }
+
+    /**
+     * Live validation and toolbar state
+     */
+    updateVisualEditorStatus(pattern) {
+        const editor = this.patternEditorCanvas;
+        const status = this.elements.patternEditorStatus;
+        const validation = validatePattern(pattern);
+
+        if (editor.readOnly) {
+            status.textContent = '🔒 Built-in pattern (read-only) - use "Duplicate to Edit" in the Pattern Editor';
+            status.className = 'validation-message success';
+        } else if (validation.valid) {
+            status.textContent = `✓ Valid · ${pattern.segments.length} segments · ${pattern.duration}s - click "Save Custom" to save and load it`;
+            status.className = 'validation-message success';
+        } else {
+            status.textContent = `✗ ${validation.error}`;
+            status.className = 'validation-message error';
+        }
+
+        this.elements.editorUndo.disabled = !editor.canUndo();
+        this.elements.editorRedo.disabled = !editor.canRedo();
+        this.elements.editorAddSegment.disabled = editor.readOnly;
+        this.elements.editorDeleteSegment.disabled = editor.readOnly;
+        this.updateCurveControls();
+    }
+
+    /**
+     * Show the selected segment's curve in the toolbar
+     */
+    updateCurveControls() {
+        const editor = this.patternEditorCanvas;
+        const segment = editor.getSelectedSegment();
+        const curve = segment ? segment.curve : undefined;
+        const isBezier = Boolean(curve && typeof curve === 'object');
+
+        this.elements.editorCurve.disabled = editor.readOnly || !segment;
+        this.elements.editorCurve.value = isBezier ? 'cubic-bezier' : (curve || '');
+        this.elements.editorCurvePoints.style.display = isBezier ? 'inline-block' : 'none';
+        if (isBezier && document.activeElement !== this.elements.editorCurvePoints) {
+            this.elements.editorCurvePoints.value = (curve.points || []).join(', ');
+        }
+    }
+
+    /**
+     * Apply the toolbar curve choice to the selected segment
+     */
+    applySelectedSegmentCurve() {
+        const editor = this.patternEditorCanvas;
+        if (!editor || editor.selectedIndex === null) return;
+
+        let curve = this.elements.editorCurve.value || null;
+        if (curve === 'cubic-bezier') {
+            const points = this.elements.editorCurvePoints.value.split(',').map(v => parseFloat(v));
+            curve = {
+                type: 'cubic-bezier',
+                points: points.length === 4 && points.every(v => isFinite(v)) ? points : [0.25, 0.1, 0.25, 1]
+            };
+        }
+
+        editor.setSegmentCurve(editor.selectedIndex, curve);
+    }
+
+    /**
+     * Undo/redo and delete keys for the visual editor
+     * Returns true if the key was handled
+     */
+    handleVisualEditorShortcut(e) {
+        const editor = this.patternEditorCanvas;
+        const modifier = e.ctrlKey || e.metaKey;
+
+        if (modifier && e.code === 'KeyZ') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                editor.redo();
+            } else {
+                editor.undo();
+            }
+            return true;
+        }
+        if (modifier && e.code === 'KeyY') {
+            e.preventDefault();
+            editor.redo();
+            return true;
+        }
+        if (e.code === 'Delete' || e.code === 'Backspace') {
+            e.preventDefault();
+            editor.deleteSelectedSegment();
+            return true;
+        }
+
+        return false;
+    }
+
     /**
      * Load selected pattern from dropdown
      */
@@ -954,24 +3967,28 @@ class LiveTelemetryTrainer {
         }
 
         try {
-            this.telemetryData.setPattern(selectedKey);
+            const pattern = this.getPatternByKey(selectedKey);
+            if (this.patternLibrary.has(selectedKey)) {
+                this.telemetryData.loadPatternJSON(pattern);
+            } else {
+                this.telemetryData.setPattern(selectedKey);
+            }
             this.reset();
-            this.showValidationMessage(`Pattern "${TELEMETRY_PATTERNS[selectedKey].name}" loaded successfully!`, 'success');
+            this.showValidationMessage(`Pattern "${pattern.name}" loaded successfully!`, 'success');
             
             // Update current pattern display
-            this.elements.currentPattern.textContent = TELEMETRY_PATTERNS[selectedKey].name;
+            this.elements.currentPattern.textContent = pattern.name;
             
-            // Update graph with new pattern
-            if (this.graphRenderer) {
-                this.graphRenderer.updateReferenceData(this.telemetryData.getAllData());
-            }
+            // Show the new reference on the graph
+            this.renderGraph();
         } catch (error) {
             this.showValidationMessage(`Failed to load pattern: ${error.message}`, 'error');
         }
     }
 
     /**
-     * Save custom pattern from JSON editor
+     * Save custom pattern from JSON editor to the library and load it
+     * Saving a pattern that is already in the library adds a new version
      */
     saveCustomPattern() {
         if (this.isRunning) {
@@ -979,6 +3996,11 @@ class LiveTelemetryTrainer {
             return;
         }
 
+        if (this.editorPatternKey && TELEMETRY_PATTERNS[this.editorPatternKey]) {
+            this.showValidationMessage('Built-in patterns are read-only. Use "Duplicate to Edit" to make your own copy.', 'error');
+            return;
+        }
+
         try {
             const jsonText = this.elements.patternJSON.value;
             const patternData = JSON.parse(jsonText);
@@ -990,19 +4012,23 @@ class LiveTelemetryTrainer {
                 return;
             }
 
+            // Persist to the library (new entry for drafts, new version otherwise)
+            const existingKey = this.editorPatternKey && this.patternLibrary.has(this.editorPatternKey) ? this.editorPatternKey : null;
+            const key = this.patternLibrary.save(patternData, existingKey);
+
             // Load the custom pattern
             this.telemetryData.loadPatternJSON(patternData);
             this.reset();
-            this.showValidationMessage(`Custom pattern "${patternData.name}" loaded successfully!`, 'success');
-            
-            // Update pattern info
-            this.elements.patternDescription.textContent = patternData.description || 'Custom pattern';
-            this.elements.patternDuration.textContent = `Duration: ${patternData.duration}s`;
+            this.selectPattern(key);
+            this.showValidationMessage(
+                existingKey
+                    ? `Saved version ${this.patternLibrary.getVersions(key).length + 1} of "${patternData.name}" and loaded it`
+                    : `Custom pattern "${patternData.name}" saved to My Patterns and loaded`,
+                'success'
+            );
             
-            // Update graph
-            if (this.graphRenderer) {
-                this.graphRenderer.updateReferenceData(this.telemetryData.getAllData());
-            }
+            // Show the new reference on the graph
+            this.renderGraph();
         } catch (error) {
             this.showValidationMessage(`Failed to load custom pattern: ${error.message}`, 'error');
         }
@@ -1055,12 +4081,13 @@ class LiveTelemetryTrainer {
                     const jsonText = event.target.result;
                     const patternData = JSON.parse(jsonText);
                     
-                    // Display in editor
+                    // Display in editor as an unsaved draft
                     this.elements.patternJSON.value = JSON.stringify(patternData, null, 2);
+                    this.setEditorPattern(null);
                     
                     // Update info
                     if (patternData.name) {
-                        this.elements.patternDescription.textContent = patternData.description || 'Imported pattern';
+                        this.showPatternDescription(patternData.description || 'Imported pattern', this.getPatternDifficulty(patternData));
                         this.elements.patternDuration.textContent = `Duration: ${patternData.duration || 0}s`;
                     }
                     
@@ -1076,6 +4103,325 @@ class LiveTelemetryTrainer {
         input.click();
     }
 
+    /**
+     * Import real-world telemetry CSV as a reference trace
+     * Opens the column mapping dialog once the file is parsed
+     */
+    importTelemetryCSV() {
+        if (this.isRunning) {
+            this.showValidationMessage('Cannot change pattern while training is active', 'error');
+            return;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.txt';
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const parsed = this.telemetryImporter.parse(event.target.result);
+                    this.csvImport = { parsed, fileName: file.name };
+                    this.populateCSVImportForm();
+                    this.elements.csvImportModal.style.display = 'flex';
+                } catch (error) {
+                    this.showValidationMessage(`CSV import failed: ${error.message}`, 'error');
+                }
+            };
+
+            reader.readAsText(file);
+        };
+
+        input.click();
+    }
+
+    /**
+     * Fill the CSV mapping form with auto-detected columns and units
+     */
+    populateCSVImportForm() {
+        const { parsed, fileName } = this.csvImport;
+        const importer = this.telemetryImporter;
+        const guess = importer.guessColumns(parsed.headers);
+        const column = (index) => parsed.rows.map(row => row[index]);
+
+        ['time', 'throttle', 'brake', 'speed', 'distance'].forEach(channel => {
+            const select = document.getElementById(`csv${channel[0].toUpperCase()}${channel.slice(1)}Column`);
+            const optional = channel === 'speed' || channel === 'distance';
+
+            // Header cells come from the file, so they go in as text
+            select.innerHTML = '';
+            if (optional) select.add(new Option('— none —', ''));
+            parsed.headers.forEach((header, i) => select.add(new Option(header, String(i))));
+            select.value = guess[channel] !== null ? String(guess[channel]) : '';
+        });
+
+        if (guess.time !== null) {
+            document.getElementById('csvTimeUnit').value = importer.guessTimeUnit(column(guess.time));
+        }
+
+        ['throttle', 'brake'].forEach(channel => {
+            const name = channel[0].toUpperCase() + channel.slice(1);
+            const unit = guess[channel] !== null
+                ? importer.guessPedalUnit(column(guess[channel]))
+                : { unit: 'percent', rawMax: 100 };
+            document.getElementById(`csv${name}Unit`).value = unit.unit;
+            document.getElementById(`csv${name}RawMax`).value = unit.rawMax;
+        });
+
+        document.getElementById('csvTrimStart').value = 0;
+        document.getElementById('csvTrimEnd').value = '';
+        document.getElementById('csvSmoothing').value = 0;
+        document.getElementById('csvName').value = fileName.replace(/\.[^.]+$/, '');
+        document.getElementById('csvFileInfo').textContent =
+            `${fileName} · ${parsed.rows.length} rows · ${parsed.headers.length} columns`;
+
+        this.updateCSVImportPreview();
+    }
+
+    /**
+     * Read the CSV mapping form into importer options
+     */
+    getCSVImportOptions() {
+        const columnValue = (id) => {
+            const value = document.getElementById(id).value;
+            return value === '' ? null : parseInt(value);
+        };
+        const unitValue = (name) => ({
+            unit: document.getElementById(`csv${name}Unit`).value,
+            rawMax: parseFloat(document.getElementById(`csv${name}RawMax`).value) || 0
+        });
+        const trimEnd = document.getElementById('csvTrimEnd').value;
+
+        return {
+            columns: {
+                time: columnValue('csvTimeColumn'),
+                throttle: columnValue('csvThrottleColumn'),
+                brake: columnValue('csvBrakeColumn'),
+                speed: columnValue('csvSpeedColumn'),
+                distance: columnValue('csvDistanceColumn')
+            },
+            timeUnit: document.getElementById('csvTimeUnit').value,
+            units: {
+                throttle: unitValue('Throttle'),
+                brake: unitValue('Brake')
+            },
+            trimStart: parseFloat(document.getElementById('csvTrimStart').value) || 0,
+            trimEnd: trimEnd === '' ? null : parseFloat(trimEnd),
+            smoothing: parseInt(document.getElementById('csvSmoothing').value)
+        };
+    }
+
+    /**
+     * Rebuild the trace with current options and show a short preview
+     */
+    updateCSVImportPreview() {
+        if (!this.csvImport) return;
+
+        const smoothing = parseInt(document.getElementById('csvSmoothing').value);
+        document.getElementById('csvSmoothingValue').textContent = smoothing > 1 ? `${smoothing} samples` : 'Off';
+
+        const preview = document.getElementById('csvPreview');
+        try {
+            const trace = this.telemetryImporter.buildTrace(this.csvImport.parsed, this.getCSVImportOptions());
+            const peak = (channel) => Math.round(trace.reduce((max, sample) => Math.max(max, sample[channel]), 0));
+            preview.textContent = `✓ ${trace.length} samples at 60 Hz · ${trace[trace.length - 1].time.toFixed(1)}s · ` +
+                `peak throttle ${peak('throttle')}% · peak brake ${peak('brake')}%`;
+            preview.className = 'validation-message success';
+        } catch (error) {
+            preview.textContent = `✗ ${error.message}`;
+            preview.className = 'validation-message error';
+        }
+    }
+
+    /**
+     * Load the mapped CSV trace as the training reference
+     */
+    confirmCSVImport() {
+        if (!this.csvImport) return;
+
+        try {
+            const trace = this.telemetryImporter.buildTrace(this.csvImport.parsed, this.getCSVImportOptions());
+            const name = document.getElementById('csvName').value.trim() || 'Imported Trace';
+
+            this.telemetryData.loadReferenceTrace(trace, {
+                name,
+                description: `Imported from ${this.csvImport.fileName}`
+            });
+            this.reset();
+            this.closeCSVImport();
+
+            const pattern = this.telemetryData.getCurrentPattern();
+            this.elements.currentPattern.textContent = pattern.name;
+            this.showPatternDescription(pattern.description, this.getReferenceDifficulty());
+            this.elements.patternDuration.textContent = `Duration: ${pattern.duration.toFixed(1)}s`;
+            this.showValidationMessage(`Imported trace "${name}" loaded as reference (${trace.length} samples)`, 'success');
+        } catch (error) {
+            this.showValidationMessage(`CSV import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Close CSV import dialog
+     */
+    closeCSVImport() {
+        this.elements.csvImportModal.style.display = 'none';
+        this.csvImport = null;
+    }
+
+    /**
+     * Create a keyframe extractor using the editor's error budget
+     * Extracted segments use linear curves, so the fit matches playback
+     */
+    createPatternExtractor() {
+        return new PatternExtractor({
+            errorBudget: parseFloat(this.elements.extractErrorBudget.value)
+        });
+    }
+
+    /**
+     * Fit the current reference (e.g. an imported trace) to keyframe segments
+     */
+    extractPatternFromReference() {
+        try {
+            const current = this.telemetryData.getCurrentPattern();
+            const pattern = this.createPatternExtractor().extract(this.telemetryData.getAllData(), {
+                name: `${current.name} (Keyframes)`
+            });
+            this.openPatternInEditor(pattern, `Extracted ${pattern.segments.length} segments from "${current.name}"`);
+        } catch (error) {
+            this.showValidationMessage(`Extraction failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Fit a recorded session's player inputs to keyframe segments
+     */
+    async extractPatternFromSession(sessionId) {
+        let session;
+        try {
+            session = await this.sessionStore.get(sessionId);
+        } catch (error) {
+            this.reportSessionStoreError('load the session', error);
+            return;
+        }
+
+        if (!session || !session.samples || session.samples.length < 2) {
+            alert('Session not found or has no samples.');
+            return;
+        }
+
+        try {
+            const trace = session.samples.map(sample => ({
+                time: sample.time,
+                throttle: sample.playerInput.throttle,
+                brake: sample.playerInput.brake
+            }));
+            const date = new Date(session.timestamp).toLocaleDateString();
+            const pattern = this.createPatternExtractor().extract(trace, {
+                name: `My ${session.pattern || 'Race Track'} Lap`,
+                description: `Extracted from ${session.mode} session on ${date} (grade ${session.summary.grade})`
+            });
+            this.openPatternInEditor(pattern, `Extracted ${pattern.segments.length} segments from session`);
+            this.elements.sideNav.classList.add('open');
+        } catch (error) {
+            this.showValidationMessage(`Extraction failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the generate dialog with a fresh seed
+     */
+    openGenerateModal() {
+        document.getElementById('generateSeed').value = Math.floor(Math.random() * 1000000);
+        this.elements.generateModal.style.display = 'flex';
+        this.updateGeneratePreview();
+    }
+
+    /**
+     * Read the generator parameters from the dialog
+     */
+    readGeneratorParameters() {
+        const number = (id) => parseFloat(document.getElementById(id).value);
+        const seedValue = document.getElementById('generateSeed').value.trim();
+
+        return {
+            duration: number('generateDuration'),
+            brakingZones: number('generateZones'),
+            peakBrake: [number('generatePeakMin'), number('generatePeakMax')],
+            trailBrake: number('generateTrailBrake') / 100,
+            throttleModulation: number('generateModulation'),
+            minSegmentLength: number('generateMinSegment'),
+            difficulty: number('generateDifficulty'),
+            // Numeric seeds stay numbers so they match the seed shown in the description
+            seed: seedValue === '' ? null : (isNaN(Number(seedValue)) ? seedValue : Number(seedValue)),
+            name: document.getElementById('generateName').value.trim()
+        };
+    }
+
+    /**
+     * Generate from the current parameters and draw the preview
+     * Returns the generated pattern, or null if the parameters are invalid
+     */
+    updateGeneratePreview() {
+        const params = this.readGeneratorParameters();
+        document.getElementById('generateTrailBrakeValue').textContent = `${Math.round(params.trailBrake * 100)}%`;
+        document.getElementById('generateModulationValue').textContent = `${params.throttleModulation}%`;
+        document.getElementById('generateDifficultyValue').textContent = `${params.difficulty}/10`;
+
+        const info = document.getElementById('generatePreviewInfo');
+        try {
+            const result = this.patternGenerator.generate(params);
+            const preview = new TelemetryData();
+            preview.loadPatternJSON(result.pattern);
+            this.graphRenderer.drawTraceOverview(document.getElementById('generatePreview'),
+                preview.getAllData(), 0, result.pattern.duration);
+
+            const offTarget = Math.abs(result.difficulty - params.difficulty) > 1;
+            info.textContent = `✓ ${result.pattern.segments.length} segments · difficulty ${result.difficulty.toFixed(1)}/10` +
+                (offTarget ? ' (closest reachable - change zones, trail braking or segment length to get nearer)' : '');
+            info.className = 'validation-message success';
+            return result.pattern;
+        } catch (error) {
+            info.textContent = `✗ ${error.message}`;
+            info.className = 'validation-message error';
+            return null;
+        }
+    }
+
+    /**
+     * Put the generated pattern into the JSON editor as an unsaved draft
+     */
+    openGeneratedPattern() {
+        const pattern = this.updateGeneratePreview();
+        if (!pattern) return;
+
+        this.closeGenerateModal();
+        this.openPatternInEditor(pattern, `Generated "${pattern.name}"`);
+    }
+
+    /**
+     * Close the generate dialog
+     */
+    closeGenerateModal() {
+        this.elements.generateModal.style.display = 'none';
+    }
+
+    /**
+     * Put a pattern into the JSON editor for review before saving
+     */
+    openPatternInEditor(pattern, message) {
+        this.elements.patternJSON.value = JSON.stringify(pattern, null, 2);
+        this.setEditorPattern(null);
+        this.showPatternDescription(pattern.description, this.getPatternDifficulty(pattern));
+        this.elements.patternDuration.textContent = `Duration: ${pattern.duration}s`;
+        this.showValidationMessage(`${message}. Review the JSON, then click "Save Custom" to load it.`, 'success');
+        this.elements.patternJSON.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
     /**
      * Validate pattern JSON in editor
      */
@@ -1111,11 +4457,226 @@ class LiveTelemetryTrainer {
         this.elements.patternValidation.className = 'validation-message';
         this.elements.patternValidation.textContent = '';
     }
+
+    // ==================== RECORD PATTERN METHODS ====================
+
+    /**
+     * Toggle record-a-pattern mode
+     */
+    toggleRecording() {
+        if (this.isRecording) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+
+    /**
+     * Start a free run with no reference after a countdown
+     * Live inputs are captured until stopped (or the max duration is reached)
+     */
+    startRecording() {
+        if (this.isRunning || this.isRecording) return;
+        if (this.isReplayMode) this.exitReplayMode();
+
+        this.isRecording = true;
+        this.recording = { startTime: new Date().toISOString(), samples: [] };
+        this.currentTime = 0;
+        this.graphRenderer.clearHistory();
+        this.inputHandler.reset();
+
+        this.elements.recordBtn.textContent = '⏹ Stop Recording';
+        this.elements.recordBtn.classList.add('recording');
+        this.elements.startBtn.disabled = true;
+        this.elements.beginnerMode.disabled = true;
+        this.elements.advancedMode.disabled = true;
+        this.closeSideNav();
+        this.hideNonEssentialControls();
+
+        this.runCountdown(() => {
+            this.lastFrameTime = performance.now();
+            this.animateRecording();
+        });
+    }
+
+    /**
+     * Recording loop - real-time (1.0×), no scoring
+     */
+    animateRecording() {
+        if (!this.isRecording) return;
+
+        const currentFrameTime = performance.now();
+        const deltaTime = currentFrameTime - this.lastFrameTime;
+        this.lastFrameTime = currentFrameTime;
+        this.currentTime += deltaTime / 1000;
+
+        this.inputHandler.update(deltaTime, this.trainingMode, this.beginnerSettings);
+        const input = this.inputHandler.getInputs();
+
+        this.recording.samples.push({ time: this.currentTime, throttle: input.throttle, brake: input.brake });
+        this.graphRenderer.addDataPoint(this.currentTime, input.throttle, input.brake, input, 0);
+        this.graphRenderer.renderRecording(this.currentTime);
+        this.updateUI();
+
+        if (this.currentTime >= this.recordingMaxDuration) {
+            this.stopRecording();
+            return;
+        }
+
+        this.animationFrameId = requestAnimationFrame(() => this.animateRecording());
+    }
+
+    /**
+     * Stop recording and open the trim/save dialog
+     */
+    stopRecording() {
+        if (!this.isRecording) return;
+
+        this.cancelCountdown();
+        this.elements.countdownOverlay.style.display = 'none';
+        this.isRecording = false;
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        this.elements.recordBtn.textContent = '⏺ Record';
+        this.elements.recordBtn.classList.remove('recording');
+        this.elements.startBtn.disabled = false;
+        this.elements.beginnerMode.disabled = false;
+        this.elements.advancedMode.disabled = false;
+        this.showNonEssentialControls();
+
+        // Back to the reference view
+        this.currentTime = 0;
+        this.graphRenderer.clearHistory();
+        this.inputHandler.reset();
+        this.renderGraph();
+        this.updateUI();
+
+        const samples = this.recording.samples;
+        if (samples.length < 2 || samples[samples.length - 1].time < 1) {
+            this.recording = null;
+            alert('Recording too short - drive for at least one second.');
+            return;
+        }
+
+        this.openRecordModal();
+    }
+
+    /**
+     * Fill the save dialog for the finished recording
+     */
+    openRecordModal() {
+        const samples = this.recording.samples;
+        const duration = samples[samples.length - 1].time;
+        const date = new Date(this.recording.startTime);
+
+        document.getElementById('recordInfo').textContent =
+            `Recorded ${duration.toFixed(1)}s · ${samples.length} samples · ${this.trainingMode} mode`;
+        document.getElementById('recordTrimStart').value = 0;
+        document.getElementById('recordTrimEnd').value = duration.toFixed(1);
+        document.getElementById('recordSmoothing').value = 0;
+        document.getElementById('recordName').value = `Recorded Pattern ${date.toLocaleDateString()}`;
+        document.getElementById('recordDescription').value = '';
+
+        this.elements.recordModal.style.display = 'flex';
+        this.updateRecordPreview();
+    }
+
+    /**
+     * Turn the recording into a keyframe pattern using the dialog options
+     * Trimmed, resampled to 60 Hz, optionally smoothed, then simplified with the extractor
+     */
+    buildRecordedPattern() {
+        const samples = this.recording.samples;
+        const duration = samples[samples.length - 1].time;
+        const trimStart = Math.max(0, parseFloat(document.getElementById('recordTrimStart').value) || 0);
+        const trimEndValue = parseFloat(document.getElementById('recordTrimEnd').value);
+        const trimEnd = isNaN(trimEndValue) ? duration : Math.min(duration, trimEndValue);
+        const smoothing = parseInt(document.getElementById('recordSmoothing').value);
+
+        if (trimEnd - trimStart < 1) {
+            throw new Error('Trimmed recording must be at least 1 second long');
+        }
+
+        const channels = ['throttle', 'brake'];
+        let trace = this.telemetryImporter.resample(samples, trimStart, trimEnd, channels);
+        if (smoothing > 1) {
+            trace = this.telemetryImporter.smooth(trace, smoothing, channels);
+        }
+
+        const name = document.getElementById('recordName').value.trim() || 'Recorded Pattern';
+        const description = document.getElementById('recordDescription').value.trim() ||
+            `Recorded on ${new Date(this.recording.startTime).toLocaleDateString()}`;
+
+        return this.createPatternExtractor().extract(trace, { name, description });
+    }
+
+    /**
+     * Redraw the trim preview and report the resulting pattern
+     */
+    updateRecordPreview() {
+        if (!this.recording) return;
+
+        const smoothing = parseInt(document.getElementById('recordSmoothing').value);
+        document.getElementById('recordSmoothingValue').textContent = smoothing > 1 ? `${smoothing} samples` : 'Off';
+
+        const samples = this.recording.samples;
+        const trimStart = parseFloat(document.getElementById('recordTrimStart').value) || 0;
+        const trimEndValue = parseFloat(document.getElementById('recordTrimEnd').value);
+        const trimEnd = isNaN(trimEndValue) ? samples[samples.length - 1].time : trimEndValue;
+        this.graphRenderer.drawTraceOverview(document.getElementById('recordPreview'), samples, trimStart, trimEnd);
+
+        const info = document.getElementById('recordPreviewInfo');
+        try {
+            const pattern = this.buildRecordedPattern();
+            info.textContent = `✓ ${pattern.duration.toFixed(1)}s · ${pattern.segments.length} keyframe segments ` +
+                `(±${this.elements.extractErrorBudget.value}% error budget)`;
+            info.className = 'validation-message success';
+        } catch (error) {
+            info.textContent = `✗ ${error.message}`;
+            info.className = 'validation-message error';
+        }
+    }
+
+    /**
+     * Save the recorded pattern to the library and load it as the reference
+     */
+    saveRecordedPattern() {
+        if (!this.recording) return;
+
+        try {
+            const pattern = this.buildRecordedPattern();
+            const key = this.patternLibrary.save(pattern);
+
+            this.telemetryData.loadPatternJSON(pattern);
+            this.reset();
+            this.closeRecordModal();
+            this.selectPattern(key);
+            this.showValidationMessage(`Recorded pattern "${pattern.name}" saved and loaded`, 'success');
+        } catch (error) {
+            const info = document.getElementById('recordPreviewInfo');
+            info.textContent = `✗ ${error.message}`;
+            info.className = 'validation-message error';
+        }
+    }
+
+    /**
+     * Close the record dialog, discarding any unsaved recording
+     */
+    closeRecordModal() {
+        this.elements.recordModal.style.display = 'none';
+        this.recording = null;
+    }
 }
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new LiveTelemetryTrainer();
     console.log('Full Focus Live Telemetry Trainer initialized');
-    console.log('Controls: W = Throttle, S = Brake');
+    const keys = window.app.keyboardSettings.get();
+    console.log(`Controls: ${keys.throttle.label} = Throttle, ${keys.brake.label} = Brake` +
+        keys.presets.map(preset => `, ${preset.label} = ${preset.level}% pressure`).join(''));
 });
@@ -0,0 +1,130 @@
+/**
+ * Difficulty Rater
+ * Rates how hard a reference is to follow (1-10) from measurable features
+ * of its 60 Hz data, so every pattern - built-in, custom, generated or
+ * imported - is rated the same way
+ */
+
+class DifficultyRater {
+    constructor() {
+        this.config = {
+            rateWindow: 6,          // samples (0.1 s) - slope measured over this span
+            rampRate: 20,           // %/s - pedal counts as moving above this
+            holdRate: 10,           // %/s - pedal counts as held below this
+            onThreshold: 10,        // % - pedal switches on above this
+            offThreshold: 5,        // % - ...and off again below this
+            partialRange: [15, 85], // % - holds in this range need fine control
+            maxCacheSize: 100,
+            ratingSeed: 1           // Noise seed every pattern is rated with, so a rating never changes between runs
+        };
+
+        // Each feature is normalised to 0-1 against the value that counts as "hardest"
+        this.weights = {
+            peakRate: { weight: 0.4, max: 250 },     // %/s
+            transitions: { weight: 0.2, max: 6 },    // on/off switches per 10 s
+            overlap: { weight: 0.15, max: 0.25 },    // fraction of time
+            partialHold: { weight: 0.25, max: 0.35 } // fraction of time
+        };
+
+        this.cache = new Map();
+    }
+
+    /**
+     * Rate reference data ([{time, throttle, brake}] on the 60 Hz grid)
+     * Returns { rating, features: {peakRate, transitions, overlap, partialHold} }
+     */
+    rate(data) {
+        const features = this.measureFeatures(data);
+
+        let score = 0;
+        Object.keys(this.weights).forEach(feature => {
+            const { weight, max } = this.weights[feature];
+            score += weight * Math.min(1, features[feature] / max);
+        });
+
+        return { rating: Number((1 + 9 * score).toFixed(1)), features };
+    }
+
+    /**
+     * Rate a keyframe pattern by generating its reference data (cached by content)
+     */
+    ratePattern(pattern) {
+        const cacheKey = JSON.stringify(pattern);
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        const validation = validatePattern(pattern);
+        if (!validation.valid) {
+            throw new Error(`Invalid pattern: ${validation.error}`);
+        }
+        const result = this.rate(TelemetryData.generateReference(pattern, this.config.ratingSeed));
+
+        // Drop the oldest entry once the cache is full
+        if (this.cache.size >= this.config.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Measure the raw difficulty features
+     * peakRate: mean of the three steepest ramps (%/s)
+     * transitions: pedal on/off switches per 10 seconds
+     * overlap: fraction of time both pedals are on
+     * partialHold: fraction of time a pedal is held steady at partial pressure
+     */
+    measureFeatures(data) {
+        const { rateWindow, rampRate, holdRate, onThreshold, offThreshold, partialRange } = this.config;
+        const features = { peakRate: 0, transitions: 0, overlap: 0, partialHold: 0 };
+        if (!data || data.length <= rateWindow) return features;
+
+        const duration = Math.max(data[data.length - 1].time - data[0].time, 1 / 60);
+        const rampPeaks = [];
+        let transitions = 0;
+        const held = new Array(data.length).fill(false);
+
+        ['throttle', 'brake'].forEach(channel => {
+            let rampMax = 0;
+            let on = data[0][channel] > onThreshold;
+
+            for (let i = 0; i < data.length; i++) {
+                const value = data[i][channel];
+
+                // Hysteresis keeps noise around the threshold from counting as switches
+                if (!on && value > onThreshold) {
+                    on = true;
+                    transitions++;
+                } else if (on && value < offThreshold) {
+                    on = false;
+                    transitions++;
+                }
+
+                if (i < rateWindow) continue;
+
+                const dt = data[i].time - data[i - rateWindow].time;
+                const rate = dt > 0 ? Math.abs(value - data[i - rateWindow][channel]) / dt : 0;
+
+                // Track the peak of each continuous ramp
+                if (rate > rampRate) {
+                    rampMax = Math.max(rampMax, rate);
+                } else if (rampMax > 0) {
+                    rampPeaks.push(rampMax);
+                    rampMax = 0;
+                }
+
+                if (rate < holdRate && value >= partialRange[0] && value <= partialRange[1]) {
+                    held[i] = true;
+                }
+            }
+            if (rampMax > 0) rampPeaks.push(rampMax);
+        });
+
+        const steepest = rampPeaks.sort((a, b) => b - a).slice(0, 3);
+        features.peakRate = steepest.length ? steepest.reduce((sum, rate) => sum + rate, 0) / steepest.length : 0;
+        features.transitions = transitions / duration * 10;
+        features.overlap = data.filter(sample => sample.throttle > onThreshold && sample.brake > onThreshold).length / data.length;
+        features.partialHold = held.filter(Boolean).length / data.length;
+
+        return features;
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * Gamepad Calibration
+ * Finds which device, axis or button each pedal is on, with its released and
+ * fully pressed readings (and so its direction), by having the driver press and
+ * release each pedal in turn. Pedals can be on different devices (a pedal box
+ * plus a load-cell brake, say). Bindings are kept in localStorage in a profile
+ * per gamepad.id, so they come back whenever that device connects.
+ */
+
+class GamepadCalibration {
+    constructor(storageKey = 'telemetryGamepadProfiles') {
+        this.storageKey = storageKey;
+        this.channels = ['throttle', 'brake']; // Order the wizard asks for them
+        this.config = {
+            minTravel: 0.3,    // Change in reading that counts as a pedal press (axes span 2, buttons 1)
+            releaseRatio: 0.1  // Back within this share of its travel counts as released
+        };
+        this.wizard = null;
+    }
+
+    // ==================== PROFILES ====================
+
+    /**
+     * All saved profiles keyed by gamepad id
+     */
+    getProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read gamepad profiles:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Saved profile for a gamepad (null if no pedal is bound to it)
+     * Profile: {throttle?: mapping, brake?: mapping, calibratedAt} - only the pedals on that device
+     */
+    getProfile(gamepadId) {
+        return this.getProfiles()[gamepadId] || null;
+    }
+
+    /**
+     * Where each pedal is bound: {throttle, brake}, each a mapping with its gamepadId (or null)
+     * If more than one device claims a pedal the most recently saved wins
+     */
+    getBindings() {
+        const profiles = this.getProfiles();
+        const bindings = { throttle: null, brake: null };
+        const savedAt = {};
+
+        Object.keys(profiles).forEach(gamepadId => {
+            const profile = profiles[gamepadId];
+            this.channels.forEach(channel => {
+                if (!profile[channel]) return;
+                if (bindings[channel] && savedAt[channel] >= profile.calibratedAt) return;
+                bindings[channel] = { ...profile[channel], gamepadId };
+                savedAt[channel] = profile.calibratedAt;
+            });
+        });
+
+        return bindings;
+    }
+
+    /**
+     * Bind pedals ({throttle?, brake?}, each a mapping with its gamepadId), returning all bindings
+     * A pedal moves off any device it was bound to before, and a pedal left on the same
+     * input is unbound (one input can't drive both pedals)
+     */
+    saveBindings(mappings) {
+        const profiles = this.getProfiles();
+        const now = new Date().toISOString();
+        const sameInput = (a, b, gamepadId) => a && a.type === b.type && a.index === b.index && gamepadId === b.gamepadId;
+
+        Object.keys(mappings).forEach(channel => {
+            const { gamepadId, ...mapping } = mappings[channel];
+
+            Object.keys(profiles).forEach(id => {
+                const profile = profiles[id];
+                delete profile[channel];
+                this.channels.forEach(other => {
+                    if (sameInput(profile[other], mappings[channel], id)) delete profile[other];
+                });
+                if (!this.channels.some(c => profile[c])) delete profiles[id];
+            });
+
+            profiles[gamepadId] = { ...profiles[gamepadId], [channel]: mapping, calibratedAt: now };
+        });
+
+        this.write(profiles);
+        return this.getBindings();
+    }
+
+    /**
+     * Guessed mapping for an input picked by hand, from its reading at rest
+     * Axes rest at -1 (pressed 1), 0 (0..1 axis) or 1 (inverted, pressed -1)
+     */
+    createBinding(gamepad, type, index) {
+        const reading = type === 'button' ? gamepad.buttons[index].value : gamepad.axes[index];
+        const released = type === 'button' ? 0 : Math.round(reading);
+        return {
+            gamepadId: gamepad.id,
+            type,
+            index,
+            released,
+            pressed: released === 1 ? -1 : 1,
+            inverted: released === 1,
+            calibrated: false
+        };
+    }
+
+    /**
+     * Forget the pedals bound to a gamepad
+     */
+    deleteProfile(gamepadId) {
+        const profiles = this.getProfiles();
+        delete profiles[gamepadId];
+        this.write(profiles);
+    }
+
+    /**
+     * Forget every binding (pedals go back to the default axes)
+     */
+    clearProfiles() {
+        this.write({});
+    }
+
+    /**
+     * Describe a mapping, e.g. "inverted axis 2" or "button 7"
+     */
+    describeMapping(mapping) {
+        return `${mapping.inverted ? 'inverted ' : ''}${mapping.type} ${mapping.index}`;
+    }
+
+    // ==================== WIZARD ====================
+
+    /**
+     * Start calibrating across all connected gamepads - the current readings
+     * are taken as both pedals released
+     */
+    begin(gamepads) {
+        this.wizard = {
+            devices: Object.fromEntries(gamepads.map(gamepad => [gamepad.index, gamepad.id])),
+            baseline: this.readInputs(gamepads),
+            channelIndex: 0,
+            extremes: {}, // input key -> {value, delta} furthest from rest seen for the current pedal
+            results: {}
+        };
+    }
+
+    /**
+     * Stop calibrating without saving
+     */
+    cancel() {
+        this.wizard = null;
+    }
+
+    /**
+     * Feed the latest state of the connected gamepads to the wizard
+     * The input that has moved furthest from rest is the pedal being pressed; once it
+     * comes back to rest its device and released and fully pressed readings are recorded
+     * Returns {channel (pedal being asked for, null when done), input, travel (0-1), results, done}
+     */
+    update(gamepads) {
+        const wizard = this.wizard;
+        const readings = this.readInputs(gamepads);
+        const taken = Object.values(wizard.results).map(mapping => mapping.key);
+
+        Object.keys(readings).forEach(key => {
+            if (taken.includes(key) || wizard.baseline[key] === undefined) return;
+            const delta = Math.abs(readings[key] - wizard.baseline[key]);
+            if (!wizard.extremes[key] || delta > wizard.extremes[key].delta) {
+                wizard.extremes[key] = { value: readings[key], delta };
+            }
+        });
+
+        let moved = null;
+        Object.keys(wizard.extremes).forEach(key => {
+            const extreme = wizard.extremes[key];
+            if (extreme.delta >= this.config.minTravel && (!moved || extreme.delta > wizard.extremes[moved].delta)) {
+                moved = key;
+            }
+        });
+
+        let travel = 0;
+        if (moved) {
+            const extreme = wizard.extremes[moved];
+            const current = Math.abs(readings[moved] - wizard.baseline[moved]);
+            travel = current / extreme.delta;
+
+            // Pressed and released again - this pedal is done
+            if (current <= extreme.delta * this.config.releaseRatio) {
+                const channel = this.channels[wizard.channelIndex];
+                wizard.results[channel] = this.createMapping(moved, wizard.baseline[moved], extreme.value);
+                wizard.channelIndex++;
+                wizard.extremes = {};
+                moved = null;
+                travel = 0;
+            }
+        }
+
+        const done = wizard.channelIndex >= this.channels.length;
+        return {
+            channel: done ? null : this.channels[wizard.channelIndex],
+            input: moved,
+            travel,
+            results: { ...wizard.results },
+            done
+        };
+    }
+
+    /**
+     * Save the finished calibration, returning all bindings
+     */
+    finish() {
+        const wizard = this.wizard;
+        if (!wizard || wizard.channelIndex < this.channels.length) {
+            throw new Error('Calibration is not finished');
+        }
+
+        const mappings = {};
+        this.channels.forEach(channel => {
+            const { key, ...mapping } = wizard.results[channel];
+            mappings[channel] = mapping;
+        });
+
+        const bindings = this.saveBindings(mappings);
+        this.wizard = null;
+        return bindings;
+    }
+
+    /**
+     * Current axis and button readings of every gamepad keyed "<gamepad index>:axis:0",
+     * "<gamepad index>:button:7" ...
+     */
+    readInputs(gamepads) {
+        const readings = {};
+        gamepads.forEach(gamepad => {
+            gamepad.axes.forEach((value, i) => {
+                readings[`${gamepad.index}:axis:${i}`] = value;
+            });
+            gamepad.buttons.forEach((button, i) => {
+                readings[`${gamepad.index}:button:${i}`] = button.value;
+            });
+        });
+        return readings;
+    }
+
+    /**
+     * Mapping for an input from its released and fully pressed readings
+     * pressed below released means the pedal reads backwards (inverted)
+     */
+    createMapping(key, released, pressed) {
+        const [gamepadIndex, type, index] = key.split(':');
+        return {
+            key,
+            gamepadId: this.wizard.devices[gamepadIndex],
+            type,
+            index: parseInt(index),
+            released: Number(released.toFixed(3)),
+            pressed: Number(pressed.toFixed(3)),
+            inverted: pressed < released,
+            calibrated: true
+        };
+    }
+
+    /**
+     * Persist profiles, surfacing quota errors to the caller
+     */
+    write(profiles) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+        } catch (error) {
+            throw new Error(`Could not save pedal calibration: ${error.message}`);
+        }
+    }
+}
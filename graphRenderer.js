@@ -33,6 +33,13 @@ class GraphRenderer {
             brake: true
         };
 
+        // Ghost trace (a saved session drawn behind the live trace)
+        this.ghostSamples = [];
+        this.showGhost = true;
+
+        // Lap sessions repeat the reference and ghost with this period (null = single run)
+        this.lapDuration = null;
+
         // Colors
         this.colors = {
             background: '#1a1a2e',
@@ -43,6 +50,8 @@ class GraphRenderer {
             playerGood: '#00ff88',
             playerOk: '#ffaa00',
             playerBad: '#ff3344',
+            ghostThrottle: '#66ccff',      // Light blue for ghost throttle
+            ghostBrake: '#cc88ff',         // Violet for ghost brake
             text: '#ffffff',
             axis: '#666666',
             throttleZone: 'rgba(0, 221, 102, 0.08)',  // Light green background
@@ -128,8 +137,10 @@ class GraphRenderer {
 
     /**
      * Render the complete graph
+     * loop = {duration, endTime} repeats the reference every duration seconds
+     * until endTime (Infinity for open-ended lap sessions)
      */
-    render(currentTime, referenceData, trainingMode) {
+    render(currentTime, referenceData, trainingMode, loop = null) {
         // Ensure canvas is properly sized
         if (!this.width || !this.height || !this.graphArea) {
             console.warn('Canvas not properly initialized, attempting to set up...');
@@ -148,9 +159,10 @@ class GraphRenderer {
         this.ctx.fillRect(0, 0, this.width, this.height);
 
         // Calculate visible time range - show past and future
+        this.lapDuration = loop ? loop.duration : null;
+        const referenceEnd = loop ? loop.endTime : referenceData[referenceData.length - 1].time;
         const timeStart = Math.max(0, currentTime - this.config.pastWindow);
-        const timeEnd = Math.min(referenceData[referenceData.length - 1].time, 
-                                  currentTime + this.config.futureWindow);
+        const timeEnd = Math.min(referenceEnd, currentTime + this.config.futureWindow);
 
         // Draw background zones first
         this.drawBackgroundZones(referenceData, timeStart, timeEnd);
@@ -172,6 +184,16 @@ class GraphRenderer {
             this.drawReferenceLine(referenceData, timeStart, timeEnd, 'brake', currentTime);
         }
 
+        // Draw ghost traces behind the player traces
+        if (this.showGhost && this.ghostSamples.length > 1) {
+            if (this.channelVisibility.throttle) {
+                this.drawGhostLine(timeStart, timeEnd, 'throttle');
+            }
+            if (this.channelVisibility.brake) {
+                this.drawGhostLine(timeStart, timeEnd, 'brake');
+            }
+        }
+
         // Draw player traces (only if channel visible)
         if (this.channelVisibility.throttle) {
             this.drawPlayerLine(timeStart, timeEnd, 'throttle', trainingMode);
@@ -192,6 +214,98 @@ class GraphRenderer {
         }
     }
 
+    /**
+     * Render a free recording run - no reference, player inputs in channel colours
+     */
+    renderRecording(currentTime) {
+        if (!this.width || !this.height || !this.graphArea) {
+            this.setupCanvas();
+            if (!this.width || !this.height) return;
+        }
+
+        this.ctx.fillStyle = this.colors.background;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        // Keep "now" at the same position as in training
+        const timeStart = currentTime - this.config.pastWindow;
+        const timeEnd = currentTime + this.config.futureWindow;
+
+        this.drawGrid();
+        this.drawAxes();
+        this.drawCurrentTimeIndicator(currentTime, timeStart, timeEnd);
+
+        const toX = (time) => this.timeToX(time, timeStart, timeEnd);
+        const toY = (percent) => this.percentToY(percent);
+        if (this.channelVisibility.throttle) {
+            this.drawTracePath(this.ctx, this.playerHistory, 'throttle', this.colors.referenceThrottle, toX, toY, timeStart, timeEnd);
+        }
+        if (this.channelVisibility.brake) {
+            this.drawTracePath(this.ctx, this.playerHistory, 'brake', this.colors.referenceBrake, toX, toY, timeStart, timeEnd);
+        }
+
+        if (this.playerHistory.length > 0) {
+            const latest = this.playerHistory[this.playerHistory.length - 1];
+            if (this.channelVisibility.throttle) {
+                this.drawCurrentIndicator(latest.throttle, this.colors.referenceThrottle, 'T');
+            }
+            if (this.channelVisibility.brake) {
+                this.drawCurrentIndicator(latest.brake, this.colors.referenceBrake, 'B');
+            }
+        }
+    }
+
+    /**
+     * Draw a whole trace into a separate (preview) canvas
+     * Samples outside [keepStart, keepEnd] are shaded as trimmed
+     */
+    drawTraceOverview(canvas, trace, keepStart, keepEnd) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+        if (trace.length < 2) return;
+
+        const duration = trace[trace.length - 1].time || 1;
+        const toX = (time) => (time / duration) * width;
+        const toY = (percent) => height - 4 - (percent / 100) * (height - 8);
+
+        this.drawTracePath(ctx, trace, 'throttle', this.colors.referenceThrottle, toX, toY, 0, duration);
+        this.drawTracePath(ctx, trace, 'brake', this.colors.referenceBrake, toX, toY, 0, duration);
+
+        // Shade cropped regions
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, toX(Math.max(0, keepStart)), height);
+        const endX = toX(Math.min(duration, keepEnd));
+        ctx.fillRect(endX, 0, width - endX, height);
+    }
+
+    /**
+     * Stroke one channel of {time, throttle, brake} points as a solid polyline
+     */
+    drawTracePath(ctx, points, channel, color, toX, toY, timeStart, timeEnd) {
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = color;
+
+        ctx.beginPath();
+        let started = false;
+        for (const point of points) {
+            if (point.time < timeStart) continue;
+            if (point.time > timeEnd) break;
+
+            if (!started) {
+                ctx.moveTo(toX(point.time), toY(point[channel]));
+                started = true;
+            } else {
+                ctx.lineTo(toX(point.time), toY(point[channel]));
+            }
+        }
+        ctx.stroke();
+    }
+
     /**
      * Draw background zones for throttle/brake guidance
      */
@@ -199,7 +313,8 @@ class GraphRenderer {
         const threshold = 20; // Consider throttle/brake active if > 20%
         
         for (let t = timeStart; t <= timeEnd; t += 0.1) {
-            const refIndex = Math.floor(t * 60);
+            const lapTime = this.lapDuration ? t % this.lapDuration : t;
+            const refIndex = Math.floor(lapTime * 60);
             if (refIndex >= 0 && refIndex < referenceData.length) {
                 const ref = referenceData[refIndex];
                 const x1 = this.timeToX(t, timeStart, timeEnd);
@@ -315,40 +430,42 @@ class GraphRenderer {
         
         const threshold = 15; // Consider active if > 15%
         
-        for (let i = 0; i < referenceData.length - 1; i++) {
-            const t1 = referenceData[i].time;
-            const t2 = referenceData[i + 1].time;
-            
-            // Skip if outside visible range
-            if (t2 < timeStart) continue;
-            if (t1 > timeEnd) break;
-            
-            const value1 = referenceData[i][channel];
-            const value2 = referenceData[i + 1][channel];
-            
-            const x1 = this.timeToX(t1, timeStart, timeEnd);
-            const y1 = this.percentToY(value1);
-            const x2 = this.timeToX(t2, timeStart, timeEnd);
-            const y2 = this.percentToY(value2);
-            
-            // Determine color based on channel and value
-            let color;
-            if (channel === 'throttle') {
-                color = value1 > threshold ? this.colors.referenceThrottle : this.colors.referenceInactive;
-            } else { // brake
-                color = value1 > threshold ? this.colors.referenceBrake : this.colors.referenceInactive;
+        this.getLapOffsets(timeStart, timeEnd).forEach(offset => {
+            for (let i = 0; i < referenceData.length - 1; i++) {
+                const t1 = referenceData[i].time + offset;
+                const t2 = referenceData[i + 1].time + offset;
+                
+                // Skip if outside visible range
+                if (t2 < timeStart) continue;
+                if (t1 > timeEnd) break;
+                
+                const value1 = referenceData[i][channel];
+                const value2 = referenceData[i + 1][channel];
+                
+                const x1 = this.timeToX(t1, timeStart, timeEnd);
+                const y1 = this.percentToY(value1);
+                const x2 = this.timeToX(t2, timeStart, timeEnd);
+                const y2 = this.percentToY(value2);
+                
+                // Determine color based on channel and value
+                let color;
+                if (channel === 'throttle') {
+                    color = value1 > threshold ? this.colors.referenceThrottle : this.colors.referenceInactive;
+                } else { // brake
+                    color = value1 > threshold ? this.colors.referenceBrake : this.colors.referenceInactive;
+                }
+                
+                // Set opacity based on whether this is in the future
+                const isFuture = t1 > currentTime;
+                this.ctx.globalAlpha = isFuture ? 0.5 : 0.8;
+                
+                this.ctx.strokeStyle = color;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x1, y1);
+                this.ctx.lineTo(x2, y2);
+                this.ctx.stroke();
             }
-            
-            // Set opacity based on whether this is in the future
-            const isFuture = t1 > currentTime;
-            this.ctx.globalAlpha = isFuture ? 0.5 : 0.8;
-            
-            this.ctx.strokeStyle = color;
-            this.ctx.beginPath();
-            this.ctx.moveTo(x1, y1);
-            this.ctx.lineTo(x2, y2);
-            this.ctx.stroke();
-        }
+        });
 
         this.ctx.setLineDash([]); // Reset to solid line
         this.ctx.globalAlpha = 1.0;
@@ -403,6 +520,56 @@ class GraphRenderer {
         }
     }
 
+    /**
+     * Draw ghost session line (thin, translucent, no deviation colouring)
+     */
+    drawGhostLine(timeStart, timeEnd, channel) {
+        this.ctx.lineWidth = 2;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.strokeStyle = channel === 'throttle' ? this.colors.ghostThrottle : this.colors.ghostBrake;
+
+        // Ghost times are lap-relative, so the ghost lap repeats with the reference
+        this.getLapOffsets(timeStart, timeEnd).forEach(offset => {
+            this.ctx.beginPath();
+            let started = false;
+            for (let i = 0; i < this.ghostSamples.length; i++) {
+                const time = this.ghostSamples[i].time + offset;
+
+                // Skip if outside visible range
+                if (time < timeStart) continue;
+                if (time > timeEnd) break;
+
+                const x = this.timeToX(time, timeStart, timeEnd);
+                const y = this.percentToY(this.ghostSamples[i][channel]);
+                if (!started) {
+                    this.ctx.moveTo(x, y);
+                    started = true;
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            }
+            this.ctx.stroke();
+        });
+
+        this.ctx.globalAlpha = 1.0;
+    }
+
+    /**
+     * Start times of every lap visible between timeStart and timeEnd
+     * (just [0] outside lap sessions)
+     */
+    getLapOffsets(timeStart, timeEnd) {
+        if (!this.lapDuration) return [0];
+
+        const offsets = [];
+        for (let lap = Math.floor(timeStart / this.lapDuration); lap * this.lapDuration <= timeEnd; lap++) {
+            offsets.push(lap * this.lapDuration);
+        }
+        return offsets;
+    }
+
     /**
      * Draw current value indicator on right side
      */
@@ -456,4 +623,22 @@ class GraphRenderer {
         this.channelVisibility.throttle = throttle;
         this.channelVisibility.brake = brake;
     }
+
+    /**
+     * Set ghost trace from recorded session samples (pass null to clear)
+     */
+    setGhostSamples(samples) {
+        this.ghostSamples = (samples || []).map(sample => ({
+            time: sample.time,
+            throttle: sample.playerInput.throttle,
+            brake: sample.playerInput.brake
+        }));
+    }
+
+    /**
+     * Set ghost trace visibility
+     */
+    setGhostVisibility(visible) {
+        this.showGhost = visible;
+    }
 }
@@ -4,34 +4,40 @@
  */
 
 class InputHandler {
-    constructor() {
+    constructor(calibration = new GamepadCalibration(), shaping = new PedalShaping(), keyboard = new KeyboardSettings()) {
         this.throttleInput = 0;
         this.brakeInput = 0;
 
         // Input state tracking
+        this.keyboard = keyboard; // Key bindings, partial-pressure keys and emulation profile
         this.keys = {
-            throttle: false,  // W key
-            brake: false      // S key
+            throttle: false,  // Throttle key (W by default)
+            brake: false      // Brake key (S by default)
         };
+        this.heldPresets = new Set(); // Partial-pressure keys held down (KeyboardEvent.code)
+        this.keyPresses = []; // performance.now() of recent pedal key presses (see takeKeyPresses)
+        this.maxKeyPresses = 16;
 
         // Configuration
         this.config = {
-            rampUpRate: 150,      // %/second - how fast input increases
-            rampDownRate: 200,    // %/second - how fast input decays
-            deadzone: 2,          // % - ignore inputs below this
-            smoothingFactor: 0.15, // 0-1, lower = more smoothing
+            deadzone: 2,          // % - released keyboard values below this snap to zero (pedals use their shaping)
             minInput: 0,
             maxInput: 100
         };
 
-        // Gamepad support
-        this.gamepadIndex = null;
-        this.gamepadAxes = {
-            throttle: null,
+        // Gamepad support - each pedal can be on any axis of any connected device
+        this.calibration = calibration; // Saved pedal bindings, in a profile per gamepad.id
+        this.gamepadMapping = {
+            throttle: null, // {gamepadId, type, index, released, pressed, ...}
             brake: null
         };
+        this.usingDefaults = false; // Nothing bound - guessing axes on the first gamepad
+        this.shaping = shaping; // Per-pedal deadzones, curve, saturation and smoothing
+        this.rawGamepadInput = { throttle: 0, brake: 0 }; // Last pedal readings before shaping
+        this.onGamepadChange = null; // Called after a gamepad connects, disconnects or pedals are rebound
 
         this.initializeEventListeners();
+        this.refreshMappings();
         this.lastUpdateTime = performance.now();
     }
 
@@ -47,24 +53,37 @@ class InputHandler {
         window.addEventListener('gamepadconnected', (e) => this.handleGamepadConnected(e));
         window.addEventListener('gamepaddisconnected', (e) => this.handleGamepadDisconnected(e));
 
-        // Prevent default browser behavior for training keys
+        // Prevent default browser behavior for training keys (arrow keys scrolling, etc.)
         window.addEventListener('keydown', (e) => {
-            if (e.key.toLowerCase() === 'w' || e.key.toLowerCase() === 's') {
+            if (this.keyboard.isBound(e.code) && !this.isTyping(e)) {
                 e.preventDefault();
             }
         });
     }
 
     /**
-     * Handle key press
+     * Whether a key event is typing into a form field
+     */
+    isTyping(e) {
+        const tagName = e.target && e.target.tagName;
+        return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT';
+    }
+
+    /**
+     * Handle key press - keys are matched by e.code (physical key, any layout)
      */
     handleKeyDown(e) {
-        const key = e.key.toLowerCase();
-        
-        if (key === 'w') {
-            this.keys.throttle = true;
-        } else if (key === 's') {
-            this.keys.brake = true;
+        const channel = this.keyboard.getChannel(e.code);
+
+        if (channel) {
+            // Timed at the event, not the next frame (auto-repeat isn't a new press)
+            if (!this.keys[channel]) {
+                this.keyPresses.push(performance.now());
+                if (this.keyPresses.length > this.maxKeyPresses) this.keyPresses.shift();
+            }
+            this.keys[channel] = true;
+        } else if (this.keyboard.isBound(e.code)) {
+            this.heldPresets.add(e.code);
         }
     }
 
@@ -72,13 +91,12 @@ class InputHandler {
      * Handle key release
      */
     handleKeyUp(e) {
-        const key = e.key.toLowerCase();
-        
-        if (key === 'w') {
-            this.keys.throttle = false;
-        } else if (key === 's') {
-            this.keys.brake = false;
+        const channel = this.keyboard.getChannel(e.code);
+
+        if (channel) {
+            this.keys[channel] = false;
         }
+        this.heldPresets.delete(e.code);
     }
 
     /**
@@ -86,68 +104,123 @@ class InputHandler {
      */
     handleGamepadConnected(e) {
         console.log('Gamepad connected:', e.gamepad.id);
-        this.gamepadIndex = e.gamepad.index;
-        
-        // Try to detect pedal axes (typically axis 1 and 2 for racing pedals)
-        // This is a basic mapping - may need adjustment for specific hardware
-        this.gamepadAxes.throttle = 1;
-        this.gamepadAxes.brake = 2;
+
+        // A device that was unplugged picks its pedals back up here, whatever its new index
+        this.refreshMappings();
     }
 
     /**
      * Handle gamepad disconnection
      */
     handleGamepadDisconnected(e) {
-        if (e.gamepad.index === this.gamepadIndex) {
-            console.log('Gamepad disconnected');
-            this.gamepadIndex = null;
-            this.gamepadAxes.throttle = null;
-            this.gamepadAxes.brake = null;
-        }
+        console.log('Gamepad disconnected:', e.gamepad.id);
+
+        // Bound pedals stay bound (and read 0) until their device is back
+        this.refreshMappings();
     }
 
     /**
-     * Read gamepad input if available
+     * Work out each pedal's mapping from the saved bindings
+     * With nothing bound, guesses axes 1 and 2 of the first connected gamepad
      */
-    readGamepad() {
-        if (this.gamepadIndex === null) return { throttle: 0, brake: 0 };
+    refreshMappings() {
+        const bindings = this.calibration.getBindings();
+        this.usingDefaults = !bindings.throttle && !bindings.brake;
+
+        if (this.usingDefaults) {
+            const gamepad = this.getGamepads()[0];
+            // Typically axis 1 and 2 for racing pedals - may need calibrating for specific hardware
+            // Range starts as 0..1 and switches to -1..1 once the axis reads below zero
+            this.gamepadMapping.throttle = gamepad ?
+                { gamepadId: gamepad.id, type: 'axis', index: 1, released: 0, pressed: 1, autoRange: true } : null;
+            this.gamepadMapping.brake = gamepad ?
+                { gamepadId: gamepad.id, type: 'axis', index: 2, released: 0, pressed: 1, autoRange: true } : null;
+        } else {
+            this.gamepadMapping.throttle = bindings.throttle;
+            this.gamepadMapping.brake = bindings.brake;
+        }
 
-        const gamepads = navigator.getGamepads();
-        const gamepad = gamepads[this.gamepadIndex];
+        if (this.onGamepadChange) this.onGamepadChange();
+    }
 
-        if (!gamepad) return { throttle: 0, brake: 0 };
+    /**
+     * Current state of every connected gamepad
+     */
+    getGamepads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected !== false);
+    }
 
-        let throttle = 0;
-        let brake = 0;
+    /**
+     * Connected gamepad with this id (null if it isn't connected)
+     */
+    findGamepad(gamepadId, gamepads = this.getGamepads()) {
+        return gamepads.find(gamepad => gamepad.id === gamepadId) || null;
+    }
 
-        // Read throttle axis (convert from -1..1 or 0..1 range to 0..100)
-        if (this.gamepadAxes.throttle !== null && gamepad.axes[this.gamepadAxes.throttle] !== undefined) {
-            let value = gamepad.axes[this.gamepadAxes.throttle];
-            // Handle different axis ranges
-            throttle = ((value + 1) / 2) * 100; // Convert -1..1 to 0..100
-            if (value >= 0 && value <= 1) {
-                throttle = value * 100; // Already in 0..1 range
-            }
+    /**
+     * Device the trainer is reading input from: the throttle's (or brake's) gamepad.id
+     * while it's connected, otherwise 'keyboard'
+     */
+    getInputDevice() {
+        const gamepads = this.getGamepads();
+        for (const channel of ['throttle', 'brake']) {
+            const mapping = this.gamepadMapping[channel];
+            if (mapping && this.findGamepad(mapping.gamepadId, gamepads)) return mapping.gamepadId;
         }
+        return 'keyboard';
+    }
 
-        // Read brake axis
-        if (this.gamepadAxes.brake !== null && gamepad.axes[this.gamepadAxes.brake] !== undefined) {
-            let value = gamepad.axes[this.gamepadAxes.brake];
-            brake = ((value + 1) / 2) * 100;
-            if (value >= 0 && value <= 1) {
-                brake = value * 100;
+    /**
+     * Read the pedals from their devices and shape them (null if none of them is connected)
+     */
+    readGamepad() {
+        const gamepads = this.getGamepads();
+        const throttleMapping = this.gamepadMapping.throttle;
+        const brakeMapping = this.gamepadMapping.brake;
+        const throttlePad = throttleMapping ? this.findGamepad(throttleMapping.gamepadId, gamepads) : null;
+        const brakePad = brakeMapping ? this.findGamepad(brakeMapping.gamepadId, gamepads) : null;
+        if (!throttlePad && !brakePad) return null;
+
+        let throttle = throttlePad ? this.readChannel(throttlePad, throttleMapping) : 0;
+        let brake = brakePad ? this.readChannel(brakePad, brakeMapping) : 0;
+
+        // Nothing bound: also check buttons (some pedals use buttons)
+        if (this.usingDefaults) {
+            if (throttlePad.buttons[6]) { // RT typically
+                throttle = Math.max(throttle, throttlePad.buttons[6].value * 100);
+            }
+            if (throttlePad.buttons[7]) { // LT typically
+                brake = Math.max(brake, throttlePad.buttons[7].value * 100);
             }
         }
 
-        // Also check buttons (some pedals use buttons)
-        if (gamepad.buttons[6]) { // RT typically
-            throttle = Math.max(throttle, gamepad.buttons[6].value * 100);
-        }
-        if (gamepad.buttons[7]) { // LT typically
-            brake = Math.max(brake, gamepad.buttons[7].value * 100);
+        this.rawGamepadInput = { throttle, brake };
+        return {
+            throttle: this.shaping.apply('throttle', throttle),
+            brake: this.shaping.apply('brake', brake)
+        };
+    }
+
+    /**
+     * Read one pedal as 0-100% from its mapping {type, index, released, pressed}
+     * Works either way round, so inverted pedals (pressed < released) read correctly
+     */
+    readChannel(gamepad, mapping) {
+        if (!mapping) return 0;
+
+        const control = mapping.type === 'button' ? gamepad.buttons[mapping.index] : null;
+        const value = mapping.type === 'button' ? (control ? control.value : undefined) : gamepad.axes[mapping.index];
+        if (value === undefined) return 0;
+
+        // A -1..1 axis rests at -1, so any negative reading settles the range for good
+        if (mapping.autoRange && value < 0) {
+            mapping.released = -1;
         }
 
-        return { throttle, brake };
+        const travel = mapping.pressed - mapping.released;
+        if (travel === 0) return 0;
+        return Math.max(0, Math.min(1, (value - mapping.released) / travel)) * 100;
     }
 
     /**
@@ -158,7 +231,7 @@ class InputHandler {
         // Calculate time delta in seconds
         const dt = deltaTime / 1000;
 
-        // Get gamepad input
+        // Get gamepad input (null falls back to the keyboard)
         const gamepadInput = this.readGamepad();
 
         // Determine target values based on input source
@@ -166,16 +239,17 @@ class InputHandler {
         let targetBrake = 0;
 
         // Prioritize gamepad if connected
-        if (this.gamepadIndex !== null) {
+        if (gamepadInput) {
             targetThrottle = gamepadInput.throttle;
             targetBrake = gamepadInput.brake;
         } else {
-            // Keyboard input
+            // Keyboard input - a held partial-pressure key presses the pedal only part way
+            const pressure = this.keyboard.getPressure(this.heldPresets);
             if (this.keys.throttle) {
-                targetThrottle = 100;
+                targetThrottle = pressure;
             }
             if (this.keys.brake) {
-                targetBrake = 100;
+                targetBrake = pressure;
             }
         }
 
@@ -191,44 +265,22 @@ class InputHandler {
             }
         }
 
-        // Smooth ramping for keyboard
-        if (this.gamepadIndex === null) {
-            // Ramp up or down based on target
-            if (targetThrottle > this.throttleInput) {
-                this.throttleInput = Math.min(
-                    targetThrottle,
-                    this.throttleInput + this.config.rampUpRate * dt
-                );
-            } else {
-                this.throttleInput = Math.max(
-                    targetThrottle,
-                    this.throttleInput - this.config.rampDownRate * dt
-                );
-            }
+        // Analog emulation for keyboard
+        if (!gamepadInput) {
+            this.throttleInput = this.emulateKey(this.throttleInput, targetThrottle, dt);
+            this.brakeInput = this.emulateKey(this.brakeInput, targetBrake, dt);
 
-            if (targetBrake > this.brakeInput) {
-                this.brakeInput = Math.min(
-                    targetBrake,
-                    this.brakeInput + this.config.rampUpRate * dt
-                );
-            } else {
-                this.brakeInput = Math.max(
-                    targetBrake,
-                    this.brakeInput - this.config.rampDownRate * dt
-                );
+            // Apply deadzone to released keys (settles exponential decay at zero)
+            if (targetThrottle === 0 && Math.abs(this.throttleInput) < this.config.deadzone) {
+                this.throttleInput = 0;
+            }
+            if (targetBrake === 0 && Math.abs(this.brakeInput) < this.config.deadzone) {
+                this.brakeInput = 0;
             }
         } else {
-            // Gamepad - apply smoothing filter
-            this.throttleInput += (targetThrottle - this.throttleInput) * this.config.smoothingFactor;
-            this.brakeInput += (targetBrake - this.brakeInput) * this.config.smoothingFactor;
-        }
-
-        // Apply deadzone
-        if (Math.abs(this.throttleInput) < this.config.deadzone) {
-            this.throttleInput = 0;
-        }
-        if (Math.abs(this.brakeInput) < this.config.deadzone) {
-            this.brakeInput = 0;
+            // Gamepad - apply each pedal's smoothing filter (deadzones are part of the shaping)
+            this.throttleInput += (targetThrottle - this.throttleInput) * this.shaping.get('throttle').smoothing;
+            this.brakeInput += (targetBrake - this.brakeInput) * this.shaping.get('brake').smoothing;
         }
 
         // Clamp to valid range
@@ -236,6 +288,33 @@ class InputHandler {
         this.brakeInput = Math.max(this.config.minInput, Math.min(this.config.maxInput, this.brakeInput));
     }
 
+    /**
+     * Move a keyboard pedal one frame towards its target with the selected emulation profile
+     * linear: fixed %/second up and down
+     * exponential: closes the same share of the gap every responseTime (fast start, soft finish)
+     * hold: pressure follows how long the key has been held - slow at first, so holding
+     *       briefly gives a light press; releases like linear
+     */
+    emulateKey(current, target, dt) {
+        const settings = this.keyboard.get();
+
+        if (settings.profile === 'exponential') {
+            return current + (target - current) * (1 - Math.exp(-dt * 1000 / settings.responseTime));
+        }
+
+        if (settings.profile === 'hold' && target > current) {
+            // Carry on from the hold time that gives the current pressure
+            const exponent = this.keyboard.holdExponent;
+            const held = settings.holdDuration * Math.pow(current / 100, 1 / exponent) + dt;
+            return Math.min(target, Math.pow(Math.min(1, held / settings.holdDuration), exponent) * 100);
+        }
+
+        if (target > current) {
+            return Math.min(target, current + settings.rampUpRate * dt);
+        }
+        return Math.max(target, current - settings.rampDownRate * dt);
+    }
+
     /**
      * Get current input values
      */
@@ -254,12 +333,25 @@ class InputHandler {
         this.brakeInput = 0;
         this.keys.throttle = false;
         this.keys.brake = false;
+        this.heldPresets.clear();
+        this.keyPresses = [];
+    }
+
+    /**
+     * Times (performance.now() ms) pedal keys went down since the last call, oldest first
+     * Input latency measures the keyboard from these, so neither the frame rate nor
+     * the key response profile delays a press
+     */
+    takeKeyPresses() {
+        const presses = this.keyPresses;
+        this.keyPresses = [];
+        return presses;
     }
 
     /**
-     * Check if gamepad is connected
+     * Check if any gamepad is connected
      */
     isGamepadConnected() {
-        return this.gamepadIndex !== null;
+        return this.getGamepads().length > 0;
     }
 }
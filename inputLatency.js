@@ -0,0 +1,195 @@
+/**
+ * Input Latency
+ * Measures how far the input the trainer scores lags behind the driver, by
+ * flashing a cue on a steady beat and having the driver press in time with
+ * it. Pressing on a predictable beat takes reaction time out of the result,
+ * leaving the delay from USB polling, input smoothing and the display.
+ * Results are kept in localStorage per input device ('keyboard' or gamepad.id).
+ */
+
+class InputLatency {
+    constructor(storageKey = 'telemetryInputLatency') {
+        this.storageKey = storageKey;
+        this.config = {
+            beatInterval: 900,    // ms between flashes
+            flashDuration: 150,   // ms each flash stays lit
+            leadInBeats: 3,       // Flashes to pick up the rhythm before presses count
+            measuredBeats: 10,    // Flashes that are measured
+            tapThreshold: 50,     // % input that counts as a press
+            releaseThreshold: 20, // % input has to drop below before the next press
+            maxOffset: 400,       // ms either side of a flash a press may land
+            minTaps: 5,           // Presses needed for a result
+            maxLatency: 300       // ms - longest compensation applied
+        };
+        this.measurement = null;
+    }
+
+    // ==================== PROFILES ====================
+
+    /**
+     * All saved measurements keyed by device
+     */
+    getProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read input latency:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Saved measurement for a device: {latency (ms), taps, measuredAt} or null
+     */
+    getProfile(deviceId) {
+        return this.getProfiles()[deviceId] || null;
+    }
+
+    /**
+     * Latency to compensate for a device in ms (0 if never measured)
+     */
+    getLatency(deviceId) {
+        const profile = this.getProfile(deviceId);
+        return profile ? profile.latency : 0;
+    }
+
+    /**
+     * Save a device's latency, returning the profile
+     */
+    saveLatency(deviceId, latency, taps) {
+        const profiles = this.getProfiles();
+        profiles[deviceId] = {
+            latency: Math.round(Math.max(0, Math.min(this.config.maxLatency, latency))),
+            taps,
+            measuredAt: new Date().toISOString()
+        };
+        this.write(profiles);
+        return profiles[deviceId];
+    }
+
+    /**
+     * Forget a device's latency (no compensation)
+     */
+    deleteProfile(deviceId) {
+        const profiles = this.getProfiles();
+        delete profiles[deviceId];
+        this.write(profiles);
+    }
+
+    // ==================== MEASUREMENT ====================
+
+    /**
+     * Start measuring - the first flash comes one beat after `now` (performance.now() ms)
+     */
+    begin(deviceId, now) {
+        this.measurement = {
+            deviceId,
+            startTime: now + this.config.beatInterval,
+            armed: false, // Wait for the input to be released before the first press
+            taps: []      // {beat, offset} - ms after (+) or before (-) the flash
+        };
+    }
+
+    /**
+     * Stop measuring without saving
+     */
+    cancel() {
+        this.measurement = null;
+    }
+
+    /**
+     * Advance to frame time `now`, feeding the input the trainer would score (0-100) -
+     * a press counts when it rises through tapThreshold. Pass null for input when
+     * presses are reported with recordPress instead
+     * Returns {flashing (show the cue), beat (flashes so far), leadIn (still picking up
+     * the rhythm), taps (presses counted), done}
+     */
+    update(now, input = null) {
+        const measurement = this.measurement;
+        const config = this.config;
+        const totalBeats = config.leadInBeats + config.measuredBeats;
+        const elapsed = now - measurement.startTime;
+        const beatsStarted = elapsed < 0 ? 0 : Math.floor(elapsed / config.beatInterval) + 1;
+
+        if (input !== null) {
+            if (measurement.armed && input >= config.tapThreshold) {
+                measurement.armed = false;
+                this.recordPress(now);
+            } else if (!measurement.armed && input < config.releaseThreshold) {
+                measurement.armed = true;
+            }
+        }
+
+        return {
+            flashing: beatsStarted > 0 && beatsStarted <= totalBeats &&
+                elapsed % config.beatInterval < config.flashDuration,
+            beat: Math.min(beatsStarted, totalBeats),
+            leadIn: beatsStarted <= config.leadInBeats,
+            taps: measurement.taps.length,
+            done: elapsed >= (totalBeats - 1) * config.beatInterval + config.maxOffset
+        };
+    }
+
+    /**
+     * Count a press made at `time` (performance.now() ms) - for presses timed
+     * exactly, like a key going down
+     */
+    recordPress(time) {
+        const measurement = this.measurement;
+        const config = this.config;
+        const totalBeats = config.leadInBeats + config.measuredBeats;
+        const elapsed = time - measurement.startTime;
+
+        // A press belongs to the nearest flash
+        const beat = Math.round(elapsed / config.beatInterval);
+        const offset = elapsed - beat * config.beatInterval;
+        if (beat >= config.leadInBeats && beat < totalBeats &&
+            Math.abs(offset) <= config.maxOffset &&
+            !measurement.taps.some(tap => tap.beat === beat)) {
+            measurement.taps.push({ beat, offset });
+        }
+    }
+
+    /**
+     * Latency from the presses so far: {latency (median offset, ms), taps, spread (ms)}
+     * Throws if too few presses were in time with the flash
+     */
+    getResult() {
+        const taps = this.measurement ? this.measurement.taps : [];
+        if (taps.length < this.config.minTaps) {
+            throw new Error(`Only ${taps.length} press${taps.length === 1 ? '' : 'es'} landed in time with the flash - ` +
+                `press on every flash and try again (at least ${this.config.minTaps} are needed)`);
+        }
+
+        const offsets = taps.map(tap => tap.offset).sort((a, b) => a - b);
+        const middle = Math.floor(offsets.length / 2);
+        const median = offsets.length % 2 ? offsets[middle] : (offsets[middle - 1] + offsets[middle]) / 2;
+
+        return {
+            latency: Math.round(Math.max(0, Math.min(this.config.maxLatency, median))),
+            taps: taps.length,
+            spread: Math.round(offsets[offsets.length - 1] - offsets[0])
+        };
+    }
+
+    /**
+     * Save the measurement for its device, returning the profile
+     */
+    finish() {
+        const result = this.getResult();
+        const profile = this.saveLatency(this.measurement.deviceId, result.latency, result.taps);
+        this.measurement = null;
+        return profile;
+    }
+
+    /**
+     * Persist profiles, surfacing quota errors to the caller
+     */
+    write(profiles) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+        } catch (error) {
+            throw new Error(`Could not save input latency: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * Keyboard Settings
+ * Which keys drive the throttle and brake, partial-pressure keys (hold one
+ * with a pedal key to press it only part of the way) and how a digital key
+ * is turned into analog pedal travel. Keys are stored by KeyboardEvent.code
+ * - the physical key - so bindings work the same on any layout, along with
+ * the label the driver's own layout shows on it. Kept in localStorage.
+ */
+
+const KEYBOARD_PROFILES = ['linear', 'exponential', 'hold'];
+
+// Keys the app or the browser needs for its own shortcuts
+const RESERVED_KEY_CODES = {
+    Space: 'start / stop',
+    Enter: 'start / stop',
+    Escape: 'stop / reset',
+    KeyP: 'pause',
+    ControlLeft: 'browser shortcuts (Ctrl+W closes the tab)',
+    ControlRight: 'browser shortcuts (Ctrl+W closes the tab)',
+    MetaLeft: 'system shortcuts',
+    MetaRight: 'system shortcuts'
+};
+
+// Labels for keys whose KeyboardEvent.key isn't a printable character
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt'
+};
+
+class KeyboardSettings {
+    constructor(storageKey = 'telemetryKeyboardSettings') {
+        this.storageKey = storageKey;
+        this.channels = ['throttle', 'brake'];
+        this.maxPresets = 3;
+        this.holdExponent = 2; // Hold profile: pressure rises as (held time) ^ 2 - slow at first for fine partial pressure
+
+        // Allowed ranges - stored settings are clamped to these
+        this.limits = {
+            rampUpRate: { min: 20, max: 1000 },    // %/second - linear press speed
+            rampDownRate: { min: 20, max: 1000 },  // %/second - linear and hold release speed
+            responseTime: { min: 20, max: 1000 },  // ms - exponential time constant (63% of the way there)
+            holdDuration: { min: 0.2, max: 5 }     // seconds of holding to reach 100% (hold profile)
+        };
+
+        this.settings = this.load();
+    }
+
+    /**
+     * Settings the keyboard starts with - W/S and the linear ramp the app always had
+     */
+    getDefaults() {
+        return {
+            throttle: { code: 'KeyW', label: 'W' },
+            brake: { code: 'KeyS', label: 'S' },
+            presets: [{ code: 'ShiftLeft', label: 'Left Shift', level: 50 }], // {code, label, level (%)}
+            profile: 'linear',
+            rampUpRate: 150,
+            rampDownRate: 200,
+            responseTime: 120,
+            holdDuration: 1.5
+        };
+    }
+
+    /**
+     * Current settings
+     */
+    get() {
+        return this.settings;
+    }
+
+    /**
+     * Change some settings, returning the cleaned-up result
+     */
+    update(changes) {
+        this.settings = this.normalize({ ...this.settings, ...changes });
+        this.write();
+        return this.settings;
+    }
+
+    /**
+     * Put the keyboard back to the defaults
+     */
+    reset() {
+        this.settings = this.getDefaults();
+        this.write();
+        return this.settings;
+    }
+
+    // ==================== KEYS ====================
+
+    /**
+     * Bind a key to a role - 'throttle', 'brake' or 'preset' (with slot and level)
+     * A key can only do one thing, so it is taken off any other role first
+     * Throws for keys kept for shortcuts (RESERVED_KEY_CODES)
+     */
+    bindKey(role, key, slot = 0, level = 50) {
+        if (RESERVED_KEY_CODES[key.code]) {
+            throw new Error(`${key.label} is already used for ${RESERVED_KEY_CODES[key.code]} - pick another key`);
+        }
+
+        const settings = JSON.parse(JSON.stringify(this.settings));
+        settings.presets = settings.presets.filter(preset => preset.code !== key.code);
+
+        if (role === 'preset') {
+            this.channels.forEach(channel => {
+                if (settings[channel].code === key.code) {
+                    throw new Error(`${key.label} is the ${channel} key - bind the ${channel} to another key first`);
+                }
+            });
+            const preset = { code: key.code, label: key.label, level };
+            if (slot < settings.presets.length) settings.presets[slot] = preset;
+            else settings.presets.push(preset);
+        } else {
+            const other = role === 'throttle' ? 'brake' : 'throttle';
+            if (settings[other].code === key.code) {
+                settings[other] = { ...settings[role] }; // Swap them
+            }
+            settings[role] = { code: key.code, label: key.label };
+        }
+
+        return this.update(settings);
+    }
+
+    /**
+     * Remove a partial-pressure key
+     */
+    removePreset(slot) {
+        return this.update({ presets: this.settings.presets.filter((preset, i) => i !== slot) });
+    }
+
+    /**
+     * Change how far a partial-pressure key presses the pedal (%)
+     */
+    setPresetLevel(slot, level) {
+        return this.update({
+            presets: this.settings.presets.map((preset, i) => i === slot ? { ...preset, level } : preset)
+        });
+    }
+
+    /**
+     * Pedal a key drives ('throttle' / 'brake', or null)
+     */
+    getChannel(code) {
+        return this.channels.find(channel => this.settings[channel].code === code) || null;
+    }
+
+    /**
+     * Whether a key does anything in training (so the browser shouldn't act on it)
+     */
+    isBound(code) {
+        return Boolean(this.getChannel(code)) || this.settings.presets.some(preset => preset.code === code);
+    }
+
+    /**
+     * How far a pedal key presses the pedal with these keys held (100 with none -
+     * the lowest level if several are held)
+     */
+    getPressure(heldCodes) {
+        return this.settings.presets.reduce((level, preset) =>
+            heldCodes.has(preset.code) ? Math.min(level, preset.level) : level, 100);
+    }
+
+    /**
+     * Binding for a key press: {code, label} - the label is what the driver's layout shows
+     */
+    describeKey(e) {
+        return {
+            code: e.code,
+            label: KEY_LABELS[e.code] || (e.key && e.key.length === 1 ? e.key.toUpperCase() : (e.key || e.code))
+        };
+    }
+
+    // ==================== STORAGE ====================
+
+    /**
+     * Clamp settings into range and tidy the keys
+     */
+    normalize(settings) {
+        const defaults = this.getDefaults();
+        const result = { ...defaults, ...settings };
+        const isKey = (key) => key && typeof key.code === 'string' && key.code && !RESERVED_KEY_CODES[key.code];
+
+        Object.keys(this.limits).forEach(key => {
+            const value = parseFloat(result[key]);
+            const { min, max } = this.limits[key];
+            result[key] = isNaN(value) ? defaults[key] : Math.max(min, Math.min(max, value));
+        });
+
+        if (!KEYBOARD_PROFILES.includes(result.profile)) result.profile = defaults.profile;
+
+        this.channels.forEach(channel => {
+            const key = result[channel];
+            result[channel] = isKey(key) ? { code: key.code, label: String(key.label || key.code) } : defaults[channel];
+        });
+        if (result.throttle.code === result.brake.code) {
+            result.throttle = defaults.throttle;
+            result.brake = defaults.brake;
+        }
+
+        const used = new Set([result.throttle.code, result.brake.code]);
+        result.presets = (Array.isArray(result.presets) ? result.presets : [])
+            .filter(preset => isKey(preset) && !used.has(preset.code) && used.add(preset.code))
+            .slice(0, this.maxPresets)
+            .map(preset => ({
+                code: preset.code,
+                label: String(preset.label || preset.code),
+                level: Math.max(5, Math.min(95, Math.round(parseFloat(preset.level)) || 50))
+            }));
+
+        return result;
+    }
+
+    /**
+     * Saved settings (defaults for anything missing or unreadable)
+     */
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read keyboard settings:', error);
+        }
+        return this.normalize(stored);
+    }
+
+    /**
+     * Persist the settings
+     */
+    write() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            throw new Error(`Could not save keyboard settings: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,767 @@
+/**
+ * Pattern Editor Canvas
+ * Graphical keyframe editor built on GraphRenderer's drawing code.
+ * Shows the whole pattern and lets segments be edited with the mouse.
+ */
+
+class PatternEditorCanvas extends GraphRenderer {
+    constructor(canvasId, options = {}) {
+        super(canvasId);
+
+        // Room for segment labels above and boundary handles below the graph
+        this.config.padding = { top: 34, right: 20, bottom: 34, left: 50 };
+        this.setupCanvas();
+
+        this.options = {
+            // Easing the trainer renders segments with: (start, end, progress, curve)
+            interpolate: (start, end, progress) => start + (end - start) * progress,
+            onChange: () => {},   // (pattern, {final}) after every edit
+            handleRadius: 6,      // px
+            hitTolerance: 9,      // px
+            timeSnap: 0.05,       // seconds
+            minSegmentLength: 0.1, // seconds
+            ...options
+        };
+
+        this.pattern = null;
+        this.readOnly = false;
+        this.selectedIndex = null;
+        this.drag = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 100;
+
+        // Inline label editor, positioned over the label band when in use
+        this.labelInput = document.createElement('input');
+        this.labelInput.type = 'text';
+        this.labelInput.className = 'segment-label-input';
+        this.labelInput.style.display = 'none';
+        this.canvas.parentElement.appendChild(this.labelInput);
+        this.editingLabelIndex = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Mouse and inline-input listeners
+     */
+    bindEvents() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        window.addEventListener('mousemove', (e) => this.handleDrag(e));
+        window.addEventListener('mouseup', () => this.endDrag());
+
+        this.labelInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.commitLabelEdit();
+            if (e.key === 'Escape') this.cancelLabelEdit();
+            e.stopPropagation();
+        });
+        this.labelInput.addEventListener('blur', () => this.commitLabelEdit());
+    }
+
+    // ==================== PATTERN STATE ====================
+
+    /**
+     * Show a pattern in the editor
+     * resetHistory: true for a different pattern, false for edits made elsewhere (JSON textarea)
+     */
+    setPattern(pattern, resetHistory = true) {
+        if (resetHistory) {
+            this.undoStack = [];
+            this.redoStack = [];
+        } else if (this.pattern) {
+            this.pushUndo(JSON.stringify(this.pattern));
+        }
+
+        this.pattern = JSON.parse(JSON.stringify(pattern));
+        if (!this.isDrawable()) this.selectedIndex = null;
+        if (this.selectedIndex !== null && !this.pattern.segments[this.selectedIndex]) {
+            this.selectedIndex = null;
+        }
+        this.render();
+    }
+
+    /**
+     * Get a copy of the edited pattern
+     */
+    getPattern() {
+        return JSON.parse(JSON.stringify(this.pattern));
+    }
+
+    /**
+     * Built-in patterns are shown but can't be edited
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.cancelLabelEdit();
+        this.canvas.style.cursor = 'default';
+    }
+
+    /**
+     * Only draw patterns whose structure is complete enough (JSON may be mid-edit)
+     */
+    isDrawable() {
+        const pattern = this.pattern;
+        return Boolean(pattern && pattern.duration > 0 && Array.isArray(pattern.segments) &&
+            pattern.segments.every(seg => Array.isArray(seg.timeRange) && Array.isArray(seg.throttle) && Array.isArray(seg.brake)));
+    }
+
+    /**
+     * Run an edit as one undoable step
+     */
+    applyEdit(edit) {
+        if (this.readOnly || !this.isDrawable()) return;
+
+        const before = JSON.stringify(this.pattern);
+        edit(this.pattern);
+
+        if (JSON.stringify(this.pattern) !== before) {
+            this.pushUndo(before);
+            this.redoStack = [];
+            this.notifyChange(true);
+        }
+        this.render();
+    }
+
+    /**
+     * Add a snapshot to the undo history (bounded)
+     */
+    pushUndo(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.maxHistory) this.undoStack.shift();
+    }
+
+    /**
+     * Undo the last edit
+     */
+    undo() {
+        if (this.readOnly || this.undoStack.length === 0) return;
+        this.redoStack.push(JSON.stringify(this.pattern));
+        this.pattern = JSON.parse(this.undoStack.pop());
+        this.selectedIndex = null;
+        this.notifyChange(true);
+        this.render();
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        if (this.readOnly || this.redoStack.length === 0) return;
+        this.pushUndo(JSON.stringify(this.pattern));
+        this.pattern = JSON.parse(this.redoStack.pop());
+        this.selectedIndex = null;
+        this.notifyChange(true);
+        this.render();
+    }
+
+    /**
+     * Whether there is an edit to undo
+     */
+    canUndo() {
+        return !this.readOnly && this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an edit to redo
+     */
+    canRedo() {
+        return !this.readOnly && this.redoStack.length > 0;
+    }
+
+    /**
+     * Report the edited pattern (final = false while a drag is in progress)
+     */
+    notifyChange(final) {
+        this.options.onChange(this.getPattern(), { final });
+    }
+
+    // ==================== EDIT OPERATIONS ====================
+
+    /**
+     * Split a segment in two at the given time
+     */
+    splitSegment(index, time) {
+        this.applyEdit(pattern => {
+            const segment = pattern.segments[index];
+            const [start, end] = segment.timeRange;
+            if (time - start < this.options.minSegmentLength || end - time < this.options.minSegmentLength) return;
+
+            const progress = (time - start) / (end - start);
+            const valueAt = (values) => this.round(this.options.interpolate(values[0], values[1], progress, segment.curve), 1);
+            const throttleMid = valueAt(segment.throttle);
+            const brakeMid = valueAt(segment.brake);
+
+            const second = {
+                ...segment,
+                timeRange: [time, end],
+                throttle: [throttleMid, segment.throttle[1]],
+                brake: [brakeMid, segment.brake[1]],
+                label: segment.label ? `${segment.label} (2)` : undefined
+            };
+            segment.timeRange = [start, time];
+            segment.throttle = [segment.throttle[0], throttleMid];
+            segment.brake = [segment.brake[0], brakeMid];
+
+            pattern.segments.splice(index + 1, 0, second);
+            this.selectedIndex = index + 1;
+        });
+    }
+
+    /**
+     * Fill the gap around the given time with a new segment
+     * Values continue from the neighbouring segments
+     */
+    addSegmentInGap(time) {
+        this.applyEdit(pattern => {
+            const segments = pattern.segments;
+            const before = segments.filter(seg => seg.timeRange[1] <= time)
+                .sort((a, b) => b.timeRange[1] - a.timeRange[1])[0];
+            const after = segments.filter(seg => seg.timeRange[0] >= time)
+                .sort((a, b) => a.timeRange[0] - b.timeRange[0])[0];
+
+            const start = before ? before.timeRange[1] : 0;
+            const end = after ? after.timeRange[0] : pattern.duration;
+            if (end - start < this.options.minSegmentLength) return;
+
+            const segment = {
+                label: 'New Segment',
+                timeRange: [start, end],
+                throttle: [before ? before.throttle[1] : 0, after ? after.throttle[0] : 0],
+                brake: [before ? before.brake[1] : 0, after ? after.brake[0] : 0]
+            };
+
+            const insertAt = before ? segments.indexOf(before) + 1 : 0;
+            segments.splice(insertAt, 0, segment);
+            this.selectedIndex = insertAt;
+        });
+    }
+
+    /**
+     * Append a segment after the end of the pattern, extending its duration
+     */
+    appendSegment(length = 2) {
+        this.applyEdit(pattern => {
+            const last = pattern.segments.reduce((latest, seg) =>
+                (!latest || seg.timeRange[1] > latest.timeRange[1] ? seg : latest), null);
+            const start = pattern.duration;
+
+            pattern.segments.push({
+                label: 'New Segment',
+                timeRange: [start, this.round(start + length, 2)],
+                throttle: [last ? last.throttle[1] : 0, last ? last.throttle[1] : 0],
+                brake: [last ? last.brake[1] : 0, last ? last.brake[1] : 0]
+            });
+            pattern.duration = this.round(start + length, 2);
+            this.selectedIndex = pattern.segments.length - 1;
+        });
+    }
+
+    /**
+     * Set a segment's interpolation curve (null = default ease-in-out)
+     */
+    setSegmentCurve(index, curve) {
+        this.applyEdit(pattern => {
+            const segment = pattern.segments[index];
+            if (!segment) return;
+            if (curve) {
+                segment.curve = curve;
+            } else {
+                delete segment.curve;
+            }
+        });
+    }
+
+    /**
+     * Currently selected segment (null if none)
+     */
+    getSelectedSegment() {
+        if (!this.isDrawable() || this.selectedIndex === null) return null;
+        return this.pattern.segments[this.selectedIndex] || null;
+    }
+
+    /**
+     * Delete the selected segment (the last one can't be removed)
+     */
+    deleteSelectedSegment() {
+        if (this.selectedIndex === null) return;
+
+        this.applyEdit(pattern => {
+            if (pattern.segments.length <= 1) return;
+            pattern.segments.splice(this.selectedIndex, 1);
+            this.selectedIndex = null;
+        });
+    }
+
+    // ==================== MOUSE HANDLING ====================
+
+    /**
+     * Mouse position in canvas (CSS pixel) coordinates
+     */
+    getMousePosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * Find what is under the pointer
+     * Returns {type: 'handle' | 'boundary' | 'label' | 'segment' | 'gap', ...} or null
+     */
+    hitTest(x, y) {
+        if (!this.isDrawable() || !this.graphArea) return null;
+
+        const tolerance = this.options.hitTolerance;
+        const area = this.graphArea;
+        const time = this.xToTime(x);
+
+        // Boundary handles below the time axis
+        const axisY = area.y + area.height;
+        if (y > axisY + 3 && y <= axisY + this.config.padding.bottom) {
+            const boundary = this.getBoundaries().find(b => Math.abs(this.timeToX(b, 0, this.pattern.duration) - x) <= tolerance);
+            return boundary !== undefined ? { type: 'boundary', time: boundary } : null;
+        }
+
+        // Keyframe handles (nearest wins)
+        let nearest = null;
+        this.getHandles().forEach(handle => {
+            const distance = Math.hypot(handle.x - x, handle.y - y);
+            if (distance <= tolerance && (!nearest || distance < nearest.distance)) {
+                nearest = { ...handle, distance };
+            }
+        });
+        if (nearest) {
+            return { type: 'handle', channel: nearest.channel, time: nearest.time, value: nearest.value };
+        }
+
+        if (x < area.x || x > area.x + area.width || time < 0 || time > this.pattern.duration) return null;
+
+        const index = this.findSegmentIndexAt(time);
+        if (index === null) {
+            return y >= area.y && y <= axisY ? { type: 'gap', time } : null;
+        }
+
+        return { type: y < area.y ? 'label' : 'segment', index, time };
+    }
+
+    /**
+     * Start a drag, add a segment in a gap or select a segment
+     */
+    handleMouseDown(e) {
+        if (this.readOnly || e.button !== 0) return;
+
+        const { x, y } = this.getMousePosition(e);
+        const hit = this.hitTest(x, y);
+        if (!hit) return;
+
+        e.preventDefault();
+
+        switch (hit.type) {
+            case 'handle':
+                this.startDrag({ type: 'handle', channel: hit.channel, targets: this.getLinkedEndpoints(hit) });
+                break;
+            case 'boundary':
+                this.startDrag({ type: 'boundary', time: hit.time });
+                break;
+            case 'gap':
+                this.addSegmentInGap(hit.time);
+                break;
+            default:
+                this.selectedIndex = hit.index;
+                this.render();
+                this.notifyChange(false);
+        }
+    }
+
+    /**
+     * Double-click a label to rename it, or a segment to split it
+     */
+    handleDoubleClick(e) {
+        if (this.readOnly) return;
+
+        const { x, y } = this.getMousePosition(e);
+        const hit = this.hitTest(x, y);
+        if (!hit) return;
+
+        if (hit.type === 'label') {
+            this.startLabelEdit(hit.index);
+        } else if (hit.type === 'segment') {
+            this.splitSegment(hit.index, this.snapTime(hit.time));
+        }
+    }
+
+    /**
+     * Cursor feedback for what a click would do
+     */
+    handleHover(e) {
+        if (this.drag) return;
+        if (this.readOnly) {
+            this.canvas.style.cursor = 'default';
+            return;
+        }
+
+        const { x, y } = this.getMousePosition(e);
+        const hit = this.hitTest(x, y);
+        const cursors = { handle: 'ns-resize', boundary: 'ew-resize', gap: 'copy', label: 'text', segment: 'pointer' };
+        this.canvas.style.cursor = hit ? cursors[hit.type] : 'default';
+    }
+
+    /**
+     * Begin dragging a handle or boundary
+     */
+    startDrag(drag) {
+        this.drag = { ...drag, before: JSON.stringify(this.pattern) };
+    }
+
+    /**
+     * Update the dragged handle or boundary
+     */
+    handleDrag(e) {
+        if (!this.drag) return;
+
+        const { x, y } = this.getMousePosition(e);
+
+        if (this.drag.type === 'handle') {
+            const value = this.round(Math.max(0, Math.min(100, this.yToPercent(y))), 0);
+            this.drag.targets.forEach(({ index, end }) => {
+                this.pattern.segments[index][this.drag.channel][end] = value;
+            });
+        } else {
+            this.drag.time = this.moveBoundary(this.drag.time, this.snapTime(this.xToTime(x)));
+        }
+
+        this.render();
+        this.notifyChange(false);
+    }
+
+    /**
+     * Finish a drag as one undoable step
+     */
+    endDrag() {
+        if (!this.drag) return;
+
+        if (JSON.stringify(this.pattern) !== this.drag.before) {
+            this.pushUndo(this.drag.before);
+            this.redoStack = [];
+        }
+        this.drag = null;
+        this.notifyChange(true);
+    }
+
+    /**
+     * Move every segment edge at `from` to `to` (clamped so no segment gets
+     * shorter than minSegmentLength). The pattern end moves the duration too.
+     * Returns the boundary's new time.
+     */
+    moveBoundary(from, to) {
+        const epsilon = 1e-6;
+        const minLength = this.options.minSegmentLength;
+        const segments = this.pattern.segments;
+        const isEnd = Math.abs(from - this.pattern.duration) < epsilon;
+
+        let min = 0;
+        let max = isEnd ? Infinity : this.pattern.duration;
+        segments.forEach(seg => {
+            if (Math.abs(seg.timeRange[0] - from) < epsilon) max = Math.min(max, seg.timeRange[1] - minLength);
+            if (Math.abs(seg.timeRange[1] - from) < epsilon) min = Math.max(min, seg.timeRange[0] + minLength);
+        });
+
+        const time = this.round(Math.max(min, Math.min(max, to)), 2);
+        segments.forEach(seg => {
+            if (Math.abs(seg.timeRange[0] - from) < epsilon) seg.timeRange[0] = time;
+            if (Math.abs(seg.timeRange[1] - from) < epsilon) seg.timeRange[1] = time;
+        });
+
+        if (isEnd) {
+            this.pattern.duration = Math.max(time, ...segments.map(seg => seg.timeRange[1]));
+        }
+
+        return time;
+    }
+
+    /**
+     * Endpoints that sit on the same keyframe (same time and value) move together,
+     * so contiguous segments stay joined while dragging
+     */
+    getLinkedEndpoints(hit) {
+        const targets = [];
+        this.pattern.segments.forEach((seg, index) => {
+            [0, 1].forEach(end => {
+                if (Math.abs(seg.timeRange[end] - hit.time) < 1e-6 && Math.abs(seg[hit.channel][end] - hit.value) < 0.5) {
+                    targets.push({ index, end });
+                }
+            });
+        });
+        return targets;
+    }
+
+    // ==================== INLINE LABEL EDITING ====================
+
+    /**
+     * Show the inline label input over a segment
+     */
+    startLabelEdit(index) {
+        const segment = this.pattern.segments[index];
+        const [start, end] = segment.timeRange;
+        const x1 = this.timeToX(start, 0, this.pattern.duration);
+        const x2 = this.timeToX(end, 0, this.pattern.duration);
+
+        this.editingLabelIndex = index;
+        this.labelInput.value = segment.label || '';
+        this.labelInput.style.left = `${x1}px`;
+        this.labelInput.style.top = '4px';
+        this.labelInput.style.width = `${Math.max(80, x2 - x1)}px`;
+        this.labelInput.style.display = 'block';
+        this.labelInput.focus();
+        this.labelInput.select();
+    }
+
+    /**
+     * Apply the inline label edit (empty removes the label)
+     */
+    commitLabelEdit() {
+        if (this.editingLabelIndex === null) return;
+
+        const index = this.editingLabelIndex;
+        const label = this.labelInput.value.trim();
+        this.editingLabelIndex = null;
+        this.labelInput.style.display = 'none';
+
+        this.applyEdit(pattern => {
+            if (!pattern.segments[index]) return;
+            if (label) {
+                pattern.segments[index].label = label;
+            } else {
+                delete pattern.segments[index].label;
+            }
+        });
+    }
+
+    /**
+     * Hide the inline label input without applying it
+     */
+    cancelLabelEdit() {
+        this.editingLabelIndex = null;
+        this.labelInput.style.display = 'none';
+    }
+
+    // ==================== GEOMETRY ====================
+
+    /**
+     * Segment under a time - the selected one wins where segments overlap
+     */
+    findSegmentIndexAt(time) {
+        const covers = (seg) => time >= seg.timeRange[0] && time <= seg.timeRange[1];
+        const segments = this.pattern.segments;
+
+        if (this.selectedIndex !== null && segments[this.selectedIndex] && covers(segments[this.selectedIndex])) {
+            return this.selectedIndex;
+        }
+
+        const index = segments.findIndex(covers);
+        return index >= 0 ? index : null;
+    }
+
+    /**
+     * Screen positions of every visible keyframe endpoint
+     */
+    getHandles() {
+        const handles = [];
+        const duration = this.pattern.duration;
+
+        ['brake', 'throttle'].forEach(channel => {
+            if (!this.channelVisibility[channel]) return;
+            this.pattern.segments.forEach(seg => {
+                [0, 1].forEach(end => {
+                    handles.push({
+                        channel,
+                        time: seg.timeRange[end],
+                        value: seg[channel][end],
+                        x: this.timeToX(seg.timeRange[end], 0, duration),
+                        y: this.percentToY(seg[channel][end])
+                    });
+                });
+            });
+        });
+
+        return handles;
+    }
+
+    /**
+     * Distinct segment edge times
+     */
+    getBoundaries() {
+        const times = new Set();
+        this.pattern.segments.forEach(seg => {
+            times.add(seg.timeRange[0]);
+            times.add(seg.timeRange[1]);
+        });
+        return [...times].sort((a, b) => a - b);
+    }
+
+    /**
+     * Convert X coordinate to pattern time
+     */
+    xToTime(x) {
+        return ((x - this.graphArea.x) / this.graphArea.width) * this.pattern.duration;
+    }
+
+    /**
+     * Convert Y coordinate to pedal percent
+     */
+    yToPercent(y) {
+        return ((this.graphArea.y + this.graphArea.height - y) / this.graphArea.height) * 100;
+    }
+
+    /**
+     * Snap a time to the editing grid
+     */
+    snapTime(time) {
+        return this.round(Math.round(time / this.options.timeSnap) * this.options.timeSnap, 2);
+    }
+
+    /**
+     * Round to a fixed number of decimals
+     */
+    round(value, decimals) {
+        return Number(value.toFixed(decimals));
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Draw the whole pattern with its keyframe handles
+     */
+    render() {
+        if (!this.width || !this.height || !this.graphArea) return;
+
+        this.ctx.fillStyle = this.colors.background;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        if (!this.isDrawable()) {
+            this.drawGrid();
+            this.drawAxes();
+            return;
+        }
+
+        const duration = this.pattern.duration;
+        this.drawSegmentBands(duration);
+        this.drawGrid();
+        this.drawAxes();
+        this.drawTimeLabels(duration);
+
+        ['throttle', 'brake'].forEach(channel => {
+            if (this.channelVisibility[channel]) this.drawSegmentCurves(channel, duration);
+        });
+
+        this.drawKeyframeHandles();
+        this.drawBoundaryHandles(duration);
+    }
+
+    /**
+     * Alternating segment shading, selection highlight and labels
+     */
+    drawSegmentBands(duration) {
+        const area = this.graphArea;
+
+        this.pattern.segments.forEach((seg, index) => {
+            const x1 = this.timeToX(seg.timeRange[0], 0, duration);
+            const x2 = this.timeToX(seg.timeRange[1], 0, duration);
+            const selected = index === this.selectedIndex;
+
+            this.ctx.fillStyle = selected ? 'rgba(0, 102, 255, 0.18)' : (index % 2 === 0 ? 'rgba(255, 255, 255, 0.03)' : 'rgba(255, 255, 255, 0.06)');
+            this.ctx.fillRect(x1, area.y, x2 - x1, area.height);
+
+            // Label band above the graph, clipped to the segment width
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(x1, 0, x2 - x1, area.y);
+            this.ctx.clip();
+            this.ctx.fillStyle = selected ? '#66aaff' : this.colors.text;
+            this.ctx.font = '11px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(seg.label || '(no label)', x1 + 4, area.y / 2);
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * Seconds along the bottom axis
+     */
+    drawTimeLabels(duration) {
+        const step = duration > 60 ? 10 : duration > 20 ? 5 : duration > 8 ? 2 : 1;
+        this.ctx.fillStyle = this.colors.axis;
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+
+        for (let t = 0; t <= duration; t += step) {
+            this.ctx.fillText(`${t}s`, this.timeToX(t, 0, duration), this.graphArea.y + this.graphArea.height + 18);
+        }
+    }
+
+    /**
+     * Each segment's eased curve between its keyframes
+     */
+    drawSegmentCurves(channel, duration) {
+        const color = channel === 'throttle' ? this.colors.referenceThrottle : this.colors.referenceBrake;
+        const steps = 24;
+
+        this.pattern.segments.forEach(seg => {
+            const points = [];
+            for (let i = 0; i <= steps; i++) {
+                const progress = i / steps;
+                points.push({
+                    time: seg.timeRange[0] + (seg.timeRange[1] - seg.timeRange[0]) * progress,
+                    [channel]: this.options.interpolate(seg[channel][0], seg[channel][1], progress, seg.curve)
+                });
+            }
+            this.drawTracePath(this.ctx, points, channel, color,
+                (time) => this.timeToX(time, 0, duration), (percent) => this.percentToY(percent), -Infinity, Infinity);
+        });
+    }
+
+    /**
+     * Draggable dots on every keyframe endpoint
+     */
+    drawKeyframeHandles() {
+        const radius = this.options.handleRadius;
+
+        this.getHandles().forEach(handle => {
+            this.ctx.fillStyle = handle.channel === 'throttle' ? this.colors.referenceThrottle : this.colors.referenceBrake;
+            this.ctx.strokeStyle = this.colors.background;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(handle.x, handle.y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Triangles under the time axis for dragging boundaries
+     */
+    drawBoundaryHandles(duration) {
+        const axisY = this.graphArea.y + this.graphArea.height;
+        this.ctx.fillStyle = '#aaaaaa';
+
+        this.getBoundaries().forEach(time => {
+            const x = this.timeToX(time, 0, duration);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, axisY + 2);
+            this.ctx.lineTo(x - 6, axisY + 14);
+            this.ctx.lineTo(x + 6, axisY + 14);
+            this.ctx.closePath();
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        super.handleResize();
+        this.render();
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Pattern Extractor
+ * Fits a dense throttle/brake trace (imported log or recorded session)
+ * to the keyframe segment format used by TELEMETRY_PATTERNS
+ */
+
+class PatternExtractor {
+    constructor(options = {}) {
+        this.options = {
+            errorBudget: 5,          // % - max allowed deviation from the trace
+            minSegmentLength: 0.25,  // seconds - shortest segment produced
+            activeThreshold: 10,     // % - pedal counts as in use above this
+            changeThreshold: 10,     // % - start/end difference that counts as a ramp
+            // Curve written to every segment, and the matching interpolation
+            // used to measure fit error
+            curve: 'linear',
+            interpolate: (start, end, progress) => start + (end - start) * progress,
+            ...options
+        };
+    }
+
+    /**
+     * Extract a pattern from a trace of {time, throttle, brake} samples
+     * Uses top-down piecewise simplification (Douglas-Peucker style): a segment
+     * is split at its worst-fitting sample until every sample is within the
+     * error budget or segments would get shorter than minSegmentLength.
+     */
+    extract(trace, info = {}) {
+        const points = this.normalizeTrace(trace);
+        if (points.length < 2) {
+            throw new Error('Trace must contain at least two samples');
+        }
+
+        const breakpoints = this.findBreakpoints(points);
+        const segments = this.buildSegments(points, breakpoints);
+        const duration = segments[segments.length - 1].timeRange[1];
+
+        const pattern = {
+            name: info.name || 'Extracted Pattern',
+            duration,
+            description: info.description,
+            noise: { throttle: 0, brake: 0 }, // The fit is the reference - no variation on top
+            segments
+        };
+
+        const validation = validatePattern(pattern);
+        if (!validation.valid) {
+            throw new Error(`Extracted pattern is invalid: ${validation.error}`);
+        }
+
+        // Report the error of the pattern as it plays back, rounding included
+        const fitError = this.measureFitError(points, pattern);
+        if (!pattern.description) {
+            pattern.description = `Extracted from trace (${segments.length} segments, max error ${fitError.toFixed(1)}%)`;
+        }
+
+        return pattern;
+    }
+
+    /**
+     * Sort by time, zero the start time and drop duplicate timestamps
+     */
+    normalizeTrace(trace) {
+        const sorted = [...trace].sort((a, b) => a.time - b.time);
+        if (sorted.length === 0) return [];
+
+        const startTime = sorted[0].time;
+        const points = [];
+
+        sorted.forEach(sample => {
+            const time = sample.time - startTime;
+            if (points.length > 0 && time <= points[points.length - 1].time) return;
+            points.push({
+                time,
+                throttle: Math.max(0, Math.min(100, sample.throttle)),
+                brake: Math.max(0, Math.min(100, sample.brake))
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Find sample indices where segments start/end
+     */
+    findBreakpoints(points) {
+        const breakpoints = new Set([0, points.length - 1]);
+        const stack = [[0, points.length - 1]];
+
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const split = this.findSplit(points, first, last);
+
+            if (split !== null) {
+                breakpoints.add(split);
+                stack.push([first, split], [split, last]);
+            }
+        }
+
+        return [...breakpoints].sort((a, b) => a - b);
+    }
+
+    /**
+     * Find the worst-fitting sample between first and last that can be split on
+     * Returns null if the span already fits or can't be split any further
+     */
+    findSplit(points, first, last) {
+        const startTime = points[first].time;
+        const endTime = points[last].time;
+        const minLength = this.options.minSegmentLength;
+
+        if (endTime - startTime < minLength * 2) return null;
+
+        let worstIndex = null;
+        let worstError = this.options.errorBudget;
+
+        for (let k = first + 1; k < last; k++) {
+            // Both halves must stay at least minSegmentLength long
+            if (points[k].time - startTime < minLength || endTime - points[k].time < minLength) continue;
+
+            const error = this.errorAt(points, first, last, k);
+            if (error > worstError) {
+                worstError = error;
+                worstIndex = k;
+            }
+        }
+
+        return worstIndex;
+    }
+
+    /**
+     * Deviation of sample k from the segment fitted between first and last
+     */
+    errorAt(points, first, last, k) {
+        const a = points[first];
+        const b = points[last];
+        const progress = (points[k].time - a.time) / (b.time - a.time);
+
+        return Math.max(
+            Math.abs(points[k].throttle - this.options.interpolate(a.throttle, b.throttle, progress)),
+            Math.abs(points[k].brake - this.options.interpolate(a.brake, b.brake, progress))
+        );
+    }
+
+    /**
+     * Largest deviation of the trace from the pattern played back through
+     * TelemetryData (the reference the driver trains against)
+     * The reference stops just short of the duration, so the final sample isn't compared
+     */
+    measureFitError(points, pattern) {
+        const noise = TelemetryData.createNoise(pattern, 0);
+        let maxError = 0;
+
+        points.forEach(point => {
+            if (point.time >= pattern.duration) return;
+            const values = TelemetryData.getValuesAtTime(point.time, pattern, noise);
+            maxError = Math.max(maxError,
+                Math.abs(point.throttle - Math.max(0, Math.min(100, values.throttle))),
+                Math.abs(point.brake - Math.max(0, Math.min(100, values.brake))));
+        });
+
+        return maxError;
+    }
+
+    /**
+     * Turn breakpoints into labelled, contiguous segments
+     * Marked source: 'trace', so each owns [start, end) and the shared boundary
+     * sample isn't counted twice
+     */
+    buildSegments(points, breakpoints) {
+        const round = (value, decimals) => Number(value.toFixed(decimals));
+        const labelCounts = {};
+        const segments = [];
+
+        for (let i = 0; i < breakpoints.length - 1; i++) {
+            const a = points[breakpoints[i]];
+            const b = points[breakpoints[i + 1]];
+
+            const segment = {
+                timeRange: [round(a.time, 2), round(b.time, 2)],
+                throttle: [round(a.throttle, 1), round(b.throttle, 1)],
+                brake: [round(a.brake, 1), round(b.brake, 1)],
+                curve: this.options.curve,
+                source: 'trace'
+            };
+
+            // Rounding can collapse very short segments - skip those
+            if (segment.timeRange[1] <= segment.timeRange[0]) continue;
+
+            const phase = this.classifyPhase(segment);
+            labelCounts[phase] = (labelCounts[phase] || 0) + 1;
+            segment.label = `${phase} ${labelCounts[phase]}`;
+
+            segments.push(segment);
+        }
+
+        return segments;
+    }
+
+    /**
+     * Name a segment's driving phase from its throttle/brake behaviour
+     */
+    classifyPhase(segment) {
+        const { activeThreshold, changeThreshold } = this.options;
+        const [throttleStart, throttleEnd] = segment.throttle;
+        const [brakeStart, brakeEnd] = segment.brake;
+        const brakeActive = Math.max(brakeStart, brakeEnd) > activeThreshold;
+        const throttleActive = Math.max(throttleStart, throttleEnd) > activeThreshold;
+
+        if (brakeActive) {
+            if (brakeEnd - brakeStart > changeThreshold) return 'Brake Zone';
+            if (brakeStart - brakeEnd > changeThreshold) return throttleActive ? 'Trail Brake' : 'Brake Release';
+            return 'Brake Hold';
+        }
+
+        if (throttleActive) {
+            if (throttleEnd - throttleStart > changeThreshold) return 'Acceleration';
+            if (throttleStart - throttleEnd > changeThreshold) return 'Lift';
+            if (Math.min(throttleStart, throttleEnd) >= 90) return 'Full Throttle';
+            return 'Partial Throttle';
+        }
+
+        return 'Coast';
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Pattern Generator
+ * Builds new training drills procedurally from a handful of parameters.
+ * Output has the same shape as TELEMETRY_PATTERNS and passes validatePattern.
+ */
+
+class PatternGenerator {
+    constructor(rater = new DifficultyRater()) {
+        this.rater = rater;
+        this.defaults = {
+            duration: 30,            // seconds
+            brakingZones: 3,
+            peakBrake: [70, 100],    // % - each zone peaks somewhere in this range
+            trailBrake: 0.5,         // 0-1 - share of zones that trail brake into the apex
+            throttleModulation: 20,  // % - depth of lifts on the straights (0 = flat out)
+            minSegmentLength: 0.5,   // seconds
+            difficulty: 5,           // 1-10 target
+            seed: null               // null = random
+        };
+
+        // Layouts tried per seed while searching for the target difficulty
+        this.attempts = 12;
+    }
+
+    /**
+     * Generate a pattern whose estimated difficulty is as close as possible to the target
+     * The layout comes from the seed; only its aggressiveness (ramp speed, straight
+     * length, partial holds) is tuned toward the target difficulty
+     */
+    generate(params = {}) {
+        const options = { ...this.defaults, ...params };
+        this.validateParameters(options);
+
+        const seed = options.seed !== null && options.seed !== '' ? options.seed : Math.floor(Math.random() * 1000000);
+        let aggression = (options.difficulty - 1) / 9;
+        let best = null;
+
+        for (let attempt = 0; attempt < this.attempts; attempt++) {
+            const pattern = this.buildPattern(options, aggression, createSeededRandom(seed));
+            const difficulty = this.estimateDifficulty(pattern);
+            const error = Math.abs(difficulty - options.difficulty);
+
+            if (!best || error < best.error) {
+                best = { pattern, difficulty, error };
+            }
+            if (error < 0.1) break;
+
+            aggression = Math.max(0, Math.min(1, aggression + (options.difficulty - difficulty) / 6));
+        }
+
+        const pattern = best.pattern;
+        pattern.name = options.name || `Generated Drill ${seed}`;
+        pattern.description = `Generated drill: ${options.brakingZones} braking zone${options.brakingZones === 1 ? '' : 's'}, ` +
+            `difficulty ${best.difficulty.toFixed(1)}/10 (seed ${seed})`;
+
+        const validation = validatePattern(pattern);
+        if (!validation.valid) {
+            throw new Error(`Generated pattern is invalid: ${validation.error}`);
+        }
+
+        return { pattern, difficulty: best.difficulty, seed };
+    }
+
+    /**
+     * Reject parameter combinations that can't produce a valid pattern
+     */
+    validateParameters(options) {
+        const { duration, brakingZones, peakBrake, trailBrake, throttleModulation, minSegmentLength, difficulty } = options;
+
+        if (!(duration >= 5 && duration <= 600)) {
+            throw new Error('Duration must be between 5 and 600 seconds');
+        }
+        if (!Number.isInteger(brakingZones) || brakingZones < 1) {
+            throw new Error('Braking zones must be a whole number of at least 1');
+        }
+        if (!Array.isArray(peakBrake) || !(peakBrake[0] >= 10 && peakBrake[0] <= peakBrake[1] && peakBrake[1] <= 100)) {
+            throw new Error('Peak brake range must be [min, max] with 10 <= min <= max <= 100');
+        }
+        if (!(trailBrake >= 0 && trailBrake <= 1)) {
+            throw new Error('Trail-brake proportion must be between 0 and 1');
+        }
+        if (!(throttleModulation >= 0 && throttleModulation <= 80)) {
+            throw new Error('Throttle modulation depth must be between 0 and 80%');
+        }
+        if (!(minSegmentLength >= 0.1)) {
+            throw new Error('Minimum segment length must be at least 0.1 seconds');
+        }
+        if (!(difficulty >= 1 && difficulty <= 10)) {
+            throw new Error('Target difficulty must be between 1 and 10');
+        }
+
+        // A zone needs up to 8 phases (straight, lift, brake, hold, release, turn-in, apex, exit)
+        const zoneLength = duration / brakingZones;
+        if (zoneLength < minSegmentLength * 8) {
+            throw new Error(`${brakingZones} braking zones don't fit in ${duration}s with ` +
+                `${minSegmentLength}s minimum segments - use fewer zones or shorter segments`);
+        }
+    }
+
+    /**
+     * Lay out every braking zone for one aggressiveness level (0 = gentle, 1 = aggressive)
+     * Random values are drawn in a fixed order so the same seed gives the same layout
+     */
+    buildPattern(options, aggression, random) {
+        const { duration, brakingZones, minSegmentLength } = options;
+        const zoneLength = duration / brakingZones;
+        const lerp = (from, to) => from + (to - from) * aggression;
+        const jitter = (weight) => weight * (0.8 + random() * 0.4);
+        const phases = [];
+
+        for (let zone = 0; zone < brakingZones; zone++) {
+            const peak = options.peakBrake[0] + random() * (options.peakBrake[1] - options.peakBrake[0]);
+            const trail = random() < options.trailBrake;
+            const apexThrottle = Math.min(100, lerp(85, 30) + random() * 15);
+            const held = peak * lerp(0.95, 0.7);
+            const liftDepth = options.throttleModulation * (0.5 + random() * 0.5);
+            const zonePhases = [];
+
+            // Gentle drills spend the zone on slow ramps; aggressive ones squeeze
+            // quick ramps and long partial holds between longer straights
+            zonePhases.push({ label: 'Straight', weight: jitter(lerp(1.5, 3)), throttle: [100, 100], brake: [0, 0] });
+
+            // Lift and back on halfway down the straight, if there's room for it
+            const modulate = liftDepth >= 5 && zoneLength >= minSegmentLength * 10;
+            const liftWeight = jitter(lerp(0.8, 0.4));
+            if (modulate) {
+                const lifted = 100 - liftDepth;
+                zonePhases.push(
+                    { label: 'Lift', weight: liftWeight, throttle: [100, lifted], brake: [0, 0] },
+                    { label: 'Back On', weight: liftWeight, throttle: [lifted, 100], brake: [0, 0] }
+                );
+            }
+
+            // Gentle drills lift off before braking; aggressive ones do both at once
+            const liftOffWeight = jitter(2);
+            const brakeWeight = jitter(lerp(2, 0.2));
+            if (aggression < 0.5) {
+                zonePhases.push(
+                    { label: 'Lift Off', weight: liftOffWeight, throttle: [100, 0], brake: [0, 0] },
+                    { label: 'Brake Zone', weight: brakeWeight, throttle: [0, 0], brake: [0, peak], curve: 'ease-out' }
+                );
+            } else {
+                zonePhases.push({ label: 'Brake Zone', weight: brakeWeight, throttle: [100, 0], brake: [0, peak], curve: 'ease-out' });
+            }
+            zonePhases.push({ label: 'Brake Hold', weight: jitter(1), throttle: [0, 0], brake: [peak, held] });
+
+            const releaseWeight = jitter(lerp(2.5, 0.3));
+            if (trail) {
+                zonePhases.push({ label: 'Trail Brake', weight: releaseWeight, throttle: [0, apexThrottle], brake: [held, 0] });
+            } else {
+                zonePhases.push(
+                    { label: 'Brake Release', weight: releaseWeight, throttle: [0, 0], brake: [held, 0] },
+                    { label: 'Turn In', weight: jitter(lerp(1.5, 0.3)), throttle: [0, apexThrottle], brake: [0, 0] }
+                );
+            }
+
+            zonePhases.push(
+                { label: 'Apex', weight: jitter(lerp(0.2, 3)), throttle: [apexThrottle, apexThrottle], brake: [0, 0] },
+                { label: 'Exit', weight: jitter(lerp(2.5, 0.4)), throttle: [apexThrottle, 100], brake: [0, 0] }
+            );
+
+            // Every phase gets the minimum length; the rest is shared by weight
+            const spare = zoneLength - zonePhases.length * minSegmentLength;
+            const totalWeight = zonePhases.reduce((sum, phase) => sum + phase.weight, 0);
+            zonePhases.forEach(phase => {
+                phase.length = minSegmentLength + spare * (phase.weight / totalWeight);
+                phase.label = `${phase.label} ${zone + 1}`;
+            });
+
+            phases.push(...zonePhases);
+        }
+
+        return { name: 'Generated Drill', duration, description: '', segments: this.buildSegments(phases, duration) };
+    }
+
+    /**
+     * Turn phase lengths into contiguous segments with rounded boundaries
+     */
+    buildSegments(phases, duration) {
+        const round = (value, decimals) => Number(value.toFixed(decimals));
+        let time = 0;
+
+        return phases.map((phase, i) => {
+            const start = round(time, 2);
+            time += phase.length;
+            const end = i === phases.length - 1 ? duration : round(time, 2);
+
+            const segment = {
+                timeRange: [start, end],
+                throttle: phase.throttle.map(value => Math.round(value)),
+                brake: phase.brake.map(value => Math.round(value)),
+                label: phase.label
+            };
+            if (phase.curve) segment.curve = phase.curve;
+            return segment;
+        });
+    }
+
+    /**
+     * Difficulty (1-10) of a pattern, rated from its generated reference data
+     */
+    estimateDifficulty(pattern) {
+        return this.rater.ratePattern(pattern).rating;
+    }
+}
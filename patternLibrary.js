@@ -0,0 +1,172 @@
+/**
+ * Pattern Library
+ * Stores user-created patterns in localStorage so they can be
+ * selected alongside the built-in TELEMETRY_PATTERNS.
+ * Each entry keeps the previous versions of its pattern.
+ */
+
+class PatternLibrary {
+    constructor(storageKey = 'telemetryCustomPatterns') {
+        this.storageKey = storageKey;
+        this.maxVersions = 20; // Older versions are dropped first
+    }
+
+    /**
+     * Read all entries: {key: {pattern, createdAt, updatedAt, versions}}
+     */
+    getEntries() {
+        let entries;
+        try {
+            entries = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.error('Failed to read pattern library:', error);
+            return {};
+        }
+
+        // Early libraries stored bare patterns - wrap them as entries
+        Object.keys(entries).forEach(key => {
+            if (entries[key].segments) {
+                entries[key] = { pattern: entries[key], createdAt: null, updatedAt: null, versions: [] };
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Get all saved patterns keyed by pattern key
+     */
+    getAll() {
+        const entries = this.getEntries();
+        const patterns = {};
+        Object.keys(entries).forEach(key => {
+            patterns[key] = entries[key].pattern;
+        });
+        return patterns;
+    }
+
+    /**
+     * Get a saved pattern (null if not found)
+     */
+    get(key) {
+        const entry = this.getEntries()[key];
+        return entry ? entry.pattern : null;
+    }
+
+    /**
+     * Check whether a key belongs to a saved (non built-in) pattern
+     */
+    has(key) {
+        return this.get(key) !== null;
+    }
+
+    /**
+     * Validate and save a pattern, returning its key
+     * Without a key a new entry is created; saving over an existing
+     * entry moves its current pattern into the version history
+     */
+    save(pattern, key = null) {
+        const validation = validatePattern(pattern);
+        if (!validation.valid) {
+            throw new Error(`Invalid pattern: ${validation.error}`);
+        }
+
+        const entries = this.getEntries();
+        const now = new Date().toISOString();
+        const existing = key ? entries[key] : null;
+
+        if (existing) {
+            existing.versions.unshift({ pattern: existing.pattern, savedAt: existing.updatedAt });
+            existing.versions = existing.versions.slice(0, this.maxVersions);
+            existing.pattern = pattern;
+            existing.updatedAt = now;
+        } else {
+            key = key || this.generateKey(pattern.name, entries);
+            entries[key] = { pattern, createdAt: now, updatedAt: now, versions: [] };
+        }
+
+        this.write(entries);
+        return key;
+    }
+
+    /**
+     * Save a copy of any pattern (built-in or saved) as a new entry
+     */
+    duplicate(pattern, name = `${pattern.name} (Copy)`) {
+        const copy = JSON.parse(JSON.stringify(pattern));
+        copy.name = name;
+        return this.save(copy);
+    }
+
+    /**
+     * Rename a saved pattern (kept as a new version)
+     */
+    rename(key, name) {
+        const pattern = this.get(key);
+        if (!pattern) {
+            throw new Error(`Pattern '${key}' not found`);
+        }
+        if (!name || !name.trim()) {
+            throw new Error('Pattern name cannot be empty');
+        }
+
+        return this.save({ ...pattern, name: name.trim() }, key);
+    }
+
+    /**
+     * Delete a saved pattern and its history
+     */
+    delete(key) {
+        const entries = this.getEntries();
+        if (!entries[key]) return false;
+
+        delete entries[key];
+        this.write(entries);
+        return true;
+    }
+
+    /**
+     * Previous versions of a saved pattern, newest first
+     */
+    getVersions(key) {
+        const entry = this.getEntries()[key];
+        return entry ? entry.versions : [];
+    }
+
+    /**
+     * Make an old version current again (the current one joins the history)
+     */
+    restoreVersion(key, index) {
+        const versions = this.getVersions(key);
+        if (!versions[index]) {
+            throw new Error('Version not found');
+        }
+
+        return this.save(versions[index].pattern, key);
+    }
+
+    /**
+     * Build a unique key from the pattern name
+     */
+    generateKey(name, entries = this.getEntries()) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pattern';
+        const base = `custom-${slug}-${Date.now().toString(36)}`;
+
+        let key = base;
+        for (let i = 2; entries[key] || TELEMETRY_PATTERNS[key]; i++) {
+            key = `${base}-${i}`;
+        }
+        return key;
+    }
+
+    /**
+     * Persist the library, surfacing quota errors to the caller
+     */
+    write(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            throw new Error(`Could not save pattern library: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * Pedal Curve Chart
+ * Live preview of a pedal's response, drawn in GraphRenderer's style: raw
+ * pedal travel across, trainer input up, with the deadzones shaded and the
+ * pedal's current position marked. Custom curve points can be dragged.
+ */
+
+class PedalCurveChart extends GraphRenderer {
+    constructor(canvasId, shaping, options = {}) {
+        super(canvasId);
+
+        // Room for travel labels under the graph
+        this.config.padding = { top: 16, right: 20, bottom: 26, left: 50 };
+        this.setupCanvas();
+
+        this.shaping = shaping;
+        this.options = {
+            onPointsChange: () => {}, // (points) once a point has been dragged, added or removed
+            handleRadius: 5,          // px
+            hitTolerance: 9,          // px
+            ...options
+        };
+
+        this.colors.identity = '#444444';
+        this.colors.deadzone = 'rgba(255, 255, 255, 0.05)';
+        this.colors.live = '#ffffff';
+
+        this.settings = null;
+        this.color = this.colors.playerGood;
+        this.live = null; // {input, output} - raw reading and shaped value
+        this.drag = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Mouse listeners for editing custom points
+     */
+    bindEvents() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+        window.addEventListener('mousemove', (e) => this.handleDrag(e));
+        window.addEventListener('mouseup', () => this.endDrag());
+    }
+
+    /**
+     * Show a channel's settings (copied - edits come back through onPointsChange)
+     */
+    setSettings(settings, color) {
+        this.settings = JSON.parse(JSON.stringify(settings));
+        this.color = color;
+        this.render();
+    }
+
+    /**
+     * Mark the pedal's current raw reading and shaped value (null hides it)
+     */
+    setLive(live) {
+        this.live = live;
+        this.render();
+    }
+
+    /**
+     * Draw the curve, deadzones, custom points and live marker
+     */
+    render() {
+        if (!this.width || !this.height || !this.graphArea) {
+            this.setupCanvas();
+            if (!this.width || !this.height) return;
+        }
+        if (!this.settings) return;
+
+        const ctx = this.ctx;
+        const area = this.graphArea;
+        const settings = this.settings;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        // Deadzones - travel that reads 0% (inner) or 100% (outer)
+        ctx.fillStyle = this.colors.deadzone;
+        ctx.fillRect(area.x, area.y, this.inputToX(settings.innerDeadzone) - area.x, area.height);
+        ctx.fillRect(this.inputToX(100 - settings.outerDeadzone), area.y,
+            area.x + area.width - this.inputToX(100 - settings.outerDeadzone), area.height);
+
+        this.drawGrid();
+        this.drawAxes();
+        this.drawTravelLabels();
+
+        // Unshaped response for comparison
+        ctx.strokeStyle = this.colors.identity;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(this.inputToX(0), this.percentToY(0));
+        ctx.lineTo(this.inputToX(100), this.percentToY(100));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Shaped response
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        for (let input = 0; input <= 100; input += 0.5) {
+            const x = this.inputToX(input);
+            const y = this.percentToY(this.shaping.shape(settings, input));
+            if (input === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        // Custom curve points
+        if (settings.curve === 'custom') {
+            ctx.fillStyle = this.colors.background;
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = 2;
+            this.getHandles().forEach(handle => {
+                ctx.beginPath();
+                ctx.arc(handle.x, handle.y, this.options.handleRadius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            });
+        }
+
+        // Where the pedal is now
+        if (this.live) {
+            const x = this.inputToX(this.live.input);
+            const y = this.percentToY(this.live.output);
+            ctx.strokeStyle = this.colors.live;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, area.y + area.height);
+            ctx.lineTo(x, y);
+            ctx.lineTo(area.x, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = this.colors.live;
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Pedal travel labels under the graph (GraphRenderer's grid has its vertical lines at 20% steps)
+     */
+    drawTravelLabels() {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.colors.axis;
+        ctx.font = '11px Arial';
+        ctx.textBaseline = 'top';
+
+        [0, 20, 40, 60, 80, 100].forEach(input => {
+            ctx.textAlign = input === 0 ? 'left' : (input === 100 ? 'right' : 'center');
+            ctx.fillText(`${input}%`, this.inputToX(input), this.graphArea.y + this.graphArea.height + 6);
+        });
+    }
+
+    /**
+     * Convert raw pedal travel (0-100) to X coordinate
+     */
+    inputToX(input) {
+        return this.graphArea.x + (input / 100) * this.graphArea.width;
+    }
+
+    /**
+     * Convert X coordinate to raw pedal travel (0-100)
+     */
+    xToInput(x) {
+        return Math.max(0, Math.min(100, (x - this.graphArea.x) / this.graphArea.width * 100));
+    }
+
+    /**
+     * Convert Y coordinate to percentage
+     */
+    yToPercent(y) {
+        return Math.max(0, Math.min(100, (this.graphArea.y + this.graphArea.height - y) / this.graphArea.height * 100));
+    }
+
+    // ==================== CUSTOM POINTS ====================
+
+    /**
+     * Screen positions of the custom curve points (placed through the deadzones and saturation)
+     */
+    getHandles() {
+        const settings = this.settings;
+        return settings.points.map(([px, py], index) => ({
+            index,
+            x: this.inputToX(this.shaping.toRawInput(settings, px)),
+            y: this.percentToY(py * settings.saturation / 100)
+        }));
+    }
+
+    /**
+     * Custom point under the pointer (null if none)
+     */
+    hitTest(x, y) {
+        if (!this.settings || this.settings.curve !== 'custom' || !this.graphArea) return null;
+
+        let nearest = null;
+        this.getHandles().forEach(handle => {
+            const distance = Math.hypot(handle.x - x, handle.y - y);
+            if (distance <= this.options.hitTolerance && (!nearest || distance < nearest.distance)) {
+                nearest = { ...handle, distance };
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Curve point [input, output] (0-100) for a screen position
+     */
+    toCurvePoint(x, y) {
+        const settings = this.settings;
+        return [
+            Math.round(this.shaping.toCurveInput(settings, this.xToInput(x))),
+            Math.round(Math.min(100, this.yToPercent(y) * 100 / settings.saturation))
+        ];
+    }
+
+    /**
+     * Mouse position in canvas (CSS pixel) coordinates
+     */
+    getMousePosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * Start dragging a custom point
+     */
+    handleMouseDown(e) {
+        if (e.button !== 0) return;
+        const { x, y } = this.getMousePosition(e);
+        const hit = this.hitTest(x, y);
+        if (!hit) return;
+
+        e.preventDefault();
+        this.drag = { index: hit.index };
+    }
+
+    /**
+     * Move the dragged point - end points stay at 0% and 100% travel, the rest
+     * stay between their neighbours
+     */
+    handleDrag(e) {
+        if (!this.drag) return;
+
+        const { x, y } = this.getMousePosition(e);
+        const points = this.settings.points;
+        const index = this.drag.index;
+        const [input, output] = this.toCurvePoint(x, y);
+
+        points[index][1] = output;
+        if (index > 0 && index < points.length - 1) {
+            points[index][0] = Math.max(points[index - 1][0] + 1, Math.min(points[index + 1][0] - 1, input));
+        }
+
+        this.render();
+    }
+
+    /**
+     * Finish a drag and report the new points
+     */
+    endDrag() {
+        if (!this.drag) return;
+        this.drag = null;
+        this.options.onPointsChange(this.settings.points);
+    }
+
+    /**
+     * Double-click a point to remove it (not the end points), or elsewhere to add one
+     */
+    handleDoubleClick(e) {
+        if (!this.settings || this.settings.curve !== 'custom') return;
+
+        const { x, y } = this.getMousePosition(e);
+        const points = this.settings.points;
+        const hit = this.hitTest(x, y);
+
+        if (hit) {
+            if (hit.index === 0 || hit.index === points.length - 1) return;
+            points.splice(hit.index, 1);
+        } else {
+            const point = this.toCurvePoint(x, y);
+            if (point[0] <= 0 || point[0] >= 100 || points.some(([px]) => px === point[0])) return;
+            points.push(point);
+            points.sort((a, b) => a[0] - b[0]);
+        }
+
+        this.render();
+        this.options.onPointsChange(points);
+    }
+
+    /**
+     * Cursor feedback over draggable points
+     */
+    handleHover(e) {
+        if (this.drag) return;
+        const { x, y } = this.getMousePosition(e);
+        this.canvas.style.cursor = this.hitTest(x, y) ? 'move' : 'default';
+    }
+}
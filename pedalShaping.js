@@ -0,0 +1,203 @@
+/**
+ * Pedal Shaping
+ * Per-channel response settings for pedals: inner and outer deadzones, a
+ * response curve (gamma or custom points), saturation, brake force-to-position
+ * linearisation for load cells, and smoothing. Lets a driver's home pedals
+ * feel like the team's reference rig. Settings are kept in localStorage.
+ */
+
+const PEDAL_CURVES = ['linear', 'gamma', 'custom'];
+
+class PedalShaping {
+    constructor(storageKey = 'telemetryPedalShaping') {
+        this.storageKey = storageKey;
+        this.channels = ['throttle', 'brake'];
+
+        // Allowed ranges - stored settings are clamped to these
+        this.limits = {
+            innerDeadzone: { min: 0, max: 30 },    // % of travel ignored at rest
+            outerDeadzone: { min: 0, max: 30 },    // % of travel at the top that already reads 100%
+            saturation: { min: 50, max: 100 },     // % output at full travel
+            gamma: { min: 0.3, max: 3 },           // output = input ^ gamma (>1 = softer start)
+            forceExponent: { min: 1.2, max: 3 },   // load cell force rises as travel ^ forceExponent
+            smoothing: { min: 0.05, max: 1 }       // share of the gap closed per frame (1 = no smoothing)
+        };
+
+        this.settings = this.load();
+    }
+
+    /**
+     * Settings a channel starts with - the same response the app always had
+     */
+    getDefaults() {
+        return {
+            innerDeadzone: 2,
+            outerDeadzone: 0,
+            saturation: 100,
+            curve: 'linear',
+            gamma: 1,
+            points: [[0, 0], [25, 25], [50, 50], [75, 75], [100, 100]],
+            linearise: false, // Brake only: treat the reading as load cell force
+            forceExponent: 2,
+            smoothing: 0.15
+        };
+    }
+
+    /**
+     * A channel's settings
+     */
+    get(channel) {
+        return this.settings[channel];
+    }
+
+    /**
+     * Change some of a channel's settings, returning the cleaned-up result
+     */
+    update(channel, changes) {
+        this.settings[channel] = this.normalize({ ...this.settings[channel], ...changes });
+        this.write();
+        return this.settings[channel];
+    }
+
+    /**
+     * Put a channel back to the defaults
+     */
+    reset(channel) {
+        this.settings[channel] = this.getDefaults();
+        this.write();
+        return this.settings[channel];
+    }
+
+    // ==================== SHAPING ====================
+
+    /**
+     * Shape a raw pedal reading (0-100) into the value the trainer uses (0-100)
+     */
+    apply(channel, value) {
+        return this.shape(this.settings[channel], value);
+    }
+
+    /**
+     * Shape a reading with the given settings
+     * Order: deadzones, force linearisation, curve, saturation
+     */
+    shape(settings, value) {
+        return this.evaluateCurve(settings, this.toCurveInput(settings, value)) * settings.saturation / 100;
+    }
+
+    /**
+     * Where a raw reading (0-100) lands on the response curve's input (0-100),
+     * after the deadzones and force linearisation
+     */
+    toCurveInput(settings, value) {
+        const inner = settings.innerDeadzone;
+        const outer = 100 - settings.outerDeadzone;
+
+        let x = value <= inner ? 0 : (value >= outer ? 1 : (value - inner) / (outer - inner));
+        if (settings.linearise) {
+            x = Math.pow(x, 1 / settings.forceExponent);
+        }
+        return x * 100;
+    }
+
+    /**
+     * Raw reading (0-100) that lands on a curve input - the inverse of toCurveInput
+     */
+    toRawInput(settings, curveInput) {
+        const inner = settings.innerDeadzone;
+        const outer = 100 - settings.outerDeadzone;
+
+        let x = curveInput / 100;
+        if (settings.linearise) {
+            x = Math.pow(x, settings.forceExponent);
+        }
+        return inner + x * (outer - inner);
+    }
+
+    /**
+     * Response curve alone: input 0-100 to output 0-100
+     */
+    evaluateCurve(settings, input) {
+        if (settings.curve === 'gamma') {
+            return Math.pow(input / 100, settings.gamma) * 100;
+        }
+        if (settings.curve === 'custom') {
+            const points = settings.points;
+            for (let i = 1; i < points.length; i++) {
+                const [x1, y1] = points[i];
+                if (input <= x1) {
+                    const [x0, y0] = points[i - 1];
+                    return x1 === x0 ? y1 : y0 + (y1 - y0) * (input - x0) / (x1 - x0);
+                }
+            }
+            return points[points.length - 1][1];
+        }
+        return input;
+    }
+
+    // ==================== STORAGE ====================
+
+    /**
+     * Clamp settings into range and tidy custom points
+     * Points run from input 0 to 100 in order; at least the two end points are kept
+     */
+    normalize(settings) {
+        const defaults = this.getDefaults();
+        const result = { ...defaults, ...settings };
+
+        Object.keys(this.limits).forEach(key => {
+            const value = parseFloat(result[key]);
+            const { min, max } = this.limits[key];
+            result[key] = isNaN(value) ? defaults[key] : Math.max(min, Math.min(max, value));
+        });
+
+        // Leave some travel between the deadzones
+        if (result.innerDeadzone + result.outerDeadzone > 90) {
+            result.outerDeadzone = 90 - result.innerDeadzone;
+        }
+
+        if (!PEDAL_CURVES.includes(result.curve)) result.curve = defaults.curve;
+        result.linearise = Boolean(result.linearise);
+
+        const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+        let points = Array.isArray(result.points) ? result.points
+            .filter(point => Array.isArray(point) && point.length === 2 && point.every(v => typeof v === 'number' && !isNaN(v)))
+            .map(([x, y]) => [clamp(x), clamp(y)])
+            .sort((a, b) => a[0] - b[0]) : [];
+        if (points.length < 2) points = defaults.points;
+        points[0] = [0, points[0][1]];
+        points[points.length - 1] = [100, points[points.length - 1][1]];
+        result.points = points;
+
+        return result;
+    }
+
+    /**
+     * Saved settings for both channels (defaults for anything missing or unreadable)
+     */
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read pedal shaping:', error);
+        }
+
+        const settings = {};
+        this.channels.forEach(channel => {
+            settings[channel] = this.normalize(stored[channel] || {});
+        });
+        return settings;
+    }
+
+    /**
+     * Persist both channels' settings
+     */
+    write() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            throw new Error(`Could not save pedal response: ${error.message}`);
+        }
+    }
+}
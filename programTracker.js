@@ -0,0 +1,248 @@
+/**
+ * Program Tracker
+ * Keeps training program progress in localStorage so a driver can
+ * stop at any point and resume later. Also stores imported programs
+ * alongside the built-in TRAINING_PROGRAMS.
+ */
+
+class ProgramTracker {
+    constructor(storageKey = 'telemetryProgramProgress', programsKey = 'telemetryCustomPrograms') {
+        this.storageKey = storageKey;
+        this.programsKey = programsKey;
+        this.maxResults = 200; // Oldest results are dropped first
+    }
+
+    // ==================== PROGRAMS ====================
+
+    /**
+     * Get all programs (built-in and imported) keyed by program key
+     */
+    getPrograms() {
+        return { ...TRAINING_PROGRAMS, ...this.read(this.programsKey, {}) };
+    }
+
+    /**
+     * Get a program (null if not found)
+     */
+    getProgram(key) {
+        return this.getPrograms()[key] || null;
+    }
+
+    /**
+     * Check whether a key belongs to an imported (non built-in) program
+     */
+    isCustom(key) {
+        return !TRAINING_PROGRAMS[key] && this.getProgram(key) !== null;
+    }
+
+    /**
+     * Validate and store an imported program, returning its key
+     * Importing a program with the same name replaces it (progress is kept)
+     */
+    saveProgram(program) {
+        const validation = validateProgram(program);
+        if (!validation.valid) {
+            throw new Error(`Invalid program: ${validation.error}`);
+        }
+
+        const programs = this.read(this.programsKey, {});
+        let key = Object.keys(programs).find(existing => programs[existing].name === program.name);
+        if (!key) {
+            const slug = program.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'program';
+            key = `custom-${slug}-${Date.now().toString(36)}`;
+        }
+
+        programs[key] = program;
+        this.write(this.programsKey, programs, 'program');
+        return key;
+    }
+
+    /**
+     * Delete an imported program and its progress
+     */
+    deleteProgram(key) {
+        const programs = this.read(this.programsKey, {});
+        if (!programs[key]) return false;
+
+        delete programs[key];
+        this.write(this.programsKey, programs, 'program');
+        this.resetProgress(key);
+        return true;
+    }
+
+    // ==================== PROGRESS ====================
+
+    /**
+     * Read stored progress: {active, programs: {key: {stepIndex, results, startedAt, updatedAt, completedAt}}}
+     */
+    getState() {
+        const state = this.read(this.storageKey, {});
+        return { active: state.active || null, programs: state.programs || {} };
+    }
+
+    /**
+     * Progress through a program (null if never started)
+     */
+    getProgress(key) {
+        return this.getState().programs[key] || null;
+    }
+
+    /**
+     * Key of the program being followed (null if none)
+     */
+    getActive() {
+        const active = this.getState().active;
+        return active && this.getProgram(active) ? active : null;
+    }
+
+    /**
+     * Start a program, or pick up where it was left off
+     */
+    start(key) {
+        if (!this.getProgram(key)) {
+            throw new Error(`Program '${key}' not found`);
+        }
+
+        const state = this.getState();
+        if (!state.programs[key]) {
+            const now = new Date().toISOString();
+            state.programs[key] = { stepIndex: 0, results: [], startedAt: now, updatedAt: now, completedAt: null };
+        }
+        state.active = key;
+
+        this.write(this.storageKey, state, 'progress');
+        return state.programs[key];
+    }
+
+    /**
+     * Stop following the active program (progress is kept)
+     */
+    leave() {
+        const state = this.getState();
+        state.active = null;
+        this.write(this.storageKey, state, 'progress');
+    }
+
+    /**
+     * Forget all progress through a program
+     */
+    resetProgress(key) {
+        const state = this.getState();
+        delete state.programs[key];
+        if (state.active === key) state.active = null;
+        this.write(this.storageKey, state, 'progress');
+    }
+
+    /**
+     * Record a finished session against the current step and advance if it's passed
+     * result: {grade, meanDeviation, sessionId}
+     * Returns {step, stepIndex, met, passed, completed, progress}
+     */
+    recordResult(key, result) {
+        const program = this.getProgram(key);
+        const state = this.getState();
+        const progress = state.programs[key];
+        if (!program || !progress || progress.completedAt) {
+            throw new Error('Program is not in progress');
+        }
+
+        const stepIndex = progress.stepIndex;
+        const step = program.steps[stepIndex];
+        const met = this.meetsGrade(result.grade, step.pass.grade);
+
+        progress.results.push({
+            step: stepIndex,
+            grade: result.grade,
+            meanDeviation: result.meanDeviation,
+            sessionId: result.sessionId,
+            met,
+            at: new Date().toISOString()
+        });
+        progress.results = progress.results.slice(-this.maxResults);
+
+        const passed = this.isStepPassed(step, this.getStepResults(progress, stepIndex));
+        if (passed) {
+            progress.stepIndex++;
+            if (progress.stepIndex >= program.steps.length) {
+                progress.completedAt = new Date().toISOString();
+            }
+        }
+        progress.updatedAt = new Date().toISOString();
+
+        this.write(this.storageKey, state, 'progress');
+        return { step, stepIndex, met, passed, completed: Boolean(progress.completedAt), progress };
+    }
+
+    /**
+     * Results recorded against one step, oldest first
+     */
+    getStepResults(progress, stepIndex) {
+        return progress ? progress.results.filter(result => result.step === stepIndex) : [];
+    }
+
+    /**
+     * Whether a step's results satisfy its pass condition
+     * consecutive (default true) counts only the latest unbroken run of passing grades
+     */
+    isStepPassed(step, results) {
+        return this.countTowardPass(step, results) >= (step.pass.count || 1);
+    }
+
+    /**
+     * Passing results that count toward the step's pass condition
+     */
+    countTowardPass(step, results) {
+        if (step.pass.consecutive === false) {
+            return results.filter(result => result.met).length;
+        }
+
+        let streak = 0;
+        for (let i = results.length - 1; i >= 0 && results[i].met; i--) {
+            streak++;
+        }
+        return streak;
+    }
+
+    /**
+     * Whether a grade is at least the required grade
+     */
+    meetsGrade(grade, required) {
+        const rank = GRADES.indexOf(grade);
+        return rank !== -1 && rank <= GRADES.indexOf(required);
+    }
+
+    /**
+     * Describe a pass condition, e.g. "B or better 2× in a row"
+     */
+    describePass(pass) {
+        const count = pass.count || 1;
+        const grade = pass.grade === 'A+' ? 'A+' : `${pass.grade} or better`;
+        if (count === 1) return grade;
+        return `${grade} ${count}×${pass.consecutive === false ? '' : ' in a row'}`;
+    }
+
+    // ==================== STORAGE ====================
+
+    /**
+     * Read a JSON value from localStorage (fallback if missing or unreadable)
+     */
+    read(storageKey, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || fallback;
+        } catch (error) {
+            console.error(`Failed to read ${storageKey}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Persist a value, surfacing quota errors to the caller
+     */
+    write(storageKey, value, what) {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(value));
+        } catch (error) {
+            throw new Error(`Could not save training ${what}: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Progress Chart
+ * Trend chart for the progress dashboard, drawn in GraphRenderer's style:
+ * one point per session, a rolling average line and a personal-best marker.
+ */
+
+class ProgressChart extends GraphRenderer {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Room for date labels under the graph
+        this.config.padding = { top: 16, right: 20, bottom: 26, left: 50 };
+        this.setupCanvas();
+
+        this.colors.average = '#66ccff';
+        this.colors.personalBest = '#ffd700';
+    }
+
+    /**
+     * Draw a series from ProgressHistory.getSeries
+     * options: {metric, unit, personalBest (index), formatValue}
+     */
+    renderSeries(series, options) {
+        if (!this.width || !this.height || !this.graphArea) {
+            this.setupCanvas();
+            if (!this.width || !this.height) return;
+        }
+
+        const ctx = this.ctx;
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        if (series.length === 0) {
+            ctx.fillStyle = this.colors.axis;
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No sessions yet', this.width / 2, this.height / 2);
+            return;
+        }
+
+        const range = this.getValueRange(series, options.metric);
+        const area = this.graphArea;
+        const toX = (i) => area.x + (series.length === 1 ? area.width / 2 : (i / (series.length - 1)) * area.width);
+        const toY = (value) => area.y + area.height - ((value - range.min) / (range.max - range.min)) * area.height;
+
+        this.drawValueGrid(range, toY, options);
+        this.drawDateLabels(series, toX);
+
+        // Zero line - on time is the target for timing offsets
+        if (range.min < 0 && range.max > 0) {
+            ctx.strokeStyle = this.colors.axis;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(area.x, toY(0));
+            ctx.lineTo(area.x + area.width, toY(0));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Rolling average
+        ctx.strokeStyle = this.colors.average;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        series.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(toX(i), toY(point.average));
+            else ctx.lineTo(toX(i), toY(point.average));
+        });
+        ctx.stroke();
+
+        // Sessions, coloured by grade
+        series.forEach((point, i) => {
+            ctx.fillStyle = this.getGradeColor(point.entry.grade);
+            ctx.beginPath();
+            ctx.arc(toX(i), toY(point.value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Personal best
+        if (options.personalBest >= 0) {
+            const x = toX(options.personalBest);
+            const y = toY(series[options.personalBest].value);
+            ctx.strokeStyle = this.colors.personalBest;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.personalBest;
+            ctx.font = 'bold 11px Arial';
+            ctx.textAlign = x > area.x + area.width - 30 ? 'right' : 'left';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText('PB', x + (ctx.textAlign === 'right' ? -9 : 9), y - 4);
+        }
+    }
+
+    /**
+     * Value range to plot - grades use the fixed F..A+ scale, timing is centred on zero
+     */
+    getValueRange(series, metric) {
+        if (metric === 'grade') return { min: 0, max: 5 };
+
+        const values = series.flatMap(point => [point.value, point.average]);
+        if (metric === 'timingOffset') {
+            const extent = Math.max(50, ...values.map(Math.abs)) * 1.1;
+            return { min: -extent, max: extent };
+        }
+
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        const margin = Math.max((max - min) * 0.1, 1);
+        min = Math.max(0, min - margin);
+        max = max + margin;
+        return { min, max };
+    }
+
+    /**
+     * Horizontal grid lines with value labels on the left axis
+     */
+    drawValueGrid(range, toY, options) {
+        const ctx = this.ctx;
+        const area = this.graphArea;
+        const ticks = options.metric === 'grade' ? [0, 1, 2, 3, 4, 5] :
+            [0, 1, 2, 3, 4].map(i => range.min + (range.max - range.min) * i / 4);
+
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+
+        ticks.forEach(value => {
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(area.x, y);
+            ctx.lineTo(area.x + area.width, y);
+            ctx.stroke();
+            ctx.fillText(options.formatValue(value), area.x - 5, y);
+        });
+
+        // Left and bottom axes
+        ctx.strokeStyle = this.colors.axis;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(area.x, area.y);
+        ctx.lineTo(area.x, area.y + area.height);
+        ctx.lineTo(area.x + area.width, area.y + area.height);
+        ctx.stroke();
+    }
+
+    /**
+     * Session dates under the first, middle and last points
+     */
+    drawDateLabels(series, toX) {
+        const ctx = this.ctx;
+        const indices = [...new Set([0, Math.floor((series.length - 1) / 2), series.length - 1])];
+
+        ctx.fillStyle = this.colors.axis;
+        ctx.font = '11px Arial';
+        ctx.textBaseline = 'top';
+
+        indices.forEach(i => {
+            ctx.textAlign = series.length === 1 ? 'center' : (i === 0 ? 'left' : (i === series.length - 1 ? 'right' : 'center'));
+            ctx.fillText(new Date(series[i].entry.timestamp).toLocaleDateString(), toX(i), this.graphArea.y + this.graphArea.height + 6);
+        });
+    }
+
+    /**
+     * Point colour for a session grade (same scheme as the session history cards)
+     */
+    getGradeColor(grade) {
+        if (grade.startsWith('A')) return this.colors.playerGood;
+        if (grade === 'B' || grade === 'C') return this.colors.playerOk;
+        return this.colors.playerBad;
+    }
+}
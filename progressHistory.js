@@ -0,0 +1,182 @@
+/**
+ * Progress History
+ * Keeps a compact summary of every session (no samples) in localStorage so
+ * long-term trends survive after the full session is deleted from the session
+ * store. Also builds the series the progress dashboard charts.
+ */
+
+class ProgressHistory {
+    constructor(scoringSystem = new ScoringSystem(), storageKey = 'telemetryProgressHistory') {
+        this.scoringSystem = scoringSystem;
+        this.storageKey = storageKey;
+        this.maxEntries = 2000; // Oldest entries are dropped first
+
+        // Charted metrics - better: which direction counts as an improvement
+        this.metrics = {
+            meanDeviation: { label: 'Mean Deviation', unit: '%', better: 'lower' },
+            smoothness: { label: 'Smoothness', unit: '%', better: 'higher' },
+            timingOffset: { label: 'Timing Offset', unit: 'ms', better: 'zero' },
+            grade: { label: 'Grade', unit: '', better: 'higher' }
+        };
+    }
+
+    /**
+     * Read all entries, oldest first
+     */
+    getAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.error('Failed to read progress history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Whether progress has been recorded (or cleared) before
+     */
+    exists() {
+        return localStorage.getItem(this.storageKey) !== null;
+    }
+
+    /**
+     * Compact entry for a saved session
+     */
+    createEntry(session) {
+        const summary = session.summary;
+        return {
+            id: session.id,
+            timestamp: session.timestamp,
+            pattern: session.pattern || 'Race Track', // Default for old sessions
+            mode: session.mode,
+            meanDeviation: parseFloat(summary.meanDeviation),
+            smoothness: parseFloat(summary.smoothness),
+            timingOffset: summary.timingOffset !== undefined ? summary.timingOffset : null,
+            grade: summary.grade,
+            difficulty: summary.difficulty !== undefined ? summary.difficulty : null,
+            duration: session.duration
+        };
+    }
+
+    /**
+     * Add a saved session
+     */
+    add(session) {
+        const entries = this.getAll().filter(entry => entry.id !== session.id);
+        entries.push(this.createEntry(session));
+        this.write(entries);
+    }
+
+    /**
+     * Add sessions recorded before progress history existed (skips ones already in it)
+     */
+    backfill(sessions) {
+        const entries = this.getAll();
+        const known = new Set(entries.map(entry => entry.id));
+        const missing = sessions.filter(session => !known.has(session.id) && session.summary);
+        if (missing.length === 0) return 0;
+
+        entries.push(...missing.map(session => this.createEntry(session)));
+        entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this.write(entries);
+        return missing.length;
+    }
+
+    /**
+     * Remove a session's entry
+     */
+    remove(sessionId) {
+        this.write(this.getAll().filter(entry => entry.id !== sessionId));
+    }
+
+    /**
+     * Forget all progress
+     */
+    clear() {
+        this.write([]);
+    }
+
+    /**
+     * Entries matching a filter ({pattern, mode}; null matches everything), oldest first
+     */
+    getEntries(filter = {}) {
+        return this.getAll().filter(entry =>
+            (!filter.pattern || entry.pattern === filter.pattern) &&
+            (!filter.mode || entry.mode === filter.mode)
+        );
+    }
+
+    /**
+     * Pattern names that have progress, alphabetically
+     */
+    getPatterns() {
+        return [...new Set(this.getAll().map(entry => entry.pattern))].sort();
+    }
+
+    /**
+     * Value charted for an entry (grades become ranks 0 = F ... 5 = A+)
+     */
+    getValue(entry, metric) {
+        return metric === 'grade' ? this.scoringSystem.getGradeRank(entry.grade) : entry[metric];
+    }
+
+    /**
+     * Chart series for one metric: [{entry, value, average}]
+     * average is the trailing rolling mean over the last `rollingWindow` sessions with a value
+     */
+    getSeries(entries, metric, rollingWindow) {
+        const points = entries
+            .map(entry => ({ entry, value: this.getValue(entry, metric) }))
+            .filter(point => point.value !== null && point.value !== undefined && !isNaN(point.value));
+
+        points.forEach((point, i) => {
+            const recent = points.slice(Math.max(0, i - rollingWindow + 1), i + 1);
+            point.average = recent.reduce((sum, p) => sum + p.value, 0) / recent.length;
+        });
+
+        return points;
+    }
+
+    /**
+     * Index of the personal best in a series (first session to reach it, -1 if empty)
+     */
+    getPersonalBest(series, metric) {
+        const better = this.metrics[metric].better;
+        const score = (value) => better === 'lower' ? -value : (better === 'zero' ? -Math.abs(value) : value);
+
+        let best = -1;
+        series.forEach((point, i) => {
+            if (best === -1 || score(point.value) > score(series[best].value)) best = i;
+        });
+        return best;
+    }
+
+    /**
+     * Compare the first and latest `rollingWindow` sessions of a series
+     * Returns {first, latest, improved} (timing compares the size of the offset), or null
+     */
+    getChange(series, metric, rollingWindow) {
+        if (series.length < 2) return null;
+
+        const size = Math.min(rollingWindow, Math.floor(series.length / 2));
+        const better = this.metrics[metric].better;
+        const magnitude = (value) => better === 'zero' ? Math.abs(value) : value;
+        const mean = (points) => points.reduce((sum, point) => sum + magnitude(point.value), 0) / points.length;
+
+        const first = mean(series.slice(0, size));
+        const latest = mean(series.slice(-size));
+        const improved = better === 'higher' ? latest > first : latest < first;
+        return { first, latest, improved };
+    }
+
+    /**
+     * Persist entries, dropping the oldest beyond maxEntries
+     */
+    write(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries.slice(-this.maxEntries)));
+        } catch (error) {
+            throw new Error(`Could not save progress history: ${error.message}`);
+        }
+    }
+}
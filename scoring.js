@@ -3,8 +3,32 @@
  * Calculates and tracks performance metrics
  */
 
+// Letter grades from best to worst (see calculateGrade)
+const GRADES = ['A+', 'A', 'B', 'C', 'D', 'F'];
+
 class ScoringSystem {
     constructor() {
+        // Cross-correlation timing configuration
+        this.timingConfig = {
+            sampleRate: 60,        // Hz - resampling grid (matches reference data)
+            maxLagMs: 500,         // ms - largest early/late offset searched
+            windowSeconds: 3,      // Session analysis window, in pattern time (sample timestamps)
+            minVariance: 4,        // %² - channel must move to be measurable
+            minCorrelation: 0.3    // Ignore windows where shapes don't match at any lag
+        };
+
+        // Ghost session used for live comparison (survives reset)
+        this.ghostTimes = [];
+        this.ghostDeviationSums = [];
+
+        // Labelled pattern segments used for per-segment analysis (survive reset)
+        this.segments = [];
+
+        // Reference difficulty (1-10, survives reset) - grades on harder patterns
+        // get proportionally more tolerance so they compare fairly with easy ones
+        this.difficulty = null;
+        this.difficultyToleranceStep = 0.06; // tolerance change per rating point away from 5
+
         this.reset();
     }
 
@@ -14,13 +38,21 @@ class ScoringSystem {
     reset() {
         this.samples = [];
         this.deviations = [];
-        this.timingOffsets = [];
         this.throttleGradients = [];
         this.brakeGradients = [];
+
+        // Multi-lap sessions: completed lap summaries and where the current lap
+        // starts (sample times keep running across laps, so timing correlation
+        // never sees a wrap)
+        this.laps = [];
+        this.lapStartIndex = 0;
+        this.lapStartTime = 0;
         
         this.currentScore = {
             meanDeviation: 0,
-            timingOffset: 0,
+            timingOffset: null,
+            throttleTimingOffset: null,
+            brakeTimingOffset: null,
             smoothness: 0,
             accuracy: 'N/A'
         };
@@ -28,8 +60,14 @@ class ScoringSystem {
 
     /**
      * Add a sample for scoring
+     * latency (seconds of stream time) scores the input against the reference that
+     * long ago - what the driver was responding to - while referenceInput stays the
+     * one on screen now
      */
-    addSample(time, playerInput, referenceInput, tolerance) {
+    addSample(time, playerInput, referenceInput, tolerance, latency = 0) {
+        const shownInput = referenceInput;
+        referenceInput = latency > 0 ? this.getShownReferenceAt(time - latency, shownInput) : shownInput;
+
         // Calculate weighted deviation based on what's actually being used
         // Only count deviation for the active channel(s) in the reference
         const throttleDeviation = Math.abs(playerInput.throttle - referenceInput.throttle);
@@ -56,11 +94,6 @@ class ScoringSystem {
         }
 
         this.deviations.push(weightedDeviation);
-        
-        // Calculate timing offset (simplified - checks if player is ahead/behind)
-        // Positive = player ahead, negative = player behind
-        const timingError = this.calculateTimingError(playerInput, referenceInput);
-        this.timingOffsets.push(timingError);
 
         // Calculate smoothness (gradient changes)
         if (this.samples.length > 0) {
@@ -80,12 +113,14 @@ class ScoringSystem {
             }
         }
 
-        // Store sample
+        // Store sample, attributed to every pattern segment covering its time
         this.samples.push({
             time,
             player: { ...playerInput },
             reference: { ...referenceInput },
-            deviation: weightedDeviation
+            shown: { ...shownInput },
+            deviation: weightedDeviation,
+            segments: this.findSegmentsAt(time - this.lapStartTime)
         });
 
         // Update current scores (calculate from recent samples for real-time feel)
@@ -95,21 +130,178 @@ class ScoringSystem {
     }
 
     /**
-     * Calculate timing error (simplified approach)
+     * Reference that was on screen at a time, from the samples so far (the
+     * earliest one before the session had any, fallback with no samples yet)
      */
-    calculateTimingError(playerInput, referenceInput) {
-        // Check if player is reacting early or late based on brake application
-        // This is a simplified metric - could be enhanced with cross-correlation
-        const playerBraking = playerInput.brake > 10;
-        const refBraking = referenceInput.brake > 10;
-        
-        if (playerBraking && !refBraking) {
-            return -50; // Player braking early
-        } else if (!playerBraking && refBraking) {
-            return 50; // Player braking late
+    getShownReferenceAt(time, fallback) {
+        let low = 0;
+        let high = this.samples.length - 1;
+        if (high < 0) return fallback;
+        if (time < this.samples[0].time) return this.samples[0].shown;
+
+        // Last sample at or before the time
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.samples[mid].time <= time) low = mid;
+            else high = mid - 1;
         }
-        
-        return 0; // Roughly in sync
+        return this.samples[low].shown;
+    }
+
+    /**
+     * Measure timing offset of one channel by windowed cross-correlation
+     * Positive = player early (leads the reference), negative = player late.
+     * Offsets are in pattern time, so they don't depend on playback speed.
+     * Returns { offsetMs, correlation } or null if the window can't be measured
+     */
+    calculateTimingOffset(samples, channel) {
+        const series = this.resampleChannel(samples, channel);
+        if (!series) return null;
+
+        const { player, reference } = series;
+        const n = player.length;
+        const maxLag = Math.min(
+            Math.round(this.timingConfig.maxLagMs / 1000 * this.timingConfig.sampleRate),
+            Math.floor(n / 3)
+        );
+        if (maxLag < 1) return null;
+
+        // Flat channels (e.g. no braking in this window) have no timing to measure
+        if (this.calculateVariance(player) < this.timingConfig.minVariance ||
+            this.calculateVariance(reference) < this.timingConfig.minVariance) {
+            return null;
+        }
+
+        // Normalised correlation of player[i] against reference[i + lag]
+        const correlations = [];
+        for (let lag = -maxLag; lag <= maxLag; lag++) {
+            correlations.push(this.correlateAtLag(player, reference, lag));
+        }
+
+        let bestIndex = 0;
+        for (let i = 1; i < correlations.length; i++) {
+            if (correlations[i] > correlations[bestIndex]) bestIndex = i;
+        }
+
+        const bestCorrelation = correlations[bestIndex];
+        if (bestCorrelation < this.timingConfig.minCorrelation) return null;
+
+        // Parabolic interpolation around the peak for sub-sample precision
+        let lag = bestIndex - maxLag;
+        if (bestIndex > 0 && bestIndex < correlations.length - 1) {
+            const prev = correlations[bestIndex - 1];
+            const next = correlations[bestIndex + 1];
+            const denominator = prev - 2 * bestCorrelation + next;
+            if (denominator < 0) {
+                lag += 0.5 * (prev - next) / denominator;
+            }
+        }
+
+        return {
+            offsetMs: lag / this.timingConfig.sampleRate * 1000,
+            correlation: bestCorrelation
+        };
+    }
+
+    /**
+     * Resample one channel of player and reference onto the uniform 60 Hz grid
+     * Frame times are irregular, so samples are linearly interpolated
+     */
+    resampleChannel(samples, channel) {
+        if (samples.length < 2) return null;
+
+        const step = 1 / this.timingConfig.sampleRate;
+        const startTime = samples[0].time;
+        const endTime = samples[samples.length - 1].time;
+        const player = [];
+        const reference = [];
+
+        let j = 0;
+        for (let t = startTime; t <= endTime; t += step) {
+            while (j < samples.length - 2 && samples[j + 1].time < t) j++;
+
+            const a = samples[j];
+            const b = samples[j + 1];
+            const span = b.time - a.time;
+            const fraction = span > 0 ? Math.max(0, Math.min(1, (t - a.time) / span)) : 0;
+
+            player.push(a.player[channel] + (b.player[channel] - a.player[channel]) * fraction);
+            reference.push(a.reference[channel] + (b.reference[channel] - a.reference[channel]) * fraction);
+        }
+
+        return player.length >= 2 ? { player, reference } : null;
+    }
+
+    /**
+     * Pearson correlation of player[i] with reference[i + lag] over their overlap
+     */
+    correlateAtLag(player, reference, lag) {
+        const start = Math.max(0, -lag);
+        const end = Math.min(player.length, reference.length - lag);
+        const count = end - start;
+        if (count < 2) return -1;
+
+        let sumP = 0, sumR = 0;
+        for (let i = start; i < end; i++) {
+            sumP += player[i];
+            sumR += reference[i + lag];
+        }
+        const meanP = sumP / count;
+        const meanR = sumR / count;
+
+        let covariance = 0, varP = 0, varR = 0;
+        for (let i = start; i < end; i++) {
+            const dp = player[i] - meanP;
+            const dr = reference[i + lag] - meanR;
+            covariance += dp * dr;
+            varP += dp * dp;
+            varR += dr * dr;
+        }
+
+        if (varP === 0 || varR === 0) return -1;
+        return covariance / Math.sqrt(varP * varR);
+    }
+
+    /**
+     * Timing offset of a channel over a whole sample range
+     * Splits into half-overlapping windows and averages the measurable ones,
+     * weighted by how well each window correlates. Returns ms or null.
+     */
+    calculateSessionTimingOffset(samples, channel) {
+        if (samples.length < 2) return null;
+
+        // Windows are cut by sample time, so they span the same stretch of the pattern
+        // at any playback speed and across dropped frames
+        const windowSeconds = this.timingConfig.windowSeconds;
+        const hop = windowSeconds / 2;
+        const endTime = samples[samples.length - 1].time;
+        let weightedSum = 0;
+        let totalWeight = 0;
+        let startIndex = 0;
+        let endIndex = 0;
+
+        for (let windowStart = samples[0].time; ; windowStart += hop) {
+            while (startIndex < samples.length && samples[startIndex].time < windowStart) startIndex++;
+            endIndex = Math.max(endIndex, startIndex);
+            while (endIndex < samples.length && samples[endIndex].time <= windowStart + windowSeconds) endIndex++;
+
+            const result = this.calculateTimingOffset(samples.slice(startIndex, endIndex), channel);
+            if (result) {
+                weightedSum += result.offsetMs * result.correlation;
+                totalWeight += result.correlation;
+            }
+            if (windowStart + windowSeconds >= endTime) break;
+        }
+
+        return totalWeight > 0 ? weightedSum / totalWeight : null;
+    }
+
+    /**
+     * Combine per-channel offsets into one figure (mean of measurable channels)
+     */
+    combineTimingOffsets(throttleOffset, brakeOffset) {
+        const offsets = [throttleOffset, brakeOffset].filter(offset => offset !== null);
+        return offsets.length > 0 ? this.calculateMean(offsets) : null;
     }
 
     /**
@@ -126,9 +318,16 @@ class ScoringSystem {
         const recentDeviations = this.deviations.slice(startIndex);
         this.currentScore.meanDeviation = this.calculateMean(recentDeviations);
 
-        // Calculate timing offset
-        const recentOffsets = this.timingOffsets.slice(startIndex);
-        this.currentScore.timingOffset = this.calculateMean(recentOffsets);
+        // Calculate timing offset per channel (keep last measurement through flat sections)
+        const recentWindow = this.samples.slice(startIndex);
+        const throttleTiming = this.calculateTimingOffset(recentWindow, 'throttle');
+        const brakeTiming = this.calculateTimingOffset(recentWindow, 'brake');
+        if (throttleTiming) this.currentScore.throttleTimingOffset = throttleTiming.offsetMs;
+        if (brakeTiming) this.currentScore.brakeTimingOffset = brakeTiming.offsetMs;
+        this.currentScore.timingOffset = this.combineTimingOffsets(
+            this.currentScore.throttleTimingOffset,
+            this.currentScore.brakeTimingOffset
+        );
 
         // Calculate smoothness score (0-100, higher is better)
         const recentThrottleGrad = this.throttleGradients.slice(Math.max(0, startIndex - 1));
@@ -146,7 +345,7 @@ class ScoringSystem {
         // Calculate accuracy grade
         this.currentScore.accuracy = this.calculateAccuracyGrade(
             this.currentScore.meanDeviation, 
-            tolerance
+            this.getAdjustedTolerance(tolerance)
         );
     }
 
@@ -162,13 +361,31 @@ class ScoringSystem {
         return 'F';
     }
 
+    /**
+     * Set the reference difficulty rating (null = unrated, no adjustment)
+     */
+    setDifficulty(difficulty) {
+        this.difficulty = difficulty;
+    }
+
+    /**
+     * Grading tolerance scaled by difficulty: rating 5 keeps the setting,
+     * the easiest patterns (1) grade 24% stricter and the hardest (10) 30% looser
+     */
+    getAdjustedTolerance(tolerance) {
+        if (this.difficulty === null) return tolerance;
+        return tolerance * (1 + (this.difficulty - 5) * this.difficultyToleranceStep);
+    }
+
     /**
      * Get current scores for display
      */
     getCurrentScores() {
         return {
             meanDeviation: this.currentScore.meanDeviation.toFixed(1),
-            timingOffset: Math.round(this.currentScore.timingOffset),
+            timingOffset: this.roundOffset(this.currentScore.timingOffset),
+            throttleTimingOffset: this.roundOffset(this.currentScore.throttleTimingOffset),
+            brakeTimingOffset: this.roundOffset(this.currentScore.brakeTimingOffset),
             smoothness: this.currentScore.smoothness.toFixed(0),
             accuracy: this.currentScore.accuracy
         };
@@ -181,23 +398,33 @@ class ScoringSystem {
         if (this.samples.length === 0) {
             return {
                 meanDeviation: 0,
-                timingOffset: 0,
+                timingOffset: null,
+                throttleTimingOffset: null,
+                brakeTimingOffset: null,
                 smoothness: 0,
                 grade: 'N/A',
-                totalSamples: 0
+                difficulty: this.difficulty,
+                adjustedTolerance: Number(this.getAdjustedTolerance(tolerance).toFixed(1)),
+                totalSamples: 0,
+                segments: [],
+                laps: [],
+                lapStats: null
             };
         }
 
         // Calculate overall statistics
         const meanDeviation = this.calculateMean(this.deviations);
-        const timingOffset = this.calculateMean(this.timingOffsets);
+        const throttleTimingOffset = this.calculateSessionTimingOffset(this.samples, 'throttle');
+        const brakeTimingOffset = this.calculateSessionTimingOffset(this.samples, 'brake');
+        const timingOffset = this.combineTimingOffsets(throttleTimingOffset, brakeTimingOffset);
         
         const allGradients = [...this.throttleGradients, ...this.brakeGradients];
         const avgGradient = this.calculateMean(allGradients);
         const smoothness = Math.max(0, Math.min(100, 100 - (avgGradient / 5)));
 
         // Calculate overall grade
-        const grade = this.calculateAccuracyGrade(meanDeviation, tolerance);
+        const adjustedTolerance = this.getAdjustedTolerance(tolerance);
+        const grade = this.calculateAccuracyGrade(meanDeviation, adjustedTolerance);
 
         // Calculate percentiles for context
         const p95Deviation = this.calculatePercentile(this.deviations, 0.95);
@@ -205,15 +432,266 @@ class ScoringSystem {
 
         return {
             meanDeviation: meanDeviation.toFixed(1),
-            timingOffset: Math.round(timingOffset),
+            timingOffset: this.roundOffset(timingOffset),
+            throttleTimingOffset: this.roundOffset(throttleTimingOffset),
+            brakeTimingOffset: this.roundOffset(brakeTimingOffset),
             smoothness: smoothness.toFixed(0),
             grade,
+            difficulty: this.difficulty,
+            adjustedTolerance: Number(adjustedTolerance.toFixed(1)),
             totalSamples: this.samples.length,
             p50Deviation: p50Deviation.toFixed(1),
-            p95Deviation: p95Deviation.toFixed(1)
+            p95Deviation: p95Deviation.toFixed(1),
+            segments: this.getSegmentBreakdown(tolerance),
+            laps: this.laps,
+            lapStats: this.getLapStats()
         };
     }
 
+    /**
+     * Close out the current lap at endTime and start the next one
+     * Returns the lap summary
+     */
+    completeLap(tolerance, endTime) {
+        const samples = this.samples.slice(this.lapStartIndex);
+        const meanDeviation = this.calculateMean(samples.map(sample => sample.deviation));
+        const throttleTimingOffset = this.calculateSessionTimingOffset(samples, 'throttle');
+        const brakeTimingOffset = this.calculateSessionTimingOffset(samples, 'brake');
+
+        const lap = {
+            lap: this.laps.length + 1,
+            startTime: this.lapStartTime,
+            duration: endTime - this.lapStartTime,
+            meanDeviation: meanDeviation.toFixed(1),
+            timingOffset: this.roundOffset(this.combineTimingOffsets(throttleTimingOffset, brakeTimingOffset)),
+            throttleTimingOffset: this.roundOffset(throttleTimingOffset),
+            brakeTimingOffset: this.roundOffset(brakeTimingOffset),
+            smoothness: this.calculateSmoothness(samples).toFixed(0),
+            grade: this.calculateAccuracyGrade(meanDeviation, this.getAdjustedTolerance(tolerance))
+        };
+
+        this.laps.push(lap);
+        this.lapStartIndex = this.samples.length;
+        this.lapStartTime = endTime;
+        return lap;
+    }
+
+    /**
+     * Best and worst lap (by mean deviation) and consistency across laps
+     * Consistency is the standard deviation of lap mean deviations - lower is
+     * more consistent. Returns null until a lap has been completed.
+     */
+    getLapStats() {
+        if (this.laps.length === 0) return null;
+
+        const deviations = this.laps.map(lap => parseFloat(lap.meanDeviation));
+        const best = deviations.indexOf(Math.min(...deviations));
+        const worst = deviations.indexOf(Math.max(...deviations));
+
+        return {
+            best: this.laps[best].lap,
+            worst: this.laps[worst].lap,
+            consistency: Number(Math.sqrt(this.calculateVariance(deviations)).toFixed(2))
+        };
+    }
+
+    /**
+     * Set the labelled pattern segments samples are attributed to
+     */
+    setSegments(segments) {
+        this.segments = (segments || []).map((segment, index) => ({
+            index,
+            label: segment.label || `Segment ${index + 1}`,
+            timeRange: [segment.timeRange[0], segment.timeRange[1]]
+        }));
+    }
+
+    /**
+     * Get indices of all segments whose time range covers a time
+     * Overlapping segments (e.g. lift + brake entry) both get the sample
+     */
+    findSegmentsAt(time) {
+        const indices = [];
+        this.segments.forEach(segment => {
+            if (time >= segment.timeRange[0] && time <= segment.timeRange[1]) {
+                indices.push(segment.index);
+            }
+        });
+        return indices;
+    }
+
+    /**
+     * Samples in a segment as runs of consecutive samples - one per pass, so
+     * a new run starts whenever the segment is left or a lap begins
+     */
+    getSegmentRuns(segmentIndex) {
+        const lapEnds = this.laps.map(lap => lap.startTime + lap.duration);
+        const runs = [];
+        let run = null;
+
+        this.samples.forEach((sample, i) => {
+            if (!sample.segments.includes(segmentIndex)) {
+                run = null;
+                return;
+            }
+            const previous = this.samples[i - 1];
+            if (run && lapEnds.some(end => previous.time < end && sample.time >= end)) {
+                run = null;
+            }
+            if (!run) {
+                run = [];
+                runs.push(run);
+            }
+            run.push(sample);
+        });
+
+        return runs;
+    }
+
+    /**
+     * Mean of a per-run measurement weighted by run length, over the runs it
+     * can be measured on (measure returns null otherwise); null if none can
+     */
+    combineRuns(runs, measure) {
+        let weightedSum = 0;
+        let totalWeight = 0;
+
+        runs.forEach(run => {
+            if (run.length < 2) return;
+            const value = measure(run);
+            if (value === null) return;
+            weightedSum += value * run.length;
+            totalWeight += run.length;
+        });
+
+        return totalWeight > 0 ? weightedSum / totalWeight : null;
+    }
+
+    /**
+     * Break down deviation, timing and smoothness per pattern segment
+     * In lap sessions each pass through a segment is measured on its own and the
+     * passes are combined weighted by sample count, like the per-lap stats -
+     * joined together, resampling would invent a signal across the gap between laps
+     * The three segments with the highest deviation are flagged as worst
+     */
+    getSegmentBreakdown(tolerance) {
+        const breakdown = [];
+
+        this.segments.forEach(segment => {
+            const runs = this.getSegmentRuns(segment.index);
+            const segmentSamples = [].concat(...runs);
+            if (segmentSamples.length < 2) return;
+
+            const meanDeviation = this.calculateMean(segmentSamples.map(sample => sample.deviation));
+            const throttleTiming = this.combineRuns(runs, run => {
+                const result = this.calculateTimingOffset(run, 'throttle');
+                return result ? result.offsetMs : null;
+            });
+            const brakeTiming = this.combineRuns(runs, run => {
+                const result = this.calculateTimingOffset(run, 'brake');
+                return result ? result.offsetMs : null;
+            });
+            const smoothness = this.combineRuns(runs, run => this.calculateSmoothness(run));
+
+            breakdown.push({
+                index: segment.index,
+                label: segment.label,
+                timeRange: segment.timeRange,
+                meanDeviation: meanDeviation.toFixed(1),
+                throttleTimingOffset: this.roundOffset(throttleTiming),
+                brakeTimingOffset: this.roundOffset(brakeTiming),
+                smoothness: (smoothness !== null ? smoothness : 100).toFixed(0),
+                grade: this.calculateAccuracyGrade(meanDeviation, this.getAdjustedTolerance(tolerance)),
+                worst: false
+            });
+        });
+
+        // Flag the worst three by deviation
+        breakdown
+            .filter(entry => parseFloat(entry.meanDeviation) > 0)
+            .sort((a, b) => parseFloat(b.meanDeviation) - parseFloat(a.meanDeviation))
+            .slice(0, 3)
+            .forEach(entry => { entry.worst = true; });
+
+        return breakdown;
+    }
+
+    /**
+     * Smoothness score (0-100) of a run of consecutive samples
+     */
+    calculateSmoothness(samples) {
+        const gradients = [];
+        for (let i = 1; i < samples.length; i++) {
+            const dt = samples[i].time - samples[i - 1].time;
+            if (dt <= 0) continue;
+            gradients.push(Math.abs((samples[i].player.throttle - samples[i - 1].player.throttle) / dt));
+            gradients.push(Math.abs((samples[i].player.brake - samples[i - 1].player.brake) / dt));
+        }
+        return Math.max(0, Math.min(100, 100 - (this.calculateMean(gradients) / 5)));
+    }
+
+    /**
+     * Set ghost session samples to compare against (pass null to clear)
+     * Stores cumulative deviation sums so the live delta is a binary search
+     */
+    setGhost(samples) {
+        this.ghostTimes = [];
+        this.ghostDeviationSums = [];
+
+        let sum = 0;
+        (samples || []).forEach(sample => {
+            sum += sample.deviation;
+            this.ghostTimes.push(sample.time);
+            this.ghostDeviationSums.push(sum);
+        });
+    }
+
+    /**
+     * Get how far the player is from the ghost at the latest sample time
+     * Compares mean deviation so far in the current lap against the ghost's mean
+     * deviation up to the same point in the pattern. Negative = ahead of ghost
+     * (less deviation), positive = behind. Returns null when there is nothing to compare.
+     */
+    getGhostDelta() {
+        if (this.ghostTimes.length === 0 || this.samples.length <= this.lapStartIndex) return null;
+
+        const time = this.samples[this.samples.length - 1].time - this.lapStartTime;
+
+        // Find last ghost sample at or before current time
+        let low = 0;
+        let high = this.ghostTimes.length - 1;
+        let index = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.ghostTimes[mid] <= time) {
+                index = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (index < 0) return null;
+
+        const ghostMean = this.ghostDeviationSums[index] / (index + 1);
+        return this.calculateMean(this.deviations.slice(this.lapStartIndex)) - ghostMean;
+    }
+
+    /**
+     * Mean deviation of the whole ghost lap (null without a ghost)
+     */
+    getGhostMeanDeviation() {
+        const count = this.ghostDeviationSums.length;
+        return count > 0 ? this.ghostDeviationSums[count - 1] / count : null;
+    }
+
+    /**
+     * Rank a letter grade (higher is better, -1 for N/A)
+     */
+    getGradeRank(grade) {
+        const index = GRADES.indexOf(grade);
+        return index === -1 ? -1 : GRADES.length - 1 - index;
+    }
+
     /**
      * Calculate mean of array
      */
@@ -222,6 +700,22 @@ class ScoringSystem {
         return arr.reduce((sum, val) => sum + val, 0) / arr.length;
     }
 
+    /**
+     * Calculate variance of array
+     */
+    calculateVariance(arr) {
+        if (arr.length === 0) return 0;
+        const mean = this.calculateMean(arr);
+        return arr.reduce((sum, val) => sum + (val - mean) * (val - mean), 0) / arr.length;
+    }
+
+    /**
+     * Round a timing offset for display, keeping null for "not measurable"
+     */
+    roundOffset(offsetMs) {
+        return offsetMs === null ? null : Math.round(offsetMs);
+    }
+
     /**
      * Calculate percentile
      */
@@ -252,15 +746,23 @@ class ScoringSystem {
             analysis.improvements.push('Try smoother input transitions');
         }
 
-        // Check timing
-        const avgTiming = this.calculateMean(this.timingOffsets);
-        if (Math.abs(avgTiming) < 20) {
+        // Check timing (positive = early, negative = late)
+        const brakeTiming = this.calculateSessionTimingOffset(this.samples, 'brake');
+        const throttleTiming = this.calculateSessionTimingOffset(this.samples, 'throttle');
+        const measured = [brakeTiming, throttleTiming].filter(offset => offset !== null);
+        if (measured.length > 0 && measured.every(offset => Math.abs(offset) < 20)) {
             analysis.strengths.push('Good timing');
-        } else if (avgTiming > 30) {
+        }
+        if (brakeTiming !== null && brakeTiming < -30) {
             analysis.improvements.push('Brake slightly earlier');
-        } else if (avgTiming < -30) {
+        } else if (brakeTiming !== null && brakeTiming > 30) {
             analysis.improvements.push('Delay brake application');
         }
+        if (throttleTiming !== null && throttleTiming < -30) {
+            analysis.improvements.push('Pick up the throttle earlier');
+        } else if (throttleTiming !== null && throttleTiming > 30) {
+            analysis.improvements.push('Be more patient with the throttle');
+        }
 
         // Check accuracy
         const avgDeviation = this.calculateMean(this.deviations);
@@ -0,0 +1,182 @@
+/**
+ * Session Exporter
+ * Writes saved sessions to files a teammate can import: JSON with the full
+ * session objects, or CSV with one row per sample for spreadsheets and
+ * notebooks. Also parses and validates imported session files.
+ */
+
+const SESSION_EXPORT_FORMAT = 'live-telemetry-trainer-sessions';
+const SESSION_EXPORT_VERSION = 1;
+const SESSION_PATTERN_NAME_LIMIT = 200; // Longest pattern name accepted on import
+
+class SessionExporter {
+    constructor() {
+        this.csvColumns = [
+            'session_id', 'time',
+            'player_throttle', 'player_brake',
+            'reference_throttle', 'reference_brake',
+            'deviation'
+        ];
+    }
+
+    /**
+     * JSON export of full sessions (samples included)
+     */
+    toJSON(sessions) {
+        return JSON.stringify({
+            format: SESSION_EXPORT_FORMAT,
+            version: SESSION_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            sessions
+        }, null, 2);
+    }
+
+    /**
+     * CSV export with one row per sample; session_id tells sessions apart in a multi-session file
+     */
+    toCSV(sessions) {
+        const rows = [this.csvColumns.join(',')];
+        sessions.forEach(session => {
+            (session.samples || []).forEach(sample => {
+                rows.push([
+                    session.id,
+                    sample.time,
+                    sample.playerInput.throttle,
+                    sample.playerInput.brake,
+                    sample.referenceInput.throttle,
+                    sample.referenceInput.brake,
+                    sample.deviation
+                ].join(','));
+            });
+        });
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * File name for an export, e.g. "session_race_track_2025-12-22.json" or "sessions_3.csv"
+     */
+    getFileName(sessions, extension) {
+        if (sessions.length === 1) {
+            const session = sessions[0];
+            const pattern = (session.pattern || 'Race Track').replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+            return `session_${pattern}_${session.timestamp.slice(0, 10)}.${extension}`;
+        }
+        return `sessions_${sessions.length}.${extension}`;
+    }
+
+    /**
+     * Parse an imported JSON file into validated sessions
+     * Accepts an export file, a bare array of sessions or a single session
+     * Throws on the first invalid session
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+
+        let sessions;
+        if (Array.isArray(data)) {
+            sessions = data;
+        } else if (data && (data.format === SESSION_EXPORT_FORMAT || Array.isArray(data.sessions))) {
+            if (data.version > SESSION_EXPORT_VERSION) {
+                throw new Error(`File is from a newer version of the app (format version ${data.version})`);
+            }
+            sessions = data.sessions;
+        } else {
+            sessions = [data];
+        }
+
+        if (!Array.isArray(sessions) || sessions.length === 0) {
+            throw new Error('File contains no sessions');
+        }
+
+        sessions.forEach((session, i) => {
+            const validation = validateSession(session);
+            if (!validation.valid) {
+                throw new Error(sessions.length > 1 ? `Session ${i + 1}: ${validation.error}` : validation.error);
+            }
+        });
+
+        return sessions;
+    }
+}
+
+// Validation function
+// Also checks the optional fields session history displays, so one bad file can't break the list
+function validateSession(session) {
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    // Summary percentages are saved as toFixed strings
+    const isNumeric = (value) => isNumber(value) || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value));
+
+    if (!session || typeof session !== 'object' || Array.isArray(session)) {
+        return { valid: false, error: 'Session must be an object' };
+    }
+    if (!Number.isFinite(session.id)) {
+        return { valid: false, error: 'Session must have a numeric id' };
+    }
+    if (typeof session.timestamp !== 'string' || isNaN(new Date(session.timestamp).getTime())) {
+        return { valid: false, error: 'Session must have an ISO timestamp' };
+    }
+    if (session.mode !== 'beginner' && session.mode !== 'advanced') {
+        return { valid: false, error: "Mode must be 'beginner' or 'advanced'" };
+    }
+    if (session.pattern !== undefined &&
+        (typeof session.pattern !== 'string' || session.pattern.length > SESSION_PATTERN_NAME_LIMIT)) {
+        return { valid: false, error: `Pattern must be a name of at most ${SESSION_PATTERN_NAME_LIMIT} characters` };
+    }
+    if (session.patternKey !== undefined && !(typeof session.patternKey === 'string' && /^[0-9a-f]{8}$/.test(session.patternKey))) {
+        return { valid: false, error: 'patternKey must be an 8-digit hex pattern hash' };
+    }
+    if (!session.settings || typeof session.settings !== 'object') {
+        return { valid: false, error: 'Session must have settings' };
+    }
+    if (!(isNumber(session.duration) && session.duration >= 0)) {
+        return { valid: false, error: 'Duration must be a number of seconds' };
+    }
+    if (session.pauses !== undefined &&
+        !(Array.isArray(session.pauses) && session.pauses.every(pause => pause && isNumber(pause.time)))) {
+        return { valid: false, error: 'Pauses must be a list with a time for each pause' };
+    }
+    if (session.importedAt !== undefined &&
+        (typeof session.importedAt !== 'string' || isNaN(new Date(session.importedAt).getTime()))) {
+        return { valid: false, error: 'importedAt must be an ISO timestamp' };
+    }
+
+    const summary = session.summary;
+    if (!summary || typeof summary !== 'object') {
+        return { valid: false, error: 'Session must have a summary' };
+    }
+    if (!GRADES.includes(summary.grade)) {
+        return { valid: false, error: `Summary grade must be one of ${GRADES.join(', ')}` };
+    }
+    if (!isNumeric(summary.meanDeviation) || !isNumeric(summary.smoothness)) {
+        return { valid: false, error: 'Summary must have numeric meanDeviation and smoothness' };
+    }
+    if (summary.difficulty != null && !isNumber(summary.difficulty)) {
+        return { valid: false, error: 'Summary difficulty must be a number' };
+    }
+    if (summary.laps !== undefined && !Array.isArray(summary.laps)) {
+        return { valid: false, error: 'Summary laps must be a list' };
+    }
+    if (summary.lapStats != null && !(Array.isArray(summary.laps) && typeof summary.lapStats === 'object' &&
+        ['best', 'worst', 'consistency'].every(key => isNumber(summary.lapStats[key])))) {
+        return { valid: false, error: 'Summary lapStats must have numeric best, worst and consistency, with laps' };
+    }
+
+    if (!Array.isArray(session.samples)) {
+        return { valid: false, error: 'Session must have a samples array' };
+    }
+    const isInput = (input) => input && typeof input.throttle === 'number' && typeof input.brake === 'number';
+    for (let i = 0; i < session.samples.length; i++) {
+        const sample = session.samples[i];
+        if (!sample || typeof sample.time !== 'number' || typeof sample.deviation !== 'number' ||
+            !isInput(sample.playerInput) || !isInput(sample.referenceInput)) {
+            return { valid: false, error: `Sample ${i + 1} must have time, playerInput, referenceInput and deviation` };
+        }
+    }
+
+    return { valid: true };
+}
@@ -0,0 +1,441 @@
+/**
+ * Session Store
+ * Keeps recorded sessions in IndexedDB. Session details and the 60 Hz samples
+ * live in separate object stores, so history can be listed and filtered by
+ * pattern, mode and date without loading any samples into memory.
+ * Falls back to the original localStorage key when IndexedDB isn't available.
+ */
+
+class SessionStore {
+    constructor(options = {}) {
+        this.options = {
+            dbName: 'LiveTelemetryTrainer',
+            dbVersion: 1,
+            legacyKey: 'telemetryTrainingSessions', // localStorage key used before IndexedDB
+            unmigratedKey: 'telemetryUnmigratedSessions', // damaged legacy sessions set aside by migrate()
+            fallbackLimit: 20,                      // sessions kept when falling back to localStorage
+            quotaHeadroom: 2,                       // free space needed as a multiple of the session size
+            ...options
+        };
+        this.db = null;
+        this.backend = null; // 'indexeddb' or 'localStorage' once open
+        this.ready = null;
+        this.unmigrated = 0; // Damaged sessions migrate() couldn't move
+    }
+
+    // ==================== SETUP ====================
+
+    /**
+     * Open the database (once) and migrate any localStorage sessions into it
+     * Resolves with the backend in use
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = this.connect().then(async () => {
+                if (this.backend === 'indexeddb') await this.migrate();
+                return this.backend;
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Connect to IndexedDB, falling back to localStorage if it can't be opened
+     * (not supported, or blocked e.g. in some private browsing modes)
+     */
+    connect() {
+        if (typeof indexedDB === 'undefined' || !indexedDB) {
+            this.backend = 'localStorage';
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            let request;
+            try {
+                request = indexedDB.open(this.options.dbName, this.options.dbVersion);
+            } catch (error) {
+                console.warn('IndexedDB unavailable, using localStorage:', error);
+                this.backend = 'localStorage';
+                resolve();
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                    sessions.createIndex('timestamp', 'timestamp');
+                    sessions.createIndex('pattern', 'pattern');
+                    sessions.createIndex('mode', 'mode');
+                    sessions.createIndex('patternMode', ['pattern', 'mode']);
+                }
+                if (!db.objectStoreNames.contains('samples')) {
+                    db.createObjectStore('samples', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.backend = 'indexeddb';
+                resolve();
+            };
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, using localStorage:', request.error);
+                this.backend = 'localStorage';
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * One-time move of sessions saved in localStorage into IndexedDB
+     * Damaged sessions (see isMigratable, or rejected by IndexedDB) are set aside
+     * under unmigratedKey and counted in this.unmigrated rather than stopping the
+     * move. The old key is only removed once the rest are stored; if the move
+     * itself fails the store keeps using localStorage so nothing is lost
+     * Returns the number of sessions migrated
+     */
+    async migrate() {
+        const legacy = this.readLegacy();
+        if (legacy === null) return 0;
+
+        const sessions = Array.isArray(legacy) ? legacy : [];
+        const damaged = Array.isArray(legacy) ? [] : [legacy];
+
+        try {
+            const tx = this.db.transaction(['sessions', 'samples'], 'readwrite');
+            sessions.forEach(session => {
+                if (!this.isMigratable(session)) {
+                    damaged.push(session);
+                    return;
+                }
+                try {
+                    this.putSession(tx, session);
+                } catch (error) {
+                    damaged.push(session);
+                }
+            });
+            await this.complete(tx);
+        } catch (error) {
+            console.error('Session migration failed, staying on localStorage:', error);
+            this.backend = 'localStorage';
+            return 0;
+        }
+
+        if (damaged.length > 0) {
+            console.warn(`${damaged.length} damaged session(s) not migrated, kept under ${this.options.unmigratedKey}`);
+            try {
+                localStorage.setItem(this.options.unmigratedKey, JSON.stringify(damaged));
+            } catch (error) {
+                console.error('Could not keep the damaged sessions:', error);
+            }
+            this.unmigrated = damaged.length;
+        }
+
+        localStorage.removeItem(this.options.legacyKey);
+        return sessions.length - damaged.length;
+    }
+
+    /**
+     * Whether a localStorage session has what the history list needs
+     * (an id to store it under, a timestamp and a graded summary)
+     */
+    isMigratable(session) {
+        return Boolean(session) && typeof session === 'object' && Number.isFinite(session.id) &&
+            typeof session.timestamp === 'string' && Boolean(session.summary) &&
+            typeof session.summary.grade === 'string';
+    }
+
+    // ==================== SESSIONS ====================
+
+    /**
+     * Save a session (replaces one with the same id)
+     * Throws an Error with quota = true when storage is full
+     */
+    async save(session) {
+        await this.open();
+        await this.checkQuota(session);
+
+        if (this.backend === 'localStorage') {
+            const sessions = (this.readLegacy() || []).filter(s => s.id !== session.id);
+            sessions.unshift(session);
+            sessions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            this.writeLegacy(sessions.slice(0, this.options.fallbackLimit));
+            return;
+        }
+
+        try {
+            const tx = this.db.transaction(['sessions', 'samples'], 'readwrite');
+            this.putSession(tx, session);
+            await this.complete(tx);
+        } catch (error) {
+            throw this.createSaveError(error);
+        }
+    }
+
+    /**
+     * List sessions without their samples, newest first
+     * filter: {pattern, mode, from, to (Date or ISO string), limit}
+     * Each entry has sampleCount in place of samples
+     */
+    async list(filter = {}) {
+        await this.open();
+
+        const from = filter.from ? new Date(filter.from).toISOString() : null;
+        const to = filter.to ? new Date(filter.to).toISOString() : null;
+        const inRange = (session) => (!from || session.timestamp >= from) && (!to || session.timestamp <= to);
+
+        let sessions;
+        if (this.backend === 'localStorage') {
+            sessions = (this.readLegacy() || [])
+                .map(session => this.toMetadata(session))
+                .filter(session =>
+                    (!filter.pattern || session.pattern === filter.pattern) &&
+                    (!filter.mode || session.mode === filter.mode));
+        } else {
+            const store = this.db.transaction('sessions').objectStore('sessions');
+            let request;
+            if (filter.pattern && filter.mode) {
+                request = store.index('patternMode').getAll(IDBKeyRange.only([filter.pattern, filter.mode]));
+            } else if (filter.pattern) {
+                request = store.index('pattern').getAll(IDBKeyRange.only(filter.pattern));
+            } else if (filter.mode) {
+                request = store.index('mode').getAll(IDBKeyRange.only(filter.mode));
+            } else if (from || to) {
+                const range = from && to ? IDBKeyRange.bound(from, to) :
+                    (from ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to));
+                request = store.index('timestamp').getAll(range);
+            } else {
+                request = store.index('timestamp').getAll();
+            }
+            sessions = await this.result(request);
+        }
+
+        sessions = sessions
+            .filter(inRange)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        return filter.limit ? sessions.slice(0, filter.limit) : sessions;
+    }
+
+    /**
+     * Number of stored sessions
+     */
+    async count() {
+        await this.open();
+        if (this.backend === 'localStorage') return (this.readLegacy() || []).length;
+        return this.result(this.db.transaction('sessions').objectStore('sessions').count());
+    }
+
+    /**
+     * Pattern names that have sessions, alphabetically
+     */
+    async getPatterns() {
+        await this.open();
+        if (this.backend === 'localStorage') {
+            return [...new Set((this.readLegacy() || []).map(session => session.pattern || 'Race Track'))].sort();
+        }
+
+        const index = this.db.transaction('sessions').objectStore('sessions').index('pattern');
+        return new Promise((resolve, reject) => {
+            const patterns = [];
+            const request = index.openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(patterns);
+                    return;
+                }
+                patterns.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get a full session including samples (null if not found)
+     */
+    async get(id) {
+        await this.open();
+        if (this.backend === 'localStorage') {
+            return (this.readLegacy() || []).find(session => session.id === id) || null;
+        }
+
+        const tx = this.db.transaction(['sessions', 'samples']);
+        const [session, samples] = await Promise.all([
+            this.result(tx.objectStore('sessions').get(id)),
+            this.result(tx.objectStore('samples').get(id))
+        ]);
+        if (!session) return null;
+
+        const { sampleCount, ...rest } = session;
+        return { ...rest, samples: samples ? samples.samples : [] };
+    }
+
+    /**
+     * Whether a session with this id is stored
+     */
+    async has(id) {
+        await this.open();
+        if (this.backend === 'localStorage') {
+            return (this.readLegacy() || []).some(session => session.id === id);
+        }
+        return (await this.result(this.db.transaction('sessions').objectStore('sessions').count(id))) > 0;
+    }
+
+    /**
+     * Delete a session and its samples
+     */
+    async delete(id) {
+        await this.open();
+        if (this.backend === 'localStorage') {
+            this.writeLegacy((this.readLegacy() || []).filter(session => session.id !== id));
+            return;
+        }
+
+        const tx = this.db.transaction(['sessions', 'samples'], 'readwrite');
+        tx.objectStore('sessions').delete(id);
+        tx.objectStore('samples').delete(id);
+        await this.complete(tx);
+    }
+
+    /**
+     * Delete every session
+     */
+    async clear() {
+        await this.open();
+        if (this.backend === 'localStorage') {
+            localStorage.removeItem(this.options.legacyKey);
+            return;
+        }
+
+        const tx = this.db.transaction(['sessions', 'samples'], 'readwrite');
+        tx.objectStore('sessions').clear();
+        tx.objectStore('samples').clear();
+        await this.complete(tx);
+    }
+
+    // ==================== QUOTA ====================
+
+    /**
+     * Storage use for this site: {usage, quota} in bytes (null if the browser can't tell)
+     */
+    async getUsage() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Refuse a save up front when the session clearly won't fit
+     */
+    async checkQuota(session) {
+        const estimate = await this.getUsage();
+        if (!estimate || !estimate.quota) return;
+
+        const size = JSON.stringify(session).length * 2; // UTF-16 upper bound
+        if (estimate.quota - estimate.usage < size * this.options.quotaHeadroom) {
+            throw this.createQuotaError();
+        }
+    }
+
+    /**
+     * Whether an error means storage is full
+     */
+    isQuotaError(error) {
+        return Boolean(error) && (error.quota === true ||
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22);
+    }
+
+    /**
+     * Error for a full store (quota = true so callers can suggest freeing space)
+     */
+    createQuotaError() {
+        const error = new Error('Storage is full');
+        error.quota = true;
+        return error;
+    }
+
+    /**
+     * Wrap a failed save, flagging quota errors
+     */
+    createSaveError(error) {
+        if (this.isQuotaError(error)) return this.createQuotaError();
+        return new Error(`Could not save session: ${error ? error.message : 'unknown error'}`);
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Session without samples, as kept in the sessions store
+     */
+    toMetadata(session) {
+        const { samples, ...metadata } = session;
+        return {
+            ...metadata,
+            pattern: session.pattern || 'Race Track', // Default for old sessions
+            sampleCount: samples ? samples.length : 0
+        };
+    }
+
+    /**
+     * Queue a session's metadata and samples in a readwrite transaction
+     */
+    putSession(tx, session) {
+        tx.objectStore('sessions').put(this.toMetadata(session));
+        tx.objectStore('samples').put({ id: session.id, samples: session.samples || [] });
+    }
+
+    /**
+     * Promise for an IDBRequest's result
+     */
+    result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Promise that settles when a transaction commits or fails
+     */
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Sessions in the localStorage key, newest first (null if the key is absent)
+     */
+    readLegacy() {
+        const stored = localStorage.getItem(this.options.legacyKey);
+        if (stored === null) return null;
+        try {
+            return JSON.parse(stored) || [];
+        } catch (error) {
+            console.error('Failed to read saved sessions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist sessions to the localStorage key, flagging quota errors
+     */
+    writeLegacy(sessions) {
+        try {
+            localStorage.setItem(this.options.legacyKey, JSON.stringify(sessions));
+        } catch (error) {
+            throw this.createSaveError(error);
+        }
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * Share Link
+ * Packs a pattern, an optional challenge score and an optional downsampled
+ * ghost run into a URL fragment, so a challenge can be passed on as a plain
+ * link. Nothing is sent to a server - the fragment never leaves the browser,
+ * so links work with the file:// deploy too.
+ */
+
+const SHARE_LINK_PREFIX = '#share=';
+const SHARE_LINK_VERSION = 1;
+
+class ShareLink {
+    constructor() {
+        this.ghostRate = 10;    // Hz the ghost run is downsampled to
+        this.maxLength = 60000; // Longest fragment created (some chat apps cut longer links)
+
+        // Limits on what a link may ask the app to build - links come from anyone
+        this.limits = {
+            nameLength: 100,    // characters in pattern and segment names
+            duration: 600,      // seconds (PatternGenerator's longest)
+            segments: 500,
+            laps: 10            // Longest lap count the Session Length picker offers (0 = until stopped)
+        };
+    }
+
+    /**
+     * Whether a location hash holds a share link
+     */
+    isShareHash(hash) {
+        return typeof hash === 'string' && hash.startsWith(SHARE_LINK_PREFIX);
+    }
+
+    /**
+     * Full link for a payload, based on the page's own URL
+     * payload: {pattern, challenge (or null), ghost (downsampled, or null)}
+     */
+    async createURL(payload, pageURL) {
+        const validation = this.validate(payload);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        const fragment = await this.encode(payload);
+        if (fragment.length > this.maxLength) {
+            throw new Error('Pattern is too long to share as a link - export it as JSON instead');
+        }
+        return pageURL.split('#')[0] + SHARE_LINK_PREFIX + fragment;
+    }
+
+    /**
+     * Encode a payload as "<version>.<method>.<base64url>"
+     * method d = deflate-raw compressed JSON, j = plain JSON (no CompressionStream)
+     */
+    async encode(payload) {
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        if (this.canCompress()) {
+            return `${SHARE_LINK_VERSION}.d.${this.toBase64URL(await this.transform(bytes, new CompressionStream('deflate-raw')))}`;
+        }
+        return `${SHARE_LINK_VERSION}.j.${this.toBase64URL(bytes)}`;
+    }
+
+    /**
+     * Decode and validate a share hash (with or without the "#share=" prefix)
+     */
+    async decode(hash) {
+        const fragment = hash.startsWith(SHARE_LINK_PREFIX) ? hash.slice(SHARE_LINK_PREFIX.length) : hash;
+        const [version, method, data] = fragment.split('.');
+
+        if (parseInt(version) !== SHARE_LINK_VERSION || !data) {
+            throw new Error('Share link is damaged or from a newer version of the app');
+        }
+
+        let bytes;
+        try {
+            bytes = this.fromBase64URL(data);
+        } catch (error) {
+            throw new Error('Share link is damaged (it may have been cut short)');
+        }
+
+        if (method === 'd') {
+            if (!this.canCompress()) {
+                throw new Error("This browser can't open compressed share links - try a current Chrome, Edge, Firefox or Safari");
+            }
+            try {
+                bytes = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+            } catch (error) {
+                throw new Error('Share link is damaged (it may have been cut short)');
+            }
+        } else if (method !== 'j') {
+            throw new Error('Share link is damaged or from a newer version of the app');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('Share link is damaged (it may have been cut short)');
+        }
+
+        const validation = this.validate(payload);
+        if (!validation.valid) {
+            throw new Error(`Share link is invalid: ${validation.error}`);
+        }
+        return payload;
+    }
+
+    /**
+     * Check a decoded payload: a valid pattern, plus optional challenge and ghost
+     */
+    validate(payload) {
+        if (!payload || typeof payload !== 'object') {
+            return { valid: false, error: 'Nothing to load' };
+        }
+
+        const limits = this.checkPatternLimits(payload.pattern);
+        if (!limits.valid) {
+            return limits;
+        }
+
+        const validation = validatePattern(payload.pattern);
+        if (!validation.valid) {
+            return { valid: false, error: validation.error };
+        }
+
+        const challenge = payload.challenge;
+        if (challenge) {
+            const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+            if (!GRADES.includes(challenge.grade) || !isNumber(challenge.meanDeviation)) {
+                return { valid: false, error: 'Challenge needs a grade and mean deviation' };
+            }
+            if (challenge.smoothness !== undefined && !isNumber(challenge.smoothness)) {
+                return { valid: false, error: 'Challenge smoothness must be a number' };
+            }
+            if (challenge.mode !== 'beginner' && challenge.mode !== 'advanced') {
+                return { valid: false, error: "Challenge mode must be 'beginner' or 'advanced'" };
+            }
+            if (challenge.mode === 'beginner') {
+                const settings = challenge.settings;
+                if (!settings || !['playbackSpeed', 'tolerance', 'brakeThreshold'].every(key => isNumber(settings[key]))) {
+                    return { valid: false, error: 'Challenge settings must be numbers' };
+                }
+                if (!(settings.playbackSpeed >= 0.3 && settings.playbackSpeed <= 1.0) ||
+                    !(settings.tolerance >= 5 && settings.tolerance <= 25) ||
+                    !(settings.brakeThreshold >= 5 && settings.brakeThreshold <= 30)) {
+                    return { valid: false, error: 'Challenge settings are out of range' };
+                }
+            }
+            if (!(Number.isInteger(challenge.lapCount) && challenge.lapCount >= 0 && challenge.lapCount <= this.limits.laps)) {
+                return { valid: false, error: `Challenge lap count must be a whole number up to ${this.limits.laps} (0 = until stopped)` };
+            }
+            const seed = challenge.noiseSeed;
+            if (seed !== undefined && seed !== null && !isNumber(seed) &&
+                !(typeof seed === 'string' && seed.length <= this.limits.nameLength)) {
+                return { valid: false, error: 'Challenge noise seed must be a number, a string or null' };
+            }
+        }
+
+        if (payload.ghost) {
+            const ok = Array.isArray(payload.ghost) && payload.ghost.every(point =>
+                Array.isArray(point) && point.length === 4 && point.every(value => typeof value === 'number'));
+            if (!ok) {
+                return { valid: false, error: 'Ghost run is malformed' };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Type and size checks validatePattern leaves out: plain-text names, numeric
+     * time ranges and values, and a bounded duration and segment count (a link
+     * asking for a huge reference would freeze the tab while it's generated)
+     */
+    checkPatternLimits(pattern) {
+        const { nameLength, duration, segments } = this.limits;
+        const isName = (value) => typeof value === 'string' && value.length > 0 && value.length <= nameLength;
+        const isPair = (value) => Array.isArray(value) && value.length === 2 &&
+            value.every(v => typeof v === 'number' && Number.isFinite(v));
+
+        if (!pattern || typeof pattern !== 'object') {
+            return { valid: false, error: 'Link has no pattern' };
+        }
+        if (!isName(pattern.name)) {
+            return { valid: false, error: `Pattern name must be text of at most ${nameLength} characters` };
+        }
+        if (pattern.description !== undefined && typeof pattern.description !== 'string') {
+            return { valid: false, error: 'Pattern description must be text' };
+        }
+        if (!(typeof pattern.duration === 'number' && pattern.duration > 0 && pattern.duration <= duration)) {
+            return { valid: false, error: `Pattern duration must be a number of seconds up to ${duration}` };
+        }
+        if (!Array.isArray(pattern.segments) || pattern.segments.length > segments) {
+            return { valid: false, error: `Pattern must have at most ${segments} segments` };
+        }
+
+        for (let i = 0; i < pattern.segments.length; i++) {
+            const segment = pattern.segments[i];
+            if (!segment || !isPair(segment.timeRange) || !isPair(segment.throttle) || !isPair(segment.brake)) {
+                return { valid: false, error: `Segment ${i}: time range, throttle and brake must be pairs of numbers` };
+            }
+            if (segment.label !== undefined && !isName(segment.label)) {
+                return { valid: false, error: `Segment ${i}: label must be text of at most ${nameLength} characters` };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    // ==================== GHOST ====================
+
+    /**
+     * Downsample recorded samples to compact [time, throttle, brake, deviation] points
+     */
+    downsampleGhost(samples) {
+        const points = [];
+        let nextTime = -Infinity;
+        const round = (value, places) => Number(value.toFixed(places));
+
+        samples.forEach((sample, i) => {
+            if (sample.time < nextTime && i !== samples.length - 1) return;
+            nextTime = sample.time + 1 / this.ghostRate;
+            points.push([
+                round(sample.time, 2),
+                round(sample.playerInput.throttle, 1),
+                round(sample.playerInput.brake, 1),
+                round(sample.deviation, 1)
+            ]);
+        });
+
+        return points;
+    }
+
+    /**
+     * Expand ghost points back into samples for GraphRenderer and ScoringSystem
+     */
+    expandGhost(points) {
+        return points.map(([time, throttle, brake, deviation]) => ({
+            time,
+            playerInput: { throttle, brake },
+            deviation
+        }));
+    }
+
+    // ==================== ENCODING ====================
+
+    /**
+     * Whether the browser has CompressionStream/DecompressionStream
+     */
+    canCompress() {
+        return typeof CompressionStream !== 'undefined' &&
+            typeof DecompressionStream !== 'undefined' &&
+            typeof Response !== 'undefined';
+    }
+
+    /**
+     * Run bytes through a compression or decompression stream
+     */
+    async transform(bytes, stream) {
+        const output = new Response(bytes).body.pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * Bytes to URL-safe base64 without padding
+     */
+    toBase64URL(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * URL-safe base64 (padding optional) to bytes
+     */
+    fromBase64URL(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
@@ -7,6 +7,8 @@
 class TelemetryData {
     constructor(patternKey = 'default') {
         this.currentPattern = null;
+        this.seedOverride = null; // Replaces the pattern's noise seed when set
+        this.activeSeed = null;   // Seed used for the current reference data
         this.setPattern(patternKey);
     }
 
@@ -36,17 +38,73 @@ class TelemetryData {
         this.referenceData = this.generateFromPattern(this.currentPattern);
     }
 
+    /**
+     * Load a dense trace (e.g. imported CSV) directly as reference data
+     * The trace must already be on the 60 Hz grid; no keyframe segments are used
+     */
+    loadReferenceTrace(trace, info = {}) {
+        if (!Array.isArray(trace) || trace.length < 2) {
+            throw new Error('Reference trace must contain at least two samples');
+        }
+
+        this.referenceData = trace;
+        this.currentPattern = {
+            name: info.name || 'Imported Trace',
+            description: info.description || 'Imported telemetry trace',
+            duration: trace[trace.length - 1].time,
+            source: 'trace',
+            segments: []
+        };
+    }
+
+    /**
+     * Override the noise seed (null = use the pattern's own seed)
+     * Regenerates keyframe patterns; imported traces have no noise
+     */
+    setSeed(seed) {
+        this.seedOverride = seed;
+        if (this.currentPattern && this.currentPattern.source !== 'trace') {
+            this.referenceData = this.generateFromPattern(this.currentPattern);
+        }
+    }
+
+    /**
+     * Seed used for the current reference data (null for imported traces)
+     */
+    getSeed() {
+        return this.currentPattern && this.currentPattern.source === 'trace' ? null : this.activeSeed;
+    }
+
     /**
      * Generate telemetry data from pattern definition
+     * Uses the seed override, else the pattern's own seed ('random' picks a new one)
      */
     generateFromPattern(pattern) {
+        const settings = { ...DEFAULT_PATTERN_NOISE, ...(pattern.noise || {}) };
+
+        let seed = this.seedOverride !== null ? this.seedOverride : settings.seed;
+        if (seed === 'random') {
+            seed = Math.floor(Math.random() * 1000000);
+        }
+        this.activeSeed = seed;
+
+        return TelemetryData.generateReference(pattern, seed);
+    }
+
+    /**
+     * 60 Hz reference data for a pattern with a given noise seed (a number or string)
+     * Static, like the interpolation helpers below, so any pattern can be generated
+     * (e.g. to rate its difficulty) without a TelemetryData or its seed state
+     */
+    static generateReference(pattern, seed) {
         const data = [];
         const sampleRate = 60; // 60 Hz
         const totalSamples = Math.floor(pattern.duration * sampleRate);
+        const noise = TelemetryData.createNoise(pattern, seed);
 
         for (let i = 0; i < totalSamples; i++) {
             const time = i / sampleRate;
-            const values = this.getValuesAtTime(time, pattern);
+            const values = TelemetryData.getValuesAtTime(time, pattern, noise);
 
             data.push({
                 time: time,
@@ -61,7 +119,7 @@ class TelemetryData {
     /**
      * Get throttle and brake values at specific time using keyframe interpolation
      */
-    getValuesAtTime(time, pattern) {
+    static getValuesAtTime(time, pattern, noise) {
         let throttle = 0;
         let brake = 0;
 
@@ -69,45 +127,116 @@ class TelemetryData {
         for (const segment of pattern.segments) {
             const [startTime, endTime] = segment.timeRange;
             
-            if (time >= startTime && time <= endTime) {
+            // Segments fitted from a trace (source: 'trace') abut end to start, so each
+            // owns [start, end) - a sample on the boundary would otherwise get both
+            const inSegment = segment.source === 'trace' ? time < endTime : time <= endTime;
+            if (time >= startTime && inSegment) {
                 // Interpolate values within this segment
                 const progress = (time - startTime) / (endTime - startTime);
-                throttle += this.interpolate(segment.throttle[0], segment.throttle[1], progress);
-                brake += this.interpolate(segment.brake[0], segment.brake[1], progress);
+                throttle += TelemetryData.interpolate(segment.throttle[0], segment.throttle[1], progress, segment.curve);
+                brake += TelemetryData.interpolate(segment.brake[0], segment.brake[1], progress, segment.curve);
             }
         }
 
-        // Add subtle variation for realism
-        throttle += Math.sin(time * 5) * 2;
+        // Add subtle variation for realism (brake only while braking)
+        throttle += noise.throttle(time);
         if (brake > 10) {
-            brake += Math.sin(time * 8) * 3;
+            brake += noise.brake(time);
         }
 
         return { throttle, brake };
     }
 
     /**
-     * Smooth interpolation between two values with easing
+     * Build the pattern's variation functions from its noise settings
+     * Each channel is a sum of sines with seeded random frequencies (within
+     * the band) and phases, scaled so its RMS matches a single sine of the
+     * given amplitude. The same seed always gives the same trace.
      */
-    interpolate(start, end, progress) {
-        // Use ease-in-out curve for natural feel
-        const eased = progress < 0.5
-            ? 2 * progress * progress
-            : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+    static createNoise(pattern, seed) {
+        const settings = { ...DEFAULT_PATTERN_NOISE, ...(pattern.noise || {}) };
+        const random = createSeededRandom(seed);
+        const [minFrequency, maxFrequency] = settings.frequency;
+        const components = 4;
 
-        return start + (end - start) * eased;
+        const channel = (amplitude) => {
+            const waves = [];
+            for (let i = 0; i < components; i++) {
+                waves.push({
+                    omega: 2 * Math.PI * (minFrequency + (maxFrequency - minFrequency) * random()),
+                    phase: 2 * Math.PI * random()
+                });
+            }
+            const scale = amplitude / Math.sqrt(components);
+            return (time) => waves.reduce((sum, wave) => sum + Math.sin(wave.omega * time + wave.phase), 0) * scale;
+        };
+
+        return {
+            throttle: channel(settings.throttle),
+            brake: channel(settings.brake)
+        };
+    }
+
+    /**
+     * Interpolation between two values along a segment curve
+     * Segments without a curve use ease-in-out for a natural feel
+     */
+    static interpolate(start, end, progress, curve = 'ease-in-out') {
+        return start + (end - start) * TelemetryData.ease(progress, curve);
+    }
+
+    /**
+     * Map linear progress (0-1) through a curve (see SEGMENT_CURVES)
+     * curve: curve name, or {type: 'cubic-bezier', points: [x1, y1, x2, y2]}
+     */
+    static ease(progress, curve = 'ease-in-out') {
+        const p = Math.max(0, Math.min(1, progress));
+        const type = curve && typeof curve === 'object' ? curve.type : curve;
+
+        switch (type) {
+            case 'linear':
+                return p;
+            case 'ease-in':
+                return p * p;
+            case 'ease-out':
+                return 1 - (1 - p) * (1 - p);
+            case 'step':
+                // Jump straight to the end value (e.g. a brake spike)
+                return p > 0 ? 1 : 0;
+            case 'exponential':
+                // Slow start, rapid finish
+                return (Math.pow(2, 10 * p) - 1) / 1023;
+            case 'cubic-bezier':
+                return TelemetryData.cubicBezier(p, curve.points);
+            default:
+                return p < 0.5
+                    ? 2 * p * p
+                    : 1 - Math.pow(-2 * p + 2, 2) / 2;
+        }
     }
 
     /**
-     * Smooth interpolation between two values with easing
+     * CSS-style cubic-bezier easing through (0,0), (x1,y1), (x2,y2), (1,1)
+     * Solves x(t) = progress by bisection, then returns y(t)
      */
-    interpolate(start, end, progress) {
-        // Use ease-in-out curve for natural feel
-        const eased = progress < 0.5
-            ? 2 * progress * progress
-            : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+    static cubicBezier(progress, [x1, y1, x2, y2]) {
+        const bezier = (t, a, b) => 3 * a * t * (1 - t) * (1 - t) + 3 * b * t * t * (1 - t) + t * t * t;
 
-        return start + (end - start) * eased;
+        let low = 0;
+        let high = 1;
+        let t = progress;
+        for (let i = 0; i < 30; i++) {
+            const x = bezier(t, x1, x2);
+            if (Math.abs(x - progress) < 1e-5) break;
+            if (x < progress) {
+                low = t;
+            } else {
+                high = t;
+            }
+            t = (low + high) / 2;
+        }
+
+        return bezier(t, y1, y2);
     }
 
     /**
@@ -161,4 +290,17 @@ class TelemetryData {
     getPatternName() {
         return this.currentPattern ? this.currentPattern.name : 'Unknown';
     }
+
+    /**
+     * Get the current pattern's identity (see getPatternKey)
+     * Imported traces have no segments, so the trace itself is hashed
+     */
+    getPatternKey() {
+        if (!this.currentPattern) return null;
+        if (this.currentPattern.source !== 'trace') return getPatternKey(this.currentPattern);
+        return getPatternKey({
+            ...this.currentPattern,
+            trace: this.referenceData.map(point => [point.time, point.throttle, point.brake])
+        });
+    }
 }
@@ -0,0 +1,236 @@
+/**
+ * Telemetry CSV Importer
+ * Turns real-world throttle/brake logs (sim games, data loggers) into
+ * reference traces on the same 60 Hz grid as generated patterns
+ */
+
+class TelemetryImporter {
+    constructor() {
+        this.sampleRate = 60; // Hz - must match TelemetryData.referenceData
+
+        // Column name hints for auto-mapping (checked in order)
+        this.columnHints = {
+            time: /^(time|t|timestamp|elapsed|session_?time|sec(onds)?|ms)(\b|_)/i,
+            throttle: /(throttle|gas|accel)/i,
+            brake: /brake/i,
+            speed: /(speed|velocity|kph|kmh|mph)/i,
+            distance: /(dist|lap_?pos)/i
+        };
+
+        // Common raw pedal sensor ranges (8, 10, 12, 14 and 16 bit)
+        this.rawRanges = [255, 1023, 4095, 16383, 65535];
+    }
+
+    /**
+     * Parse CSV text into headers and numeric rows
+     * Accepts comma, semicolon or tab delimiters; header row is optional
+     */
+    parse(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('CSV must contain at least two rows');
+        }
+
+        const delimiter = [',', ';', '\t']
+            .map(d => ({ d, count: lines[0].split(d).length }))
+            .sort((a, b) => b.count - a.count)[0].d;
+
+        const split = (line) => line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+        let headers = split(lines[0]);
+        let dataLines = lines.slice(1);
+
+        // No header row - every cell in the first line is a number
+        if (headers.every(cell => cell !== '' && !isNaN(Number(cell)))) {
+            headers = headers.map((_, i) => `Column ${i + 1}`);
+            dataLines = lines;
+        }
+
+        const rows = dataLines.map(line => split(line).map(cell => Number(cell)));
+
+        return { headers, rows };
+    }
+
+    /**
+     * Guess which column holds each channel from header names
+     * Returns column indices (null when no match)
+     */
+    guessColumns(headers) {
+        const mapping = {};
+        const used = new Set();
+
+        Object.keys(this.columnHints).forEach(channel => {
+            const index = headers.findIndex((header, i) => !used.has(i) && this.columnHints[channel].test(header));
+            mapping[channel] = index >= 0 ? index : null;
+            if (index >= 0) used.add(index);
+        });
+
+        // Fall back to the first three columns for time, throttle, brake
+        ['time', 'throttle', 'brake'].forEach((channel, i) => {
+            if (mapping[channel] === null && i < headers.length && !used.has(i)) {
+                mapping[channel] = i;
+                used.add(i);
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Guess time unit - loggers write either seconds or milliseconds
+     */
+    guessTimeUnit(values) {
+        const deltas = [];
+        for (let i = 1; i < values.length; i++) {
+            const dt = values[i] - values[i - 1];
+            if (dt > 0) deltas.push(dt);
+        }
+        if (deltas.length === 0) return 's';
+
+        deltas.sort((a, b) => a - b);
+        const medianDelta = deltas[Math.floor(deltas.length / 2)];
+        return medianDelta >= 1 ? 'ms' : 's';
+    }
+
+    /**
+     * Guess pedal unit from the largest value in the column
+     * Returns { unit: 'fraction' | 'percent' | 'raw', rawMax }
+     */
+    guessPedalUnit(values) {
+        const max = values.reduce((m, v) => (isFinite(v) ? Math.max(m, v) : m), 0);
+
+        if (max <= 1) return { unit: 'fraction', rawMax: 1 };
+        if (max <= 100) return { unit: 'percent', rawMax: 100 };
+
+        const range = this.rawRanges.find(r => r >= max);
+        return { unit: 'raw', rawMax: range || Math.ceil(max) };
+    }
+
+    /**
+     * Convert a pedal value to 0-100%
+     */
+    toPercent(value, unit, rawMax) {
+        switch (unit) {
+            case 'fraction':
+                return value * 100;
+            case 'raw':
+                return rawMax > 0 ? (value / rawMax) * 100 : 0;
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Build a 60 Hz reference trace from parsed CSV
+     *
+     * options = {
+     *   columns: { time, throttle, brake, speed?, distance? }  // column indices
+     *   timeUnit: 's' | 'ms',
+     *   units: { throttle: { unit, rawMax }, brake: { unit, rawMax } },
+     *   trimStart?: number, trimEnd?: number,                  // seconds
+     *   smoothing?: number                                     // moving-average width in samples (0 = off)
+     * }
+     */
+    buildTrace(parsed, options) {
+        const { columns } = options;
+        if (columns.time === null || columns.throttle === null || columns.brake === null) {
+            throw new Error('Time, throttle and brake columns must be mapped');
+        }
+
+        const timeScale = options.timeUnit === 'ms' ? 0.001 : 1;
+        const extraChannels = ['speed', 'distance'].filter(channel => columns[channel] !== null && columns[channel] !== undefined);
+
+        // Extract, convert and sort raw points
+        let points = parsed.rows
+            .filter(row => isFinite(row[columns.time]) && isFinite(row[columns.throttle]) && isFinite(row[columns.brake]))
+            .map(row => {
+                const point = {
+                    time: row[columns.time] * timeScale,
+                    throttle: this.toPercent(row[columns.throttle], options.units.throttle.unit, options.units.throttle.rawMax),
+                    brake: this.toPercent(row[columns.brake], options.units.brake.unit, options.units.brake.rawMax)
+                };
+                extraChannels.forEach(channel => {
+                    point[channel] = row[columns[channel]];
+                });
+                return point;
+            })
+            .sort((a, b) => a.time - b.time);
+
+        if (points.length < 2) {
+            throw new Error('Not enough numeric rows in the mapped columns');
+        }
+
+        // Zero time at the first row, then trim to the requested window
+        const firstTime = points[0].time;
+        points.forEach(point => { point.time -= firstTime; });
+
+        const trimStart = Math.max(0, options.trimStart || 0);
+        const trimEnd = options.trimEnd > trimStart ? options.trimEnd : points[points.length - 1].time;
+        points = points.filter(point => point.time >= trimStart && point.time <= trimEnd);
+
+        if (points.length < 2 || trimEnd - trimStart < 1 / this.sampleRate) {
+            throw new Error('Trim window contains no data');
+        }
+
+        let trace = this.resample(points, trimStart, trimEnd, ['throttle', 'brake', ...extraChannels]);
+
+        if (options.smoothing > 1) {
+            trace = this.smooth(trace, options.smoothing, ['throttle', 'brake']);
+        }
+
+        trace.forEach(sample => {
+            sample.throttle = Math.max(0, Math.min(100, sample.throttle));
+            sample.brake = Math.max(0, Math.min(100, sample.brake));
+        });
+
+        return trace;
+    }
+
+    /**
+     * Linearly resample sorted points onto the 60 Hz grid, starting at time 0
+     */
+    resample(points, startTime, endTime, channels) {
+        const trace = [];
+        const totalSamples = Math.floor((endTime - startTime) * this.sampleRate) + 1;
+
+        let j = 0;
+        for (let i = 0; i < totalSamples; i++) {
+            const t = startTime + i / this.sampleRate;
+            while (j < points.length - 2 && points[j + 1].time < t) j++;
+
+            const a = points[j];
+            const b = points[j + 1];
+            const span = b.time - a.time;
+            const fraction = span > 0 ? Math.max(0, Math.min(1, (t - a.time) / span)) : 0;
+
+            const sample = { time: i / this.sampleRate };
+            channels.forEach(channel => {
+                sample[channel] = a[channel] + (b[channel] - a[channel]) * fraction;
+            });
+            trace.push(sample);
+        }
+
+        return trace;
+    }
+
+    /**
+     * Light centred moving-average smoothing
+     */
+    smooth(trace, width, channels) {
+        const half = Math.floor(width / 2);
+
+        return trace.map((sample, i) => {
+            const smoothed = { ...sample };
+            channels.forEach(channel => {
+                let sum = 0;
+                let count = 0;
+                for (let k = Math.max(0, i - half); k <= Math.min(trace.length - 1, i + half); k++) {
+                    sum += trace[k][channel];
+                    count++;
+                }
+                smoothed[channel] = sum / count;
+            });
+            return smoothed;
+        });
+    }
+}
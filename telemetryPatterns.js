@@ -175,6 +175,19 @@ const TELEMETRY_PATTERNS = {
     }
 };
 
+// Default reference variation (optional pattern `noise` field)
+// Amplitudes in %, frequency band in Hz; similar to the original fixed wobble
+const DEFAULT_PATTERN_NOISE = {
+    throttle: 2,
+    brake: 3,
+    frequency: [0.5, 1.5],
+    seed: 1
+};
+
+// Segment interpolation curves (optional `curve` field, default 'ease-in-out')
+// 'cubic-bezier' is written as { type: 'cubic-bezier', points: [x1, y1, x2, y2] }
+const SEGMENT_CURVES = ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'step', 'exponential', 'cubic-bezier'];
+
 // Validation function
 function validatePattern(pattern) {
     if (!pattern.name || !pattern.duration || !pattern.segments) {
@@ -185,6 +198,11 @@ function validatePattern(pattern) {
         return { valid: false, error: 'Segments must be a non-empty array' };
     }
 
+    if (pattern.noise !== undefined) {
+        const noiseCheck = validateNoise(pattern.noise);
+        if (!noiseCheck.valid) return noiseCheck;
+    }
+
     for (let i = 0; i < pattern.segments.length; i++) {
         const seg = pattern.segments[i];
         
@@ -218,7 +236,106 @@ function validatePattern(pattern) {
         
         const brakeEndCheck = checkValue(seg.brake[1], 'Brake end');
         if (!brakeEndCheck.valid) return brakeEndCheck;
+
+        if (seg.curve !== undefined) {
+            const curveCheck = validateCurve(seg.curve);
+            if (!curveCheck.valid) {
+                return { valid: false, error: `Segment ${i}: ${curveCheck.error}` };
+            }
+        }
+    }
+
+    return { valid: true };
+}
+
+// Validate a segment curve value
+function validateCurve(curve) {
+    if (typeof curve === 'string') {
+        if (curve === 'cubic-bezier') {
+            return { valid: false, error: 'cubic-bezier curve needs control points: { "type": "cubic-bezier", "points": [x1, y1, x2, y2] }' };
+        }
+        if (!SEGMENT_CURVES.includes(curve)) {
+            return { valid: false, error: `Unknown curve '${curve}' (use ${SEGMENT_CURVES.join(', ')})` };
+        }
+        return { valid: true };
+    }
+
+    if (!curve || typeof curve !== 'object' || curve.type !== 'cubic-bezier') {
+        return { valid: false, error: 'Curve must be a curve name or a cubic-bezier object' };
+    }
+
+    const points = curve.points;
+    if (!Array.isArray(points) || points.length !== 4 || !points.every(v => typeof v === 'number' && isFinite(v))) {
+        return { valid: false, error: 'cubic-bezier points must be four numbers [x1, y1, x2, y2]' };
+    }
+    if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+        return { valid: false, error: 'cubic-bezier x1 and x2 must be between 0 and 1' };
+    }
+
+    return { valid: true };
+}
+
+// Validate a pattern noise definition
+function validateNoise(noise) {
+    if (!noise || typeof noise !== 'object' || Array.isArray(noise)) {
+        return { valid: false, error: 'Noise must be an object { throttle, brake, frequency, seed }' };
+    }
+
+    for (const channel of ['throttle', 'brake']) {
+        const amplitude = noise[channel];
+        if (amplitude !== undefined && (typeof amplitude !== 'number' || amplitude < 0 || amplitude > 50)) {
+            return { valid: false, error: `Noise ${channel} amplitude must be a number between 0 and 50` };
+        }
+    }
+
+    if (noise.frequency !== undefined) {
+        const band = noise.frequency;
+        if (!Array.isArray(band) || band.length !== 2 || !band.every(f => typeof f === 'number' && f > 0) || band[0] > band[1] || band[1] > 30) {
+            return { valid: false, error: 'Noise frequency must be a band [min, max] in Hz (0 < min <= max <= 30)' };
+        }
+    }
+
+    if (noise.seed !== undefined && !(typeof noise.seed === 'number' && isFinite(noise.seed)) &&
+        !(typeof noise.seed === 'string' && noise.seed !== '')) {
+        return { valid: false, error: 'Noise seed must be a number, a string or "random"' };
     }
 
     return { valid: true };
 }
+
+// Seeded pseudo-random number generator (mulberry32)
+// Returns a function producing floats in [0, 1); string seeds are hashed
+function createSeededRandom(seed) {
+    let state = 0;
+    if (typeof seed === 'string') {
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 2654435761);
+        }
+    } else {
+        state = Math.floor(seed) || 0;
+    }
+
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Identity of a pattern's trace for matching sessions recorded on it: a hash of
+// everything that shapes the reference except the name, description and noise
+// seed, so a renamed copy still matches and an edited one (or another pattern
+// reusing the name) doesn't
+function getPatternKey(pattern) {
+    const { name, description, noise, ...shape } = pattern;
+    const { seed, ...noiseShape } = noise || {};
+    const text = JSON.stringify({ ...shape, noise: noiseShape });
+
+    let hash = 2166136261; // FNV-1a
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
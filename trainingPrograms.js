@@ -0,0 +1,124 @@
+/**
+ * Training Program Definitions
+ * Structured plans that step a driver through patterns, modes and settings.
+ * Each step is passed by meeting its grade condition; progress is kept by ProgramTracker.
+ */
+
+const TRAINING_PROGRAMS = {
+    'foundations': {
+        name: "Two-Week Foundations",
+        description: "Ten sessions for new drivers: pedal control on its own, then combined, then full speed",
+        steps: [
+            // Week 1 - one pedal at a time, slowed down
+            { label: 'Day 1', pattern: 'acceleration', mode: 'beginner', settings: { preset: 'easy' }, pass: { grade: 'B', count: 2, consecutive: true } },
+            { label: 'Day 2', pattern: 'braking', mode: 'beginner', settings: { preset: 'easy' }, pass: { grade: 'B', count: 2, consecutive: true } },
+            { label: 'Day 3', pattern: 'highway', mode: 'beginner', settings: { preset: 'medium' }, pass: { grade: 'A', count: 2, consecutive: true } },
+            { label: 'Day 4', pattern: 'oval', mode: 'beginner', settings: { preset: 'medium' }, laps: 3, pass: { grade: 'B', count: 2, consecutive: true } },
+            { label: 'Day 5', pattern: 'trail-braking', mode: 'beginner', settings: { preset: 'easy' }, pass: { grade: 'C', count: 2, consecutive: true } },
+            // Week 2 - combined inputs, working up to full speed
+            { label: 'Day 8', pattern: 'default', mode: 'beginner', settings: { preset: 'medium' }, pass: { grade: 'B', count: 2, consecutive: true } },
+            { label: 'Day 9', pattern: 'chicane', mode: 'beginner', settings: { preset: 'hard' }, pass: { grade: 'B', count: 2, consecutive: true } },
+            { label: 'Day 10', pattern: 'trail-braking', mode: 'beginner', settings: { preset: 'hard' }, pass: { grade: 'B', count: 2, consecutive: true } },
+            { label: 'Day 11', pattern: 'city', mode: 'beginner', settings: { preset: 'hard', tolerance: 10 }, pass: { grade: 'B', count: 3, consecutive: false } },
+            { label: 'Day 12', pattern: 'default', mode: 'advanced', pass: { grade: 'B', count: 2, consecutive: true } }
+        ]
+    },
+
+    'trail-braking-clinic': {
+        name: "Trail Braking Clinic",
+        description: "Short block on releasing the brake into the corner, tolerance tightening each step",
+        steps: [
+            { pattern: 'braking', mode: 'beginner', settings: { playbackSpeed: 0.5, tolerance: 20 }, pass: { grade: 'B', count: 2, consecutive: true } },
+            { pattern: 'trail-braking', mode: 'beginner', settings: { playbackSpeed: 0.5, tolerance: 20 }, pass: { grade: 'B', count: 2, consecutive: true } },
+            { pattern: 'trail-braking', mode: 'beginner', settings: { playbackSpeed: 0.7, tolerance: 15 }, pass: { grade: 'B', count: 2, consecutive: true } },
+            { pattern: 'trail-braking', mode: 'beginner', settings: { playbackSpeed: 0.85, tolerance: 12 }, laps: 3, pass: { grade: 'A', count: 1 } }
+        ]
+    }
+};
+
+// Validation function
+function validateProgram(program) {
+    if (!program || typeof program !== 'object' || Array.isArray(program)) {
+        return { valid: false, error: 'Program must be an object { name, description, steps }' };
+    }
+    if (!program.name || typeof program.name !== 'string') {
+        return { valid: false, error: 'Program must have a name' };
+    }
+    if (!Array.isArray(program.steps) || program.steps.length === 0) {
+        return { valid: false, error: 'Program must have at least one step' };
+    }
+
+    for (let i = 0; i < program.steps.length; i++) {
+        const validation = validateProgramStep(program.steps[i]);
+        if (!validation.valid) {
+            return { valid: false, error: `Step ${i + 1}: ${validation.error}` };
+        }
+    }
+
+    return { valid: true };
+}
+
+// Validate a single program step
+function validateProgramStep(step) {
+    if (!step || typeof step !== 'object') {
+        return { valid: false, error: 'Step must be an object' };
+    }
+
+    // Pattern is a built-in/saved pattern key or a full pattern object
+    if (typeof step.pattern === 'string') {
+        if (step.pattern === '') {
+            return { valid: false, error: 'Pattern key cannot be empty' };
+        }
+    } else {
+        const validation = validatePattern(step.pattern);
+        if (!validation.valid) {
+            return { valid: false, error: `Invalid pattern: ${validation.error}` };
+        }
+    }
+
+    if (step.mode !== 'beginner' && step.mode !== 'advanced') {
+        return { valid: false, error: "Mode must be 'beginner' or 'advanced'" };
+    }
+
+    if (step.settings !== undefined) {
+        const settings = step.settings;
+        if (!settings || typeof settings !== 'object') {
+            return { valid: false, error: 'Settings must be an object' };
+        }
+        if (settings.preset !== undefined && !['easy', 'medium', 'hard'].includes(settings.preset)) {
+            return { valid: false, error: "Settings preset must be 'easy', 'medium' or 'hard'" };
+        }
+        if (settings.playbackSpeed !== undefined && !(settings.playbackSpeed >= 0.3 && settings.playbackSpeed <= 1.0)) {
+            return { valid: false, error: 'Playback speed must be between 0.3 and 1.0' };
+        }
+        if (settings.tolerance !== undefined && !(settings.tolerance >= 5 && settings.tolerance <= 25)) {
+            return { valid: false, error: 'Tolerance must be between 5 and 25%' };
+        }
+        if (settings.brakeThreshold !== undefined && !(settings.brakeThreshold >= 5 && settings.brakeThreshold <= 30)) {
+            return { valid: false, error: 'Brake lock threshold must be between 5 and 30%' };
+        }
+        if (settings.allowOverlap !== undefined && typeof settings.allowOverlap !== 'boolean') {
+            return { valid: false, error: 'allowOverlap must be true or false' };
+        }
+    }
+
+    if (step.laps !== undefined && !(Number.isInteger(step.laps) && step.laps >= 1)) {
+        return { valid: false, error: 'Laps must be a whole number of at least 1' };
+    }
+
+    const pass = step.pass;
+    if (!pass || typeof pass !== 'object') {
+        return { valid: false, error: 'Step needs a pass condition { grade, count, consecutive }' };
+    }
+    if (!GRADES.includes(pass.grade)) {
+        return { valid: false, error: `Pass grade must be one of ${GRADES.join(', ')}` };
+    }
+    if (pass.count !== undefined && !(Number.isInteger(pass.count) && pass.count >= 1)) {
+        return { valid: false, error: 'Pass count must be a whole number of at least 1' };
+    }
+    if (pass.consecutive !== undefined && typeof pass.consecutive !== 'boolean') {
+        return { valid: false, error: 'Pass consecutive must be true or false' };
+    }
+
+    return { valid: true };
+}